@@ -11,16 +11,48 @@ const TEXT_FIELDS = [
   'creator.lastName', 'creator.firstName'
 ];
 
-function isPositiveCondition(condition) {
-  return !!condition?.pattern?.trim()
-    && condition.operator !== 'AND_NOT' && condition.operator !== 'OR_NOT';
+const NEGATED_OPERATORS = ['AND_NOT', 'OR_NOT'];
+
+function createEmptyCondition() {
+  return {
+    operator: 'AND',
+    field: 'title',
+    pattern: '',
+    patternType: 'regex',
+    caseSensitive: false
+  };
+}
+
+// Condition rows may be groups ({ type: 'group', operator, conditions }) acting as parentheses
+function isConditionGroup(condition) {
+  return condition?.type === 'group';
+}
+
+function getConditionLeaves(conditions) {
+  return (conditions || []).flatMap((condition) => (
+    isConditionGroup(condition) ? getConditionLeaves(condition.conditions) : [condition]
+  ));
+}
+
+// Leaves with a pattern that are not under an odd number of NOT operators.
+// As in the search engine, the first row of each list has no operator of its own.
+function getPositiveLeaves(conditions, negated = false) {
+  return (conditions || []).flatMap((condition, index) => {
+    const rowNegated = negated !== (index > 0 && NEGATED_OPERATORS.includes(condition.operator));
+
+    if (isConditionGroup(condition)) {
+      return getPositiveLeaves(condition.conditions, rowNegated);
+    }
+
+    return !rowNegated && condition?.pattern?.trim() ? [condition] : [];
+  });
 }
 
 function buildReplaceConditions(conditions, targetFields) {
   const fields = Array.isArray(targetFields) ? targetFields.filter(Boolean) : [];
   const dedupedConditions = new Map();
 
-  (conditions || []).filter(isPositiveCondition).forEach((condition) => {
+  getPositiveLeaves(conditions).filter((condition) => !selectsItemsOnly(condition.patternType)).forEach((condition) => {
     let matchingFields = [];
 
     if (condition.field === 'all') {
@@ -45,8 +77,36 @@ function buildReplaceConditions(conditions, targetFields) {
   return [...dedupedConditions.values()];
 }
 
+// Drop rows without a pattern and groups left empty, keeping the group structure
 function getValidConditions(conditions) {
-  return (conditions || []).filter((condition) => condition?.pattern?.trim());
+  return (conditions || []).reduce((valid, condition) => {
+    if (isConditionGroup(condition)) {
+      const children = getValidConditions(condition.conditions);
+      if (children.length > 0) {
+        valid.push({ ...condition, conditions: children });
+      }
+    } else if (condition?.pattern?.trim()) {
+      valid.push(condition);
+    }
+    return valid;
+  }, []);
+}
+
+// Condition rows reduced to the properties stored in saved patterns
+function serializeConditions(conditions) {
+  return (conditions || []).map((condition) => (isConditionGroup(condition)
+    ? {
+      type: 'group',
+      operator: condition.operator || 'AND',
+      conditions: serializeConditions(condition.conditions)
+    }
+    : {
+      operator: condition.operator || 'AND',
+      field: condition.field,
+      pattern: condition.pattern || '',
+      patternType: condition.patternType || 'regex',
+      caseSensitive: condition.caseSensitive || false
+    }));
 }
 
 function getTargetFields(replaceFieldValue, matchedFields) {
@@ -57,6 +117,251 @@ function getTargetFields(replaceFieldValue, matchedFields) {
   return matchedFields;
 }
 
+// Display value for a previewed change; creator and tag changes carry the whole list as JSON
+function formatChangeValue(field, value, getCreatorTypeName) {
+  if (!field || (!field.startsWith('creator.') && field !== 'tags')) {
+    return value == null ? '' : String(value);
+  }
+
+  let entries = [];
+  try {
+    entries = JSON.parse(value) || [];
+  } catch {
+    return String(value);
+  }
+
+  if (field === 'tags') {
+    return entries.map((tag) => tag.tag).join('; ');
+  }
+
+  // Creator types other than author are shown, so that type changes can be reviewed
+  return entries.map((creator) => {
+    const name = creator.name || [creator.lastName, creator.firstName].filter((part) => part).join(', ');
+    const type = getCreatorTypeName ? getCreatorTypeName(creator.creatorTypeID ?? creator.creatorType) : null;
+    return type && type !== 'author' ? `${name} (${type})` : name;
+  }).join('; ');
+}
+
+// Title of a result row; notes and annotations have no title field
+function getResultTitle(item, annotationPageLabel) {
+  if (typeof item.isAnnotation === 'function' && item.isAnnotation()) {
+    return annotationPageLabel ? `Annotation, p. ${annotationPageLabel}` : 'Annotation';
+  }
+  if (typeof item.isNote === 'function' && item.isNote()) {
+    return item.getNoteTitle() || '(Untitled)';
+  }
+  return item.getField('title') || '(Untitled)';
+}
+
+// Text around a match, split so the match itself can be highlighted; cut text is marked with "..."
+function getMatchPreviewParts(value, matchIndex, matchLength, context = 20) {
+  if (matchIndex < 0) {
+    return { before: value, match: '', after: '' };
+  }
+
+  const start = Math.max(0, matchIndex - context);
+  const end = Math.min(value.length, matchIndex + matchLength + context);
+  return {
+    before: (start > 0 ? '...' : '') + value.substring(start, matchIndex),
+    match: value.substring(matchIndex, matchIndex + matchLength),
+    after: value.substring(matchIndex + matchLength, end) + (end < value.length ? '...' : '')
+  };
+}
+
+// Search options for the scope picked in the dialog: the libraries to search and,
+// for a collection or saved search scope, the condition to add to the rows
+function getScopeSearch(scope) {
+  let condition = null;
+  if (scope.collectionID) {
+    condition = {
+      field: 'collection',
+      pattern: String(scope.collectionID),
+      patternType: 'exact',
+      operator: 'AND',
+      recursive: Boolean(scope.recursive)
+    };
+  } else if (scope.savedSearchID) {
+    condition = { field: 'savedSearch', pattern: String(scope.savedSearchID), patternType: 'exact', operator: 'AND' };
+  }
+  return { libraryIDs: scope.libraryIDs, condition };
+}
+
+// Scope select values are "collection:<id>" or "savedSearch:<id>"; '' is the whole library
+function parseScopeValue(value) {
+  const [type, id] = String(value || '').split(':');
+  return {
+    collectionID: type === 'collection' ? Number(id) || null : null,
+    savedSearchID: type === 'savedSearch' ? Number(id) || null : null
+  };
+}
+
+// Collections and their subcollections in tree order, as [{ collection, depth }]
+function flattenCollectionTree(collections, depth = 0) {
+  return [...collections]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((collection) => [
+      { collection, depth },
+      ...flattenCollectionTree(collection.getChildCollections(), depth + 1)
+    ]);
+}
+
+
+// Pattern type options of the bundled modules: date operators (src/zotero/date-conditions.js),
+// comparisons with another field of the same item (src/zotero/field-comparisons.js) and
+// approximate matching (src/zotero/approximate-matching.js). The pattern of a comparison is
+// the other field's name, except for field_regex, whose regex refers to fields with {field:name} tokens.
+function getPatternTypeOptions(name) {
+  return getBundledExport(name) || [];
+}
+
+function isDatePatternType(patternType) {
+  return getPatternTypeOptions('DATE_PATTERN_TYPE_OPTIONS').some((type) => type.value === patternType);
+}
+
+// Single-value text fields: compared with each other and written to by replacements
+const STANDARD_FIELDS = [
+  'title', 'shortTitle', 'abstractNote', 'date', 'publicationTitle', 'journalAbbreviation',
+  'publisher', 'volume', 'issue', 'pages', 'DOI', 'ISBN', 'ISSN', 'url', 'language',
+  'callNumber', 'extra', 'place', 'archiveLocation', 'libraryCatalog'
+];
+
+function isFieldComparisonType(patternType) {
+  return getPatternTypeOptions('FIELD_COMPARISON_TYPE_OPTIONS').some((type) => type.value === patternType);
+}
+
+// Comparisons other than field_regex pick the other field from a list
+function isFieldPickerType(patternType) {
+  return isFieldComparisonType(patternType) && patternType !== 'field_regex';
+}
+
+// Date operators and field comparisons select items; they do not match text that could be replaced
+function selectsItemsOnly(patternType) {
+  return isDatePatternType(patternType) || isFieldComparisonType(patternType);
+}
+
+// Whether the search's regex ran out of time on one of the fields to replace;
+// such items are left out of preview and replace, since the replace would hang on them too
+function hasTimedOutField(result, fields) {
+  return Boolean(result.timedOutFields?.some((field) => fields.includes(field)));
+}
+
+// Reviewed entries that still have at least one accepted change, limited to itemIDs when given
+function getAcceptedReviewEntries(review, itemIDs) {
+  if (!review) {
+    return [];
+  }
+
+  return review.entries
+    .filter((entry) => !itemIDs || itemIDs.has(entry.itemID))
+    .map((entry) => ({
+      item: entry.item,
+      itemID: entry.itemID,
+      changes: entry.changes
+        .filter((change) => change.accepted && (!change.acceptedCreators || change.acceptedCreators.length > 0))
+        .map((change) => {
+          // Creator changes can be accepted for some of their creators only
+          const reviewedChange = change.acceptedCreators ? selectCreatorChanges(change, change.acceptedCreators) : { ...change };
+          delete reviewedChange.accepted;
+          delete reviewedChange.acceptedCreators;
+          return reviewedChange;
+        })
+    }))
+    .filter((entry) => entry.changes.length > 0);
+}
+
+// Short human-readable name for a replace run, shown in the undo history
+function buildOperationName(conditions, replacePattern, creatorOperation) {
+  let replaceLabel = typeof replacePattern === 'function' ? '(preset function)' : `"${replacePattern ?? ''}"`;
+  if (creatorOperation) {
+    const detail = creatorOperation.position || creatorOperation.creatorType || creatorOperation.separator;
+    replaceLabel = `(${creatorOperation.type}${detail ? ' ' + detail : ''})`;
+  }
+  const fields = [...new Set((conditions || []).map((condition) => condition.field))];
+  const patterns = [...new Set((conditions || []).map((condition) => condition.pattern))];
+  const searchLabel = patterns.length === 1 ? `"${patterns[0]}"` : `${patterns.length} patterns`;
+  return `${fields.join(', ')}: ${searchLabel} \u2192 ${replaceLabel}`;
+}
+
+// Creator operation (see creator-operations.js) for the Creator Action controls, or null
+// when creator names are replaced as text
+function getCreatorOperation(action, separator, creatorType) {
+  if (!action) {
+    return null;
+  }
+  if (action.startsWith('move:')) {
+    return { type: 'move', position: action.slice('move:'.length) };
+  }
+  if (action === 'split') {
+    return { type: 'split', separator: separator || ';' };
+  }
+  if (action === 'setType') {
+    return { type: 'setType', creatorType };
+  }
+  return { type: action };
+}
+
+// Creator positions typed as "1, 3-5" (from 1) as indexes into the creator list (from 0)
+function parseCreatorPositions(text) {
+  const indexes = new Set();
+  for (const part of String(text || '').split(',').map((value) => value.trim()).filter(Boolean)) {
+    const range = /^(\d+)(?:\s*-\s*(\d+))?$/.exec(part);
+    const first = range ? Number(range[1]) : 0;
+    const last = range && range[2] ? Number(range[2]) : first;
+    if (first < 1 || last < first) {
+      throw new Error(`"${part}" is not a creator position or range, e.g. 1, 3-5`);
+    }
+    for (let position = first; position <= last; position++) {
+      indexes.add(position - 1);
+    }
+  }
+  return [...indexes].sort((a, b) => a - b);
+}
+
+// creatorFilter replace option for the Only Creators controls, or null for every creator
+function getCreatorFilter(positions, creatorType) {
+  const indexes = parseCreatorPositions(positions);
+  if (indexes.length === 0 && !creatorType) {
+    return null;
+  }
+  return {
+    ...(indexes.length > 0 ? { indexes } : {}),
+    ...(creatorType ? { types: [creatorType] } : {})
+  };
+}
+
+// A creator list change limited to the creators at indexes; the other creators keep their original names
+function selectCreatorChanges(change, indexes) {
+  const original = JSON.parse(change.original);
+  const replaced = JSON.parse(change.replaced);
+  const selected = original.map((creator, index) => (indexes.includes(index) ? replaced[index] : creator));
+  return { ...change, replaced: JSON.stringify(selected), creatorIndexes: [...indexes] };
+}
+
+// A creator name variant as "Last, First"
+function formatCreatorVariant(variant) {
+  return variant.firstName ? `${variant.lastName}, ${variant.firstName}` : variant.lastName;
+}
+
+// Summary of an atomic replace run: which chunks were saved and which were rolled back
+function describeChunks(chunks) {
+  if (!chunks || chunks.length === 0) {
+    return '';
+  }
+
+  const committed = chunks.filter((chunk) => chunk.committed).map((chunk) => chunk.index + 1);
+  let summary = `Committed chunks: ${committed.length > 0 ? committed.join(', ') : 'none'} of ${chunks.length}\n`;
+  for (const chunk of chunks.filter((chunk) => !chunk.committed)) {
+    summary += `Rolled back chunk ${chunk.index + 1} (${chunk.itemIDs.length} items): item ${chunk.failedItemID} failed: ${chunk.error}\n`;
+  }
+  return summary;
+}
+
+// Default file name for an exported pattern pack: "My Patterns" -> "my-patterns.json"
+function getPatternPackFileName(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return (slug || 'patterns') + '.json';
+}
+
 function getDialogReplacePattern(state, replaceInput) {
   if (typeof state.replacePattern === 'function') {
     return state.replacePattern;
@@ -108,13 +413,17 @@ var FIELD_TYPES = {
       'annotation'
     ]
   },
-  // Date fields - could use date picker in the future
+  // Date fields - offer the date operators besides the text pattern types
   date: {
-    type: 'text',
+    type: 'date',
+    placeholder: 'e.g., 2024, 2024-01, 2024-01-15'
+  },
+  dateAdded: {
+    type: 'date',
     placeholder: 'e.g., 2024, 2024-01, 2024-01-15'
   },
   dateModified: {
-    type: 'text',
+    type: 'date',
     placeholder: 'e.g., 2024, 2024-01, 2024-01-15'
   },
   // Default to text input
@@ -161,6 +470,28 @@ function getReplaceEngine() {
   return null;
 }
 
+// Get any other module exported by the bundled script, using the same lookup order
+function getBundledExport(name) {
+  if (typeof ZoteroSearchReplace !== 'undefined' && ZoteroSearchReplace && ZoteroSearchReplace[name]) {
+    return ZoteroSearchReplace[name];
+  }
+  if (typeof window.opener !== 'undefined' && window.opener &&
+      window.opener.ZoteroSearchReplace && window.opener.ZoteroSearchReplace[name]) {
+    return window.opener.ZoteroSearchReplace[name];
+  }
+  var ZoteroGlobal = getZotero();
+  if (ZoteroGlobal && ZoteroGlobal.SearchReplace && ZoteroGlobal.SearchReplace[name]) {
+    return ZoteroGlobal.SearchReplace[name];
+  }
+  return null;
+}
+
+// Fields that can be searched but not replaced, as the replace engine defines them
+function isReadOnlyField(field) {
+  const readOnlyFields = getBundledExport('READ_ONLY_FIELDS');
+  return Boolean(readOnlyFields && readOnlyFields.has(field));
+}
+
 // Debug logging function - uses Zotero.debug when available
 function SRdebug(msg) {
   var ZoteroGlobal = getZotero();
@@ -246,8 +577,16 @@ var ZoteroSearchDialog = {
     results: [],
     selectedItemIDs: new Set(),
     replacedCount: 0,
+    // Per-change accept/reject review built by previewReplace
+    review: null,
+    // Patterns currently listed in the patterns panel (user, imported and preloaded)
+    renderedPatterns: [],
+    // AbortController of the running search, if any
+    searchController: null,
+    // Whether the last search covered more than one library, so results show their library
+    multipleLibraries: false,
     // Unified condition rows
-    conditions: [] // Array of {operator, field, pattern, patternType, caseSensitive}
+    conditions: [] // Array of {operator, field, pattern, patternType, caseSensitive} and groups {type: 'group', operator, conditions}
   },
 
   elements: {},
@@ -262,17 +601,16 @@ var ZoteroSearchDialog = {
     this.cacheElements();
     this.setupEventListeners();
     // Always initialize with one condition row
-    this.state.conditions.push({
-      operator: 'AND',
-      field: 'title',
-      pattern: '',
-      patternType: 'regex',
-      caseSensitive: false
-    });
+    this.state.conditions.push(createEmptyCondition());
     this.renderConditions();
+    this.renderScope();
     this.updateReplaceFieldOptions();
+    this.renderTargetFields();
+    this.renderCreatorTypes();
+    this.updateCreatorActionState();
     this.updateUIState();
     this.deferPatternLoading();
+    this.renderHistory();
     SRdebug('Dialog init complete');
   },
 
@@ -291,21 +629,49 @@ var ZoteroSearchDialog = {
       patternType: document.getElementById('pattern-type'),
       caseSensitive: document.getElementById('case-sensitive'),
       searchButton: document.getElementById('search-button'),
+      stopSearchButton: document.getElementById('stop-search'),
+      showSearchPlan: document.getElementById('show-search-plan'),
+      searchPlan: document.getElementById('search-plan'),
+      scopeLibraries: document.getElementById('scope-libraries'),
+      scopeCollection: document.getElementById('scope-collection'),
+      scopeRecursive: document.getElementById('scope-recursive'),
       resultsCount: document.getElementById('results-count'),
       resultsList: document.getElementById('results-list'),
       replaceInput: document.getElementById('replace-input'),
       previewOutput: document.getElementById('preview-output'),
       applyReplaceButton: document.getElementById('apply-replace'),
+      atomicReplace: document.getElementById('atomic-replace'),
+      atomicChunkSize: document.getElementById('atomic-chunk-size'),
       createCollection: document.getElementById('create-collection'),
       patternsList: document.getElementById('patterns-list'),
+      savePatternButton: document.getElementById('save-pattern'),
+      importPatternPackButton: document.getElementById('import-pattern-pack'),
       searchError: document.getElementById('search-error'),
       selectAll: document.getElementById('select-all'),
       deselectAll: document.getElementById('deselect-all'),
       previewReplaceButton: document.getElementById('preview-replace'),
+      reviewSummary: document.getElementById('review-summary'),
+      acceptAllChanges: document.getElementById('accept-all-changes'),
+      rejectAllChanges: document.getElementById('reject-all-changes'),
       // Unified condition UI elements
       conditionsList: document.getElementById('conditions-list'),
       addConditionBtn: document.getElementById('add-condition-btn'),
-      replaceFieldSelect: document.getElementById('replace-field-select')
+      addGroupBtn: document.getElementById('add-group-btn'),
+      replaceFieldSelect: document.getElementById('replace-field-select'),
+      replaceTargetField: document.getElementById('replace-target-field'),
+      replaceSourceMode: document.getElementById('replace-source-mode'),
+      creatorActionRow: document.getElementById('creator-action-row'),
+      creatorAction: document.getElementById('creator-action'),
+      creatorSplitSeparator: document.getElementById('creator-split-separator'),
+      creatorTypeSelect: document.getElementById('creator-type-select'),
+      creatorPositions: document.getElementById('creator-positions'),
+      creatorTypeFilter: document.getElementById('creator-type-filter'),
+      // Undo journal
+      undoLastButton: document.getElementById('undo-last'),
+      historyList: document.getElementById('history-list'),
+      findAuthorVariantsButton: document.getElementById('find-author-variants'),
+      variantsStatus: document.getElementById('variants-status'),
+      variantsList: document.getElementById('variants-list')
     };
   },
 
@@ -315,6 +681,11 @@ var ZoteroSearchDialog = {
       this.elements.searchButton.addEventListener('click', () => this.performSearch());
     }
 
+    // Search scope: collections can only be picked within a single library
+    if (this.elements.scopeCollection) {
+      this.elements.scopeCollection.addEventListener('change', () => this.updateScopeState());
+    }
+
     // Search input - trigger search on Enter key
     if (this.elements.searchInput) {
       this.elements.searchInput.addEventListener('keydown', (e) => {
@@ -325,11 +696,48 @@ var ZoteroSearchDialog = {
       });
     }
 
+    // Stop button
+    if (this.elements.stopSearchButton) {
+      this.elements.stopSearchButton.addEventListener('click', () => this.stopSearch());
+    }
+
+    // Hide the Phase 1 prefilter details when debugging is switched off
+    if (this.elements.showSearchPlan) {
+      this.elements.showSearchPlan.addEventListener('change', () => {
+        if (!this.elements.showSearchPlan.checked) {
+          this.showSearchPlan('');
+        }
+      });
+    }
+
+    // Source handling only applies when writing to another field
+    if (this.elements.replaceTargetField && this.elements.replaceSourceMode) {
+      this.elements.replaceTargetField.addEventListener('change', () => {
+        this.elements.replaceSourceMode.disabled = !this.elements.replaceTargetField.value;
+      });
+    }
+
+    // Creator actions are offered for creator fields only
+    if (this.elements.replaceFieldSelect) {
+      this.elements.replaceFieldSelect.addEventListener('change', () => this.updateCreatorActionState());
+    }
+    if (this.elements.creatorAction) {
+      this.elements.creatorAction.addEventListener('change', () => this.updateCreatorActionState());
+    }
+
     // Preview button
     if (this.elements.previewReplaceButton) {
       this.elements.previewReplaceButton.addEventListener('click', () => this.previewReplace());
     }
 
+    // Accept/reject every previewed change
+    if (this.elements.acceptAllChanges) {
+      this.elements.acceptAllChanges.addEventListener('click', () => this.setAllChangesAccepted(true));
+    }
+    if (this.elements.rejectAllChanges) {
+      this.elements.rejectAllChanges.addEventListener('click', () => this.setAllChangesAccepted(false));
+    }
+
     // Apply replace button - NOTE: using applyReplaceButton to avoid collision with method
     if (this.elements.applyReplaceButton) {
       this.elements.applyReplaceButton.addEventListener('click', () => this.applyReplace());
@@ -348,28 +756,51 @@ var ZoteroSearchDialog = {
       this.elements.deselectAll.addEventListener('click', () => this.deselectAll());
     }
 
-    // Add condition button
+    // Add condition and add group buttons
     if (this.elements.addConditionBtn) {
       this.elements.addConditionBtn.addEventListener('click', () => this.addCondition());
     }
+    if (this.elements.addGroupBtn) {
+      this.elements.addGroupBtn.addEventListener('click', () => this.addConditionGroup());
+    }
+
+    // Save current conditions as a user pattern
+    if (this.elements.savePatternButton) {
+      this.elements.savePatternButton.addEventListener('click', () => this.saveCurrentAsPattern());
+    }
+
+    // Import a pattern pack file
+    if (this.elements.importPatternPackButton) {
+      this.elements.importPatternPackButton.addEventListener('click', () => this.importPatternPack());
+    }
+
+    // Undo last replace operation
+    if (this.elements.undoLastButton) {
+      this.elements.undoLastButton.addEventListener('click', () => this.undoLastOperation());
+    }
+
+    // Cluster the creators in scope into name variants
+    if (this.elements.findAuthorVariantsButton) {
+      this.elements.findAuthorVariantsButton.addEventListener('click', () => this.findAuthorVariants());
+    }
   },
 
-  // Add a new condition row
-  addCondition: function() {
-    this.state.conditions.push({
-      operator: 'AND',
-      field: 'title',
-      pattern: '',
-      patternType: 'regex',
-      caseSensitive: false
-    });
+  // Add a new condition row, at the top level or inside a group's rows
+  addCondition: function(conditions = this.state.conditions) {
+    conditions.push(createEmptyCondition());
+    this.renderConditions();
+  },
+
+  // Add a group (parentheses) holding one empty condition row
+  addConditionGroup: function(conditions = this.state.conditions) {
+    conditions.push({ type: 'group', operator: 'AND', conditions: [createEmptyCondition()] });
     this.renderConditions();
   },
 
-  // Remove a condition by index
-  removeCondition: function(index) {
-    if (this.state.conditions.length > 1) {
-      this.state.conditions.splice(index, 1);
+  // Remove a condition row or group; the top level always keeps one row
+  removeCondition: function(index, conditions = this.state.conditions) {
+    if (conditions !== this.state.conditions || conditions.length > 1) {
+      conditions.splice(index, 1);
       this.renderConditions();
     }
   },
@@ -378,223 +809,328 @@ var ZoteroSearchDialog = {
   renderConditions: function() {
     const container = this.elements.conditionsList;
     container.innerHTML = '';
+    this.renderConditionList(container, this.state.conditions);
+  },
 
-    const allFields = this.getAllFields();
+  renderConditionList: function(container, conditions) {
+    conditions.forEach((condition, index) => {
+      container.appendChild(isConditionGroup(condition)
+        ? this.createConditionGroup(conditions, index)
+        : this.createConditionRow(conditions, index));
+    });
+  },
+
+  // Operator dropdown (AND/OR/AND NOT/OR NOT) - hidden for the first row of a list
+  createOperatorSelect: function(condition, index) {
     const operators = [
       { value: 'AND', label: 'AND' },
       { value: 'OR', label: 'OR' },
       { value: 'AND_NOT', label: 'AND NOT' },
       { value: 'OR_NOT', label: 'OR NOT' }
     ];
+
+    const operatorSelect = document.createElement('select');
+    operatorSelect.className = 'operator-select';
+    operatorSelect.style.display = index === 0 ? 'none' : 'block';
+    operators.forEach(op => {
+      const option = document.createElement('option');
+      option.value = op.value;
+      option.textContent = op.label;
+      if (condition.operator === op.value) option.selected = true;
+      operatorSelect.appendChild(option);
+    });
+    operatorSelect.addEventListener('change', (e) => {
+      condition.operator = e.target.value;
+    });
+
+    return operatorSelect;
+  },
+
+  // A group row: operator, nested rows and buttons to add rows or subgroups inside it
+  createConditionGroup: function(conditions, index) {
+    const group = conditions[index];
+    const row = document.createElement('div');
+    row.className = 'condition-group';
+
+    const header = document.createElement('div');
+    header.className = 'condition-group-header';
+    header.appendChild(this.createOperatorSelect(group, index));
+
+    const label = document.createElement('span');
+    label.className = 'condition-group-label';
+    label.textContent = 'Group (evaluated as one condition)';
+    header.appendChild(label);
+
+    const addButton = (text, title, handler) => {
+      const button = document.createElement('button');
+      button.className = 'secondary';
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener('click', handler);
+      header.appendChild(button);
+    };
+    addButton('+ Condition', 'Add a condition to this group', () => this.addCondition(group.conditions));
+    addButton('+ Group', 'Add a nested group', () => this.addConditionGroup(group.conditions));
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-condition';
+    removeBtn.textContent = '\u00D7';
+    removeBtn.title = 'Remove group';
+    removeBtn.addEventListener('click', () => this.removeCondition(index, conditions));
+    header.appendChild(removeBtn);
+
+    const body = document.createElement('div');
+    body.className = 'condition-group-body';
+    this.renderConditionList(body, group.conditions);
+
+    row.appendChild(header);
+    row.appendChild(body);
+    return row;
+  },
+
+  createConditionRow: function(conditions, index) {
+    const condition = conditions[index];
+    const allFields = this.getAllFields();
+    const approximatePatternTypes = getPatternTypeOptions('APPROXIMATE_PATTERN_TYPE_OPTIONS');
+    const datePatternTypes = getPatternTypeOptions('DATE_PATTERN_TYPE_OPTIONS');
+    const fieldComparisonTypes = getPatternTypeOptions('FIELD_COMPARISON_TYPE_OPTIONS');
     const patternTypes = [
       { value: 'regex', label: 'Regex' },
       { value: 'exact', label: 'Exact' },
       { value: 'contains', label: 'Contains' },
-      { value: 'sql_like', label: 'SQL LIKE' }
+      { value: 'sql_like', label: 'SQL LIKE' },
+      ...approximatePatternTypes
     ];
 
-    this.state.conditions.forEach((condition, index) => {
-      const row = document.createElement('div');
-      row.className = 'condition-row';
+    const row = document.createElement('div');
+    row.className = 'condition-row';
 
-      // Operator dropdown (AND/OR/AND NOT/OR NOT) - hidden for first condition
-      const operatorSelect = document.createElement('select');
-      operatorSelect.className = 'operator-select';
-      operatorSelect.style.display = index === 0 ? 'none' : 'block';
-      operators.forEach(op => {
-        const option = document.createElement('option');
-        option.value = op.value;
-        option.textContent = op.label;
-        if (condition.operator === op.value) option.selected = true;
-        operatorSelect.appendChild(option);
-      });
-      operatorSelect.addEventListener('change', (e) => {
-        this.state.conditions[index].operator = e.target.value;
-      });
+    const operatorSelect = this.createOperatorSelect(condition, index);
 
-      // Field dropdown
-      const fieldSelect = document.createElement('select');
-      fieldSelect.className = 'condition-field';
-      allFields.forEach(field => {
+    // Field dropdown
+    const fieldSelect = document.createElement('select');
+    fieldSelect.className = 'condition-field';
+    allFields.forEach(field => {
+      const option = document.createElement('option');
+      option.value = field.value;
+      option.textContent = field.label;
+      if (condition.field === field.value) option.selected = true;
+      fieldSelect.appendChild(option);
+    });
+    fieldSelect.addEventListener('change', (e) => {
+      condition.field = e.target.value;
+      // Update replace field options when field changes
+      this.updateReplaceFieldOptions();
+      // Re-render to show appropriate input type for the field
+      this.renderConditions();
+    });
+
+    // Get field type info BEFORE using isDropdown
+    const fieldTypeInfo = this.getFieldTypeInfo(condition.field);
+    const isDropdown = fieldTypeInfo.type === 'dropdown';
+    const rowPatternTypes = [
+      ...patternTypes,
+      ...(fieldTypeInfo.type === 'date' ? datePatternTypes : []),
+      ...(STANDARD_FIELDS.includes(condition.field) ? fieldComparisonTypes : [])
+    ];
+    if (!isDropdown && !rowPatternTypes.some((pt) => pt.value === (condition.patternType || 'regex'))) {
+      // Date operators and comparisons do not apply to the row's new field
+      condition.patternType = 'regex';
+    }
+    const getPlaceholder = () => [...approximatePatternTypes, ...datePatternTypes, ...fieldComparisonTypes]
+      .find((pt) => pt.value === condition.patternType)?.placeholder
+      || fieldTypeInfo.placeholder || 'Pattern...';
+    const isFieldPicker = isFieldPickerType(condition.patternType);
+
+    // Pattern Type dropdown (or "=" for dropdown fields)
+    const patternTypeSelect = document.createElement('select');
+    patternTypeSelect.className = 'condition-pattern-type';
+
+    // For dropdown fields (like itemType), show "=" and use exact matching
+    if (isDropdown) {
+      const eqOption = document.createElement('option');
+      eqOption.value = 'exact';
+      eqOption.textContent = '=';
+      eqOption.selected = true;
+      patternTypeSelect.appendChild(eqOption);
+      // Store patternType in condition
+      condition.patternType = 'exact';
+      patternTypeSelect.disabled = true;
+    } else {
+      rowPatternTypes.forEach(pt => {
         const option = document.createElement('option');
-        option.value = field.value;
-        option.textContent = field.label;
-        if (condition.field === field.value) option.selected = true;
-        fieldSelect.appendChild(option);
+        option.value = pt.value;
+        option.textContent = pt.label;
+        if ((condition.patternType || 'regex') === pt.value) option.selected = true;
+        patternTypeSelect.appendChild(option);
       });
-      fieldSelect.addEventListener('change', (e) => {
-        this.state.conditions[index].field = e.target.value;
-        // Update replace field options when field changes
-        this.updateReplaceFieldOptions();
-        // Re-render to show appropriate input type for the field
-        this.renderConditions();
+      patternTypeSelect.addEventListener('change', (e) => {
+        condition.patternType = e.target.value;
+        if (isFieldPickerType(condition.patternType) !== isFieldPicker) {
+          // Switch between the pattern input and the other-field list
+          condition.pattern = '';
+          this.renderConditions();
+          return;
+        }
+        patternInput.placeholder = getPlaceholder();
       });
+    }
 
-      // Get field type info BEFORE using isDropdown
-      const fieldTypeInfo = this.getFieldTypeInfo(condition.field);
-      const isDropdown = fieldTypeInfo.type === 'dropdown';
-
-      // Pattern Type dropdown (or "=" for dropdown fields)
-      const patternTypeSelect = document.createElement('select');
-      patternTypeSelect.className = 'condition-pattern-type';
-
-      // For dropdown fields (like itemType), show "=" and use exact matching
-      if (isDropdown) {
-        const eqOption = document.createElement('option');
-        eqOption.value = 'exact';
-        eqOption.textContent = '=';
-        eqOption.selected = true;
-        patternTypeSelect.appendChild(eqOption);
-        // Store patternType in condition
-        this.state.conditions[index].patternType = 'exact';
-        patternTypeSelect.disabled = true;
-      } else {
-        patternTypes.forEach(pt => {
-          const option = document.createElement('option');
-          option.value = pt.value;
-          option.textContent = pt.label;
-          if ((condition.patternType || 'regex') === pt.value) option.selected = true;
-          patternTypeSelect.appendChild(option);
-        });
-        patternTypeSelect.addEventListener('change', (e) => {
-          this.state.conditions[index].patternType = e.target.value;
-        });
-      }
-
-      // Pattern input container - will hold different input types based on field
-      const patternContainer = document.createElement('div');
-      patternContainer.className = 'condition-pattern-container';
+    // Pattern input container - will hold different input types based on field
+    const patternContainer = document.createElement('div');
+    patternContainer.className = 'condition-pattern-container';
+
+    // Create text input (default)
+    const patternInput = document.createElement('input');
+    patternInput.type = 'text';
+    patternInput.className = 'condition-pattern';
+    patternInput.placeholder = getPlaceholder();
+    patternInput.value = condition.pattern || '';
+    patternInput.style.display = isDropdown || isFieldPicker ? 'none' : 'block';
+    patternInput.addEventListener('input', (e) => {
+      condition.pattern = e.target.value;
+    });
 
-      // Create text input (default)
-      const patternInput = document.createElement('input');
-      patternInput.type = 'text';
-      patternInput.className = 'condition-pattern';
-      patternInput.placeholder = fieldTypeInfo.placeholder || 'Pattern...';
-      patternInput.value = condition.pattern || '';
-      patternInput.style.display = isDropdown ? 'none' : 'block';
-      patternInput.addEventListener('input', (e) => {
-        this.state.conditions[index].pattern = e.target.value;
+    // Other field of a field comparison
+    if (isFieldPicker) {
+      const otherFields = STANDARD_FIELDS.filter((field) => field !== condition.field);
+      if (!otherFields.includes(condition.pattern)) {
+        condition.pattern = otherFields[0];
+      }
+      const otherFieldSelect = document.createElement('select');
+      otherFieldSelect.className = 'condition-pattern';
+      otherFieldSelect.style.width = '100%';
+      otherFields.forEach((field) => {
+        const option = document.createElement('option');
+        option.value = field;
+        option.textContent = this.getFieldLabel(field);
+        otherFieldSelect.appendChild(option);
       });
+      otherFieldSelect.value = condition.pattern;
+      otherFieldSelect.addEventListener('change', (e) => {
+        condition.pattern = e.target.value;
+      });
+      patternContainer.appendChild(otherFieldSelect);
+    }
 
-      // Create XUL menulist for dropdown fields (like itemType)
-      const xulWrapper = document.createElement('div');
-      xulWrapper.className = 'xul-menulist-wrapper';
-      xulWrapper.style.display = isDropdown ? 'block' : 'none';
-
-      // Try to create XUL menulist
-      let xulMenulist = null;
-      try {
-        if (document.createXULElement) {
-          xulMenulist = document.createXULElement('menulist');
-          xulMenulist.setAttribute('flex', '1');
-          xulMenulist.setAttribute('minwidth', '150px');
-
-          // Create menupopup and menuitems
-          const menupopup = document.createXULElement('menupopup');
-
-          // Add "Any" option for searching
-          const anyOption = document.createXULElement('menuitem');
-          anyOption.setAttribute('label', '-- Any --');
-          anyOption.setAttribute('value', '');
-          menupopup.appendChild(anyOption);
-
-          // Add item type options
-          if (fieldTypeInfo.values) {
-            fieldTypeInfo.values.forEach(val => {
-              const menuitem = document.createXULElement('menuitem');
-              menuitem.setAttribute('label', val);
-              menuitem.setAttribute('value', val);
-              menupopup.appendChild(menuitem);
-            });
-          }
-
-          xulMenulist.appendChild(menupopup);
-
-          // Set selected value
-          if (condition.pattern) {
-            xulMenulist.value = condition.pattern;
-          }
-
-          xulMenulist.addEventListener('command', (e) => {
-            this.state.conditions[index].pattern = e.target.value;
-          });
+    // Create XUL menulist for dropdown fields (like itemType)
+    const xulWrapper = document.createElement('div');
+    xulWrapper.className = 'xul-menulist-wrapper';
+    xulWrapper.style.display = isDropdown ? 'block' : 'none';
 
-          xulWrapper.appendChild(xulMenulist);
-        }
-      } catch (e) {
-        SRdebug('Could not create XUL menulist: ' + e.message);
-      }
+    // Try to create XUL menulist
+    let xulMenulist = null;
+    try {
+      if (document.createXULElement) {
+        xulMenulist = document.createXULElement('menulist');
+        xulMenulist.setAttribute('flex', '1');
+        xulMenulist.setAttribute('minwidth', '150px');
 
-      // Fallback to HTML select if XUL fails
-      if (!xulMenulist) {
-        const htmlSelect = document.createElement('select');
-        htmlSelect.className = 'condition-pattern';
-        htmlSelect.style.width = '100%';
-        htmlSelect.style.display = isDropdown ? 'block' : 'none';
+        // Create menupopup and menuitems
+        const menupopup = document.createXULElement('menupopup');
 
-        // Add "Any" option
-        const anyOption = document.createElement('option');
-        anyOption.value = '';
-        anyOption.textContent = '-- Any --';
-        htmlSelect.appendChild(anyOption);
+        // Add "Any" option for searching
+        const anyOption = document.createXULElement('menuitem');
+        anyOption.setAttribute('label', '-- Any --');
+        anyOption.setAttribute('value', '');
+        menupopup.appendChild(anyOption);
 
-        // Add options
+        // Add item type options
         if (fieldTypeInfo.values) {
           fieldTypeInfo.values.forEach(val => {
-            const option = document.createElement('option');
-            option.value = val;
-            option.textContent = val;
-            htmlSelect.appendChild(option);
+            const menuitem = document.createXULElement('menuitem');
+            menuitem.setAttribute('label', val);
+            menuitem.setAttribute('value', val);
+            menupopup.appendChild(menuitem);
           });
         }
 
+        xulMenulist.appendChild(menupopup);
+
+        // Set selected value
         if (condition.pattern) {
-          htmlSelect.value = condition.pattern;
+          xulMenulist.value = condition.pattern;
         }
 
-        htmlSelect.addEventListener('change', (e) => {
-          this.state.conditions[index].pattern = e.target.value;
+        xulMenulist.addEventListener('command', (e) => {
+          condition.pattern = e.target.value;
+        });
+
+        xulWrapper.appendChild(xulMenulist);
+      }
+    } catch (e) {
+      SRdebug('Could not create XUL menulist: ' + e.message);
+    }
+
+    // Fallback to HTML select if XUL fails
+    if (!xulMenulist) {
+      const htmlSelect = document.createElement('select');
+      htmlSelect.className = 'condition-pattern';
+      htmlSelect.style.width = '100%';
+      htmlSelect.style.display = isDropdown ? 'block' : 'none';
+
+      // Add "Any" option
+      const anyOption = document.createElement('option');
+      anyOption.value = '';
+      anyOption.textContent = '-- Any --';
+      htmlSelect.appendChild(anyOption);
+
+      // Add options
+      if (fieldTypeInfo.values) {
+        fieldTypeInfo.values.forEach(val => {
+          const option = document.createElement('option');
+          option.value = val;
+          option.textContent = val;
+          htmlSelect.appendChild(option);
         });
+      }
+
+      if (condition.pattern) {
+        htmlSelect.value = condition.pattern;
+      }
 
-        // Replace XUL wrapper with HTML select
-        xulWrapper.innerHTML = '';
-        xulWrapper.appendChild(htmlSelect);
-      }
-
-      patternContainer.appendChild(patternInput);
-      patternContainer.appendChild(xulWrapper);
-
-      // Case sensitive checkbox
-      const caseSensitiveLabel = document.createElement('label');
-      caseSensitiveLabel.style.display = 'flex';
-      caseSensitiveLabel.style.alignItems = 'center';
-      caseSensitiveLabel.style.whiteSpace = 'nowrap';
-      caseSensitiveLabel.style.fontSize = '11px';
-      const caseSensitiveCheckbox = document.createElement('input');
-      caseSensitiveCheckbox.type = 'checkbox';
-      caseSensitiveCheckbox.title = 'Case sensitive';
-      caseSensitiveCheckbox.checked = condition.caseSensitive || false;
-      caseSensitiveCheckbox.addEventListener('change', (e) => {
-        this.state.conditions[index].caseSensitive = e.target.checked;
+      htmlSelect.addEventListener('change', (e) => {
+        condition.pattern = e.target.value;
       });
-      caseSensitiveLabel.appendChild(caseSensitiveCheckbox);
-      caseSensitiveLabel.appendChild(document.createTextNode('CS'));
-
-      // Remove button
-      const removeBtn = document.createElement('button');
-      removeBtn.className = 'remove-condition';
-      removeBtn.textContent = '\u00D7';
-      removeBtn.title = 'Remove condition';
-      removeBtn.addEventListener('click', () => this.removeCondition(index));
-
-      row.appendChild(operatorSelect);
-      row.appendChild(fieldSelect);
-      row.appendChild(patternTypeSelect);
-      row.appendChild(patternContainer);
-      row.appendChild(caseSensitiveLabel);
-      row.appendChild(removeBtn);
-      container.appendChild(row);
+
+      // Replace XUL wrapper with HTML select
+      xulWrapper.innerHTML = '';
+      xulWrapper.appendChild(htmlSelect);
+    }
+
+    patternContainer.appendChild(patternInput);
+    patternContainer.appendChild(xulWrapper);
+
+    // Case sensitive checkbox
+    const caseSensitiveLabel = document.createElement('label');
+    caseSensitiveLabel.style.display = 'flex';
+    caseSensitiveLabel.style.alignItems = 'center';
+    caseSensitiveLabel.style.whiteSpace = 'nowrap';
+    caseSensitiveLabel.style.fontSize = '11px';
+    const caseSensitiveCheckbox = document.createElement('input');
+    caseSensitiveCheckbox.type = 'checkbox';
+    caseSensitiveCheckbox.title = 'Case sensitive';
+    caseSensitiveCheckbox.checked = condition.caseSensitive || false;
+    caseSensitiveCheckbox.addEventListener('change', (e) => {
+      condition.caseSensitive = e.target.checked;
     });
+    caseSensitiveLabel.appendChild(caseSensitiveCheckbox);
+    caseSensitiveLabel.appendChild(document.createTextNode('CS'));
+
+    // Remove button
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'remove-condition';
+    removeBtn.textContent = '\u00D7';
+    removeBtn.title = 'Remove condition';
+    removeBtn.addEventListener('click', () => this.removeCondition(index, conditions));
+
+    row.appendChild(operatorSelect);
+    row.appendChild(fieldSelect);
+    row.appendChild(patternTypeSelect);
+    row.appendChild(patternContainer);
+    row.appendChild(caseSensitiveLabel);
+    row.appendChild(removeBtn);
+    return row;
   },
 
   // Get all available fields for dropdown
@@ -611,8 +1147,10 @@ var ZoteroSearchDialog = {
       { value: 'all', label: 'All Fields', fieldType: 'special' },
       // Core fields
       { value: 'title', label: 'Title', fieldType: 'text' },
+      { value: 'shortTitle', label: 'Short Title', fieldType: 'text' },
       { value: 'abstractNote', label: 'Abstract', fieldType: 'text' },
       { value: 'date', label: 'Date', fieldType: 'date' },
+      { value: 'dateAdded', label: 'Date Added', fieldType: 'date' },
       { value: 'dateModified', label: 'Date Modified', fieldType: 'date' },
       // Creators
       { value: 'creator.lastName', label: 'Creator (Last)', fieldType: 'text' },
@@ -620,6 +1158,7 @@ var ZoteroSearchDialog = {
       { value: 'creator.fullName', label: 'Creator (Full)', fieldType: 'text' },
       // Publication
       { value: 'publicationTitle', label: 'Publication', fieldType: 'text' },
+      { value: 'journalAbbreviation', label: 'Journal Abbr', fieldType: 'text' },
       { value: 'publisher', label: 'Publisher', fieldType: 'text' },
       { value: 'language', label: 'Language', fieldType: 'text' },
       { value: 'volume', label: 'Volume', fieldType: 'text' },
@@ -636,6 +1175,10 @@ var ZoteroSearchDialog = {
       { value: 'itemType', label: 'Item Type', fieldType: 'dropdown' },
       { value: 'tags', label: 'Tags', fieldType: 'text' },
       { value: 'note', label: 'Note', fieldType: 'text' },
+      { value: 'childNote', label: 'Child Note', fieldType: 'text' },
+      { value: 'annotationText', label: 'Annotation Text', fieldType: 'text' },
+      { value: 'annotationComment', label: 'Annotation Comment', fieldType: 'text' },
+      { value: 'attachmentContent', label: 'Attachment Content', fieldType: 'text' },
       // Location (Books)
       { value: 'place', label: 'Place', fieldType: 'text' },
       { value: 'archiveLocation', label: 'Archive Location', fieldType: 'text' },
@@ -657,8 +1200,9 @@ var ZoteroSearchDialog = {
     const replaceFieldSelect = this.elements.replaceFieldSelect;
     if (!replaceFieldSelect) return;
 
-    // Get unique fields from conditions (excluding 'all')
-    const fields = [...new Set(this.state.conditions.map(c => c.field))].filter(f => f !== 'all');
+    // Get unique fields from conditions (excluding 'all' and fields that cannot be replaced)
+    const fields = [...new Set(getConditionLeaves(this.state.conditions).map(c => c.field))]
+      .filter(f => f !== 'all' && !isReadOnlyField(f));
 
     // Get field labels
     const allFieldsMap = {};
@@ -676,6 +1220,7 @@ var ZoteroSearchDialog = {
     if (replaceFieldSelect.value && !fields.includes(replaceFieldSelect.value)) {
       replaceFieldSelect.value = fields[0] || '';
     }
+    this.updateCreatorActionState();
   },
 
   // Update Replace In dropdown with fields that had matches (for "All Fields" search)
@@ -706,12 +1251,106 @@ var ZoteroSearchDialog = {
 
     // Default to "All matched fields"
     replaceFieldSelect.value = '__all_matched__';
+    this.updateCreatorActionState();
+  },
+
+  // Fill the Write To dropdown with the fields a replacement can be written to
+  renderTargetFields: function() {
+    const targetSelect = this.elements.replaceTargetField;
+    if (!targetSelect) return;
+
+    for (const field of STANDARD_FIELDS) {
+      const option = document.createElement('option');
+      option.value = field;
+      option.textContent = this.getFieldLabel(field);
+      targetSelect.appendChild(option);
+    }
+  },
+
+  // Fill the creator type dropdowns of the Change type action and the Only Creators filter
+  renderCreatorTypes: function() {
+    const creatorTypes = getZotero()?.CreatorTypes;
+    if (!creatorTypes?.getTypes) return;
+
+    for (const typeSelect of [this.elements.creatorTypeSelect, this.elements.creatorTypeFilter].filter(Boolean)) {
+      for (const type of creatorTypes.getTypes()) {
+        const option = document.createElement('option');
+        option.value = type.name;
+        option.textContent = creatorTypes.getLocalizedString?.(type.name) || type.name;
+        typeSelect.appendChild(option);
+      }
+    }
+    if (this.elements.creatorTypeSelect) {
+      this.elements.creatorTypeSelect.value = 'editor';
+    }
+  },
+
+  // Show the Creator Action row for creator fields, with the input the chosen action needs
+  updateCreatorActionState: function() {
+    const { creatorActionRow, creatorAction, creatorSplitSeparator, creatorTypeSelect } = this.elements;
+    if (!creatorActionRow || !creatorAction) return;
+
+    creatorActionRow.hidden = !this.elements.replaceFieldSelect?.value?.startsWith('creator.');
+    if (creatorSplitSeparator) {
+      creatorSplitSeparator.hidden = creatorAction.value !== 'split';
+    }
+    if (creatorTypeSelect) {
+      creatorTypeSelect.hidden = creatorAction.value !== 'setType';
+    }
+  },
+
+  // Select a creator operation in the Creator Action controls (none for a text replace)
+  setCreatorOperation: function(operation) {
+    const { creatorAction, creatorSplitSeparator, creatorTypeSelect } = this.elements;
+    if (creatorAction) {
+      creatorAction.value = !operation ? '' : operation.type === 'move' ? `move:${operation.position}` : operation.type;
+    }
+    if (operation?.separator && creatorSplitSeparator) {
+      creatorSplitSeparator.value = operation.separator;
+    }
+    if (operation?.creatorType && creatorTypeSelect) {
+      creatorTypeSelect.value = operation.creatorType;
+    }
+    this.updateCreatorActionState();
+  },
+
+  // The Creator Action's operation, or null when it does not apply to the Replace In field
+  getSelectedCreatorOperation: function() {
+    if (!this.elements.replaceFieldSelect?.value?.startsWith('creator.')) {
+      return null;
+    }
+    return getCreatorOperation(this.elements.creatorAction?.value,
+      this.elements.creatorSplitSeparator?.value, this.elements.creatorTypeSelect?.value);
+  },
+
+  // Replace options for the Replace In field: { creatorOperation, creatorFilter } for creator
+  // fields, { targetField, sourceMode } to write to another field, or {} for a plain replace
+  getFieldOptions: function() {
+    if (this.elements.replaceFieldSelect?.value?.startsWith('creator.')) {
+      const creatorOperation = this.getSelectedCreatorOperation();
+      const creatorFilter = getCreatorFilter(this.elements.creatorPositions?.value, this.elements.creatorTypeFilter?.value);
+      if (creatorOperation || creatorFilter) {
+        return {
+          ...(creatorOperation ? { creatorOperation } : {}),
+          ...(creatorFilter ? { creatorFilter } : {})
+        };
+      }
+    }
+
+    const targetField = this.elements.replaceTargetField?.value;
+    if (!targetField || targetField === this.elements.replaceFieldSelect?.value) {
+      return {};
+    }
+    if (this.elements.replaceFieldSelect?.value === '__all_matched__') {
+      throw new Error('Choose a single Replace In field to write to another field');
+    }
+    return { targetField, sourceMode: this.elements.replaceSourceMode?.value || 'keep' };
   },
 
   // Perform search with multiple conditions
   performSearch: async function() {
     // Get valid conditions (with patterns)
-    const validConditions = this.state.conditions.filter(c => c.pattern && c.pattern.trim());
+    const validConditions = getValidConditions(this.state.conditions);
 
     if (validConditions.length === 0) {
       this.showError('Please enter a search pattern');
@@ -723,23 +1362,33 @@ var ZoteroSearchDialog = {
       operator: condition.operator || 'AND'
     }));
 
-    // Add implicit collection scope if a collection is selected in Zotero's main window
-    // This scopes the search to the currently selected collection
-    const selectedCollection = getSelectedCollection();
-    let searchOptions = {};
-    if (selectedCollection) {
-      SRdebug('SearchReplace: Scoping to collection: ' + selectedCollection.name + ' (ID: ' + selectedCollection.id + ', libraryID: ' + selectedCollection.libraryID + ')');
-      conditions.push({
-        field: 'collection',
-        pattern: selectedCollection.id.toString(),
-        patternType: 'exact',
-        operator: 'AND',
-        _collectionName: selectedCollection.name // For UI display
-      });
-      // Also set libraryID to ensure we search the correct library (handles group libraries)
-      searchOptions.libraryID = selectedCollection.libraryID;
+    // Scope the search to the libraries and the collection or saved search picked under Search In
+    const scope = this.getScope();
+    if (scope.libraryIDs.length === 0) {
+      this.showError('Select at least one library to search');
+      return;
+    }
+    const { libraryIDs, condition: scopeCondition } = getScopeSearch(scope);
+    if (scopeCondition) {
+      SRdebug('SearchReplace: Scoping to ' + scopeCondition.field + ' ' + scopeCondition.pattern + (scope.recursive ? ' and its subcollections' : ''));
+      conditions.push(scopeCondition);
     }
+    const searchOptions = { libraryIDs };
+    this.state.multipleLibraries = libraryIDs.length > 1;
 
+    // A new search replaces one that is still running
+    if (this.state.searchController) {
+      this.state.searchController.abort();
+    }
+    const controller = new AbortController();
+    this.state.searchController = controller;
+    this.setSearching(true);
+
+    this.clearReview();
+    this.showSearchPlan('');
+    this.state.results = [];
+    this.state.selectedItemIDs.clear();
+    this.renderResults();
     this.showProgress('Searching...');
 
     try {
@@ -749,89 +1398,290 @@ var ZoteroSearchDialog = {
       }
 
       const engine = new SearchEngineClass();
+      // Once a newer search has started, this one no longer touches the results or the progress
+      const isCurrent = () => this.state.searchController === controller;
       const results = await engine.search(conditions, {
         ...searchOptions,
+        debug: Boolean(this.elements.showSearchPlan?.checked),
+        signal: controller.signal,
+        // Show matches as each batch is refined
+        onResults: (batchResults) => {
+          if (!isCurrent()) {
+            return;
+          }
+          this.state.results.push(...batchResults);
+          this.renderResults(batchResults);
+        },
         progressCallback: (progress) => {
-          if (progress.phase === 'filter') {
+          if (!isCurrent()) {
+            return;
+          }
+          if (progress.phase === 'plan') {
+            this.showSearchPlan(progress.description);
+          } else if (progress.phase === 'filter') {
             this.showProgress(`Found ${progress.count} potential matches...`);
           } else if (progress.phase === 'refine') {
-            this.showProgress(`Refining ${progress.current}/${progress.total}...`);
+            this.showProgress(`Refining ${progress.current}/${progress.total}... (${this.state.results.length} found)`);
           }
         }
       });
 
-      this.state.results = results;
-
-      // Extract unique fields that actually had matches (for "All Fields" search UX)
-      const matchedFields = new Set();
-      for (const result of results) {
-        if (result.matchDetails) {
-          for (const detail of result.matchDetails) {
-            matchedFields.add(detail.field);
-          }
-        }
+      if (isCurrent()) {
+        this.state.results = results;
+        this.updateFieldsFromResults(conditions);
+        this.renderResults();
       }
-      // Use matched fields if available (from "All Fields" search), otherwise use condition fields
-      this.state.fields = matchedFields.size > 0
-        ? [...matchedFields]
-        : conditions.map(c => c.field);
-
-      // Update replace dropdown to show which fields had matches
-      this.updateReplaceFieldOptionsForMatchedFields([...matchedFields]);
-
-      this.renderResults();
 
     } catch (e) {
+      if (e.code === 'SEARCH_CANCELLED') {
+        // Keep the matches found so far, unless a newer search has taken over
+        if (this.state.searchController === controller) {
+          this.updateFieldsFromResults(conditions);
+          this.showProgress(`${this.state.results.length} items found (search stopped)`);
+        }
+        return;
+      }
+
       SRdebug('Error: ' + e.message + (e.stack ? '\n' + e.stack : ''));
       if (e.name === 'SearchError') {
         this.showError(`Search error: ${e.message}`);
       } else {
         this.showError(`Unexpected error: ${e.message}`);
       }
+    } finally {
+      if (this.state.searchController === controller) {
+        this.state.searchController = null;
+        this.setSearching(false);
+      }
+    }
+  },
+
+  // List the user's libraries under Search In. The library and collection selected
+  // in Zotero's main window are picked by default, otherwise My Library.
+  renderScope: function() {
+    const container = this.elements.scopeLibraries;
+    const zotero = getZotero();
+    if (!container || !zotero?.Libraries) {
+      return;
+    }
+
+    const selectedCollection = getSelectedCollection();
+    const defaultLibraryID = selectedCollection ? selectedCollection.libraryID : zotero.Libraries.userLibraryID;
+    const libraries = zotero.Libraries.getAll()
+      .filter((library) => library.libraryType === 'user' || library.libraryType === 'group');
+
+    container.innerHTML = '';
+    for (const library of libraries) {
+      const label = document.createElement('label');
+      label.className = 'checkbox-wrapper';
+      if (!library.editable) {
+        label.title = 'Read-only library: it can be searched, but its items are not changed by Replace';
+      }
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.libraryID = library.libraryID;
+      checkbox.checked = library.libraryID === defaultLibraryID;
+      checkbox.addEventListener('change', () => this.updateScopeCollections());
+      const name = document.createElement('span');
+      name.textContent = library.name;
+      label.appendChild(checkbox);
+      label.appendChild(name);
+      container.appendChild(label);
+    }
+
+    this.updateScopeCollections(selectedCollection ? 'collection:' + selectedCollection.id : '');
+  },
+
+  getCheckedLibraryIDs: function() {
+    return [...this.elements.scopeLibraries.querySelectorAll('input[type="checkbox"]')]
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => Number(checkbox.dataset.libraryID));
+  },
+
+  // Offer the collections and saved searches of the checked library, when exactly one is checked
+  updateScopeCollections: function(selectedValue = '') {
+    const select = this.elements.scopeCollection;
+    if (!select) {
+      return;
+    }
+
+    const libraryIDs = this.getCheckedLibraryIDs();
+    select.innerHTML = '';
+    const allItems = document.createElement('option');
+    allItems.value = '';
+    allItems.textContent = libraryIDs.length > 1 ? 'All items of the selected libraries' : 'All items';
+    select.appendChild(allItems);
+
+    if (libraryIDs.length === 1) {
+      const zotero = getZotero();
+      const collections = flattenCollectionTree(zotero.Collections.getByLibrary(libraryIDs[0]))
+        .map(({ collection, depth }) => ({ value: 'collection:' + collection.id, label: '\u00a0\u00a0'.repeat(depth) + collection.name }));
+      const savedSearches = (zotero.Searches ? zotero.Searches.getByLibrary(libraryIDs[0]) : [])
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((savedSearch) => ({ value: 'savedSearch:' + savedSearch.id, label: savedSearch.name }));
+
+      for (const [label, entries] of [['Collections', collections], ['Saved Searches', savedSearches]]) {
+        if (entries.length === 0) {
+          continue;
+        }
+        const group = document.createElement('optgroup');
+        group.label = label;
+        for (const entry of entries) {
+          const option = document.createElement('option');
+          option.value = entry.value;
+          option.textContent = entry.label;
+          group.appendChild(option);
+        }
+        select.appendChild(group);
+      }
+    }
+
+    select.value = selectedValue;
+    select.disabled = libraryIDs.length !== 1;
+    this.updateScopeState();
+  },
+
+  // Subcollections only apply to a collection scope
+  updateScopeState: function() {
+    if (this.elements.scopeRecursive) {
+      this.elements.scopeRecursive.disabled = !parseScopeValue(this.elements.scopeCollection?.value).collectionID;
+    }
+  },
+
+  // Scope picked under Search In: { libraryIDs, collectionID, savedSearchID, recursive }.
+  // Without the picker, the collection selected in Zotero's main window is the scope.
+  getScope: function() {
+    if (!this.elements.scopeLibraries) {
+      const selectedCollection = getSelectedCollection();
+      const zotero = getZotero();
+      return {
+        libraryIDs: [selectedCollection ? selectedCollection.libraryID : zotero.Libraries.userLibraryID],
+        collectionID: selectedCollection ? selectedCollection.id : null,
+        savedSearchID: null,
+        recursive: false
+      };
+    }
+
+    const { collectionID, savedSearchID } = parseScopeValue(this.elements.scopeCollection?.value);
+    return {
+      libraryIDs: this.getCheckedLibraryIDs(),
+      collectionID,
+      savedSearchID,
+      recursive: Boolean(collectionID && this.elements.scopeRecursive?.checked)
+    };
+  },
+
+  // Stop the running search; matches found so far stay listed
+  stopSearch: function() {
+    if (this.state.searchController) {
+      this.state.searchController.abort();
+    }
+  },
+
+  setSearching: function(searching) {
+    if (this.elements.stopSearchButton) {
+      this.elements.stopSearchButton.disabled = !searching;
+    }
+  },
+
+  updateFieldsFromResults: function(conditions) {
+    // Extract unique fields that actually had matches (for "All Fields" search UX)
+    const matchedFields = new Set();
+    for (const result of this.state.results) {
+      if (result.matchDetails) {
+        for (const detail of result.matchDetails.filter((detail) => !isReadOnlyField(detail.field))) {
+          matchedFields.add(detail.field);
+        }
+      }
     }
+    // Use matched fields if available (from "All Fields" search), otherwise use condition fields
+    this.state.fields = matchedFields.size > 0
+      ? [...matchedFields]
+      : getConditionLeaves(conditions).map(c => c.field);
+
+    // Update replace dropdown to show which fields had matches
+    this.updateReplaceFieldOptionsForMatchedFields([...matchedFields]);
   },
 
-  renderResults: function() {
+  // Render the result list; with newResults (a batch streamed during a search),
+  // rows are only appended for those results
+  renderResults: function(newResults = null) {
     const list = this.elements.resultsList;
-    while (list.firstChild) {
-      list.removeChild(list.firstChild);
+    if (!newResults) {
+      while (list.firstChild) {
+        list.removeChild(list.firstChild);
+      }
     }
 
     // Group results by itemID to show single line per item
     const itemsByID = new Map();
-    for (const result of this.state.results) {
+    for (const result of newResults || this.state.results) {
       if (!itemsByID.has(result.itemID)) {
         itemsByID.set(result.itemID, {
           item: result.item,
-          matchDetails: []
+          parentItemID: result.parentItemID || null,
+          annotationPageLabel: result.annotationPageLabel ?? null,
+          matchDetails: [],
+          timedOutFields: []
         });
       }
       itemsByID.get(result.itemID).matchDetails.push(...result.matchDetails);
+      itemsByID.get(result.itemID).timedOutFields.push(...(result.timedOutFields || []));
     }
 
     for (const [itemID, data] of itemsByID) {
       const item = document.createElement('div');
       item.className = 'result-item';
       item.dataset.itemID = itemID;
+      if (this.state.selectedItemIDs.has(itemID)) {
+        item.classList.add('selected');
+      }
 
-      // Get title for display
-      const title = data.item.getField('title') || '(Untitled)';
+      const title = getResultTitle(data.item, data.annotationPageLabel);
       const itemKey = data.item.key;
 
       // Create field:value pairs from unique match details
       const fieldChips = [];
       const seenFields = new Set();
+      const snippets = [];
       for (const detail of data.matchDetails) {
-        if (!seenFields.has(detail.field) && detail.field !== 'title') {
+        if (detail.field === 'attachmentContent' && !seenFields.has(detail.field)) {
+          // Full-text matches get a longer snippet of their own, with the match highlighted
           seenFields.add(detail.field);
+          snippets.push(this.createMatchSnippet(detail));
+        } else if (!seenFields.has(detail.field) && !seenFields.has(`${detail.field}#${detail.creatorIndex}`) && detail.field !== 'title') {
+          // Each matching creator is listed with its position and, unless it is an author, its type
+          const isCreator = detail.creatorIndex !== undefined;
+          seenFields.add(isCreator ? `${detail.field}#${detail.creatorIndex}` : detail.field);
           const preview = this.getMatchPreview(detail.value, detail.matchIndex, detail.matchLength);
           // Truncate long values
           const truncated = preview.length > 50 ? preview.substring(0, 47) + '...' : preview;
-          const label = this.getFieldLabel(detail.field);
+          let label = this.getFieldLabel(detail.field);
+          if (isCreator) {
+            label += ` ${detail.creatorIndex + 1}`;
+            if (detail.creatorType && detail.creatorType !== 'author') {
+              label += ` (${detail.creatorType})`;
+            }
+          }
           fieldChips.push(`${label}: "${truncated}"`);
         }
       }
 
+      if (this.state.multipleLibraries) {
+        const libraryName = getZotero()?.Libraries?.getName(data.item.libraryID);
+        if (libraryName) {
+          fieldChips.unshift(`Library: ${libraryName}`);
+        }
+      }
+
+      for (const field of new Set(data.timedOutFields)) {
+        fieldChips.push(`${this.getFieldLabel(field)}: timed out`);
+      }
+      if (data.timedOutFields.length > 0) {
+        item.classList.add('timed-out');
+        item.title = 'The search pattern took too long on some fields of this item; they were not searched and are not replaced';
+      }
+
       // Build the display: [Title] | field1: "..." | field2: "..."
       // Title is clickable to open in Zotero
       const titleLink = document.createElement('a');
@@ -857,7 +1707,27 @@ var ZoteroSearchDialog = {
       fieldsSpan.style.fontSize = '11px';
 
       item.appendChild(titleLink);
+      // Child notes and attachments link back to the item they belong to, and
+      // annotations to their attachment and its parent item
+      const zotero = getZotero();
+      let ancestor = data.parentItemID ? zotero?.Items?.get(data.parentItemID) : null;
+      while (ancestor) {
+        const parentItem = ancestor;
+        const parentLink = document.createElement('a');
+        parentLink.className = 'result-parent result-link';
+        parentLink.textContent = ' \u2190 ' + (parentItem.getField('title') || '(Untitled)');
+        parentLink.href = '#';
+        parentLink.title = 'Open the parent item in Zotero';
+        parentLink.addEventListener('click', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.openInZotero(parentItem.id, parentItem);
+        });
+        item.appendChild(parentLink);
+        ancestor = parentItem.parentItemID ? zotero.Items.get(parentItem.parentItemID) : null;
+      }
       item.appendChild(fieldsSpan);
+      snippets.forEach((snippet) => item.appendChild(snippet));
 
       // Click to select/deselect
       item.addEventListener('click', () => {
@@ -884,9 +1754,9 @@ var ZoteroSearchDialog = {
   },
 
   // Open item in Zotero - based on zotero-ner implementation
-  openInZotero: async function(itemID) {
+  openInZotero: async function(itemID, knownItem) {
     try {
-      const item = this.state.results.find(r => r.itemID === itemID)?.item;
+      const item = knownItem || this.state.results.find(r => r.itemID === itemID)?.item;
       if (!item) {
         return;
       }
@@ -900,8 +1770,7 @@ var ZoteroSearchDialog = {
       // Method 1: Use opener.ZoteroPane (like zotero-ner does)
       if (opener && opener.ZoteroPane && opener.ZoteroPane.selectItem) {
         if (opener.Zotero && opener.Zotero.Items && opener.Zotero.Items.getByLibraryAndKeyAsync) {
-          const libraryID = opener.Zotero.Libraries ? opener.Zotero.Libraries.userLibraryID : itemLibraryID;
-          opener.Zotero.Items.getByLibraryAndKeyAsync(libraryID, itemKey).then(retrievedItem => {
+          opener.Zotero.Items.getByLibraryAndKeyAsync(itemLibraryID, itemKey).then(retrievedItem => {
             if (retrievedItem && retrievedItem.id) {
               opener.ZoteroPane.selectItem(retrievedItem.id);
             } else {
@@ -929,16 +1798,20 @@ var ZoteroSearchDialog = {
   },
 
   getMatchPreview: function(value, matchIndex, matchLength) {
-    if (matchIndex < 0) return value;
-
-    const start = Math.max(0, matchIndex - 20);
-    const end = Math.min(value.length, matchIndex + matchLength + 20);
-    let preview = value.substring(start, end);
-
-    if (start > 0) preview = '...' + preview;
-    if (end < value.length) preview = preview + '...';
+    const { before, match, after } = getMatchPreviewParts(value, matchIndex, matchLength);
+    return before + match + after;
+  },
 
-    return preview;
+  createMatchSnippet: function(detail) {
+    const { before, match, after } = getMatchPreviewParts(detail.value, detail.matchIndex, detail.matchLength, 80);
+    const snippet = document.createElement('div');
+    snippet.className = 'result-snippet';
+    snippet.appendChild(document.createTextNode(`${this.getFieldLabel(detail.field)}: ${before}`));
+    const mark = document.createElement('mark');
+    mark.textContent = match;
+    snippet.appendChild(mark);
+    snippet.appendChild(document.createTextNode(after));
+    return snippet;
   },
 
   selectAll: function() {
@@ -959,6 +1832,7 @@ var ZoteroSearchDialog = {
     this.updateUIState();
   },
 
+  // Preview every pending change on the selected items (or on all results when nothing is selected)
   previewReplace: async function() {
     if (this.state.results.length === 0) {
       this.showError('No results to preview');
@@ -971,7 +1845,6 @@ var ZoteroSearchDialog = {
       return;
     }
 
-    const firstResult = this.state.results[0];
     const replacePattern = getDialogReplacePattern(this.state, this.elements.replaceInput);
 
     const replaceFieldValue = this.elements.replaceFieldSelect?.value;
@@ -987,26 +1860,266 @@ var ZoteroSearchDialog = {
       if (replaceConditions.length === 0) {
         throw new Error('No replaceable search conditions for the selected fields');
       }
+      const fieldOptions = this.getFieldOptions();
+
+      const hasSelection = this.state.selectedItemIDs.size > 0;
+      const seenItemIDs = new Set();
+      const targetResults = this.state.results.filter((result) => {
+        if (seenItemIDs.has(result.itemID) || (hasSelection && !this.state.selectedItemIDs.has(result.itemID))
+          || hasTimedOutField(result, fieldsToPreview)) {
+          return false;
+        }
+        seenItemIDs.add(result.itemID);
+        return true;
+      });
 
       const engine = new ReplaceEngineClass();
-      const changes = engine.previewReplace(firstResult.item, replaceConditions, replacePattern);
-
-      if (changes.length === 0) {
-        this.elements.previewOutput.value = 'No changes would be made';
-      } else {
-        let preview = 'Preview for first item:\n\n';
-        for (const change of changes) {
-          preview += `${change.field}:\n`;
-          preview += `  Original: "${change.original}"\n`;
-          preview += `  Replaced: "${change.replaced}"\n\n`;
+      const previewedItems = targetResults
+        .map((result) => result.item)
+        .filter((item) => !fieldOptions.targetField || engine.isFieldValidForItem(item, fieldOptions.targetField));
+      const invalidTargetCount = targetResults.length - previewedItems.length;
+      // Long fields are matched within the regex time budget
+      const previews = await engine.previewItems(previewedItems, replaceConditions, replacePattern, fieldOptions);
+      const timedOutCount = previews.filter((preview) => preview.timedOutFields.length > 0).length;
+
+      const entries = [];
+      for (const { item, changes } of previews) {
+        if (changes.length > 0) {
+          entries.push({
+            item,
+            itemID: item.id,
+            changes: changes.map((change) => ({
+              ...change,
+              accepted: true,
+              ...(change.creatorIndexes ? { acceptedCreators: [...change.creatorIndexes] } : {})
+            }))
+          });
         }
-        this.elements.previewOutput.value = preview;
+      }
+
+      this.state.review = {
+        key: this.getReviewKey(replaceConditions, replacePattern, fieldOptions),
+        replacePattern,
+        fieldOptions,
+        itemIDs: seenItemIDs,
+        entries
+      };
+      this.renderReview();
+      const skipped = [];
+      if (invalidTargetCount > 0) {
+        skipped.push(`${invalidTargetCount} items are skipped: their item type has no ${this.getFieldLabel(fieldOptions.targetField)} field`);
+      }
+      if (timedOutCount > 0) {
+        skipped.push(`${timedOutCount} items have fields left unchanged: the regex ran out of time on them`);
+      }
+      if (skipped.length > 0) {
+        this.showError(skipped.join('. '));
       }
     } catch (e) {
       this.showError(`Preview error: ${e.message}`);
     }
   },
 
+  // Identifies the search/replace settings a review was built for
+  getReviewKey: function(replaceConditions, replacePattern, fieldOptions = {}) {
+    return JSON.stringify({
+      conditions: replaceConditions,
+      replace: typeof replacePattern === 'function' ? '[function]' : replacePattern,
+      options: fieldOptions
+    });
+  },
+
+  // A review is only used for saving while its settings still match and it covers every item in itemIDs
+  getCurrentReview: function(replaceConditions, replacePattern, fieldOptions = {}, itemIDs = this.state.selectedItemIDs) {
+    const review = this.state.review;
+    if (!review || review.replacePattern !== replacePattern
+      || review.key !== this.getReviewKey(replaceConditions, replacePattern, fieldOptions)) {
+      return null;
+    }
+
+    for (const itemID of itemIDs) {
+      if (!review.itemIDs.has(itemID)) {
+        return null;
+      }
+    }
+
+    return review;
+  },
+
+  clearReview: function() {
+    this.state.review = null;
+    this.renderReview();
+  },
+
+  setAllChangesAccepted: function(accepted) {
+    if (!this.state.review) return;
+
+    for (const entry of this.state.review.entries) {
+      for (const change of entry.changes) {
+        change.accepted = accepted;
+        if (change.creatorIndexes) {
+          change.acceptedCreators = accepted ? [...change.creatorIndexes] : [];
+        }
+      }
+    }
+    this.renderReview();
+  },
+
+  updateReviewSummary: function() {
+    const summary = this.elements.reviewSummary;
+    if (!summary) return;
+
+    const review = this.state.review;
+    if (!review) {
+      summary.textContent = '';
+      return;
+    }
+
+    const changes = review.entries.flatMap((entry) => entry.changes);
+    const accepted = changes.filter((change) => change.accepted).length;
+    summary.textContent = `${changes.length} changes in ${review.entries.length} items (${accepted} accepted)`;
+  },
+
+  // Append diff segments, highlighting deletions (before view) or insertions (after view)
+  appendDiffSegments: function(container, segments, view) {
+    const hiddenType = view === 'before' ? 'insert' : 'delete';
+    for (const segment of segments) {
+      if (segment.type === hiddenType) {
+        continue;
+      }
+
+      if (segment.type === 'equal') {
+        container.appendChild(document.createTextNode(segment.text));
+      } else {
+        const mark = document.createElement(segment.type === 'insert' ? 'ins' : 'del');
+        mark.textContent = segment.text;
+        container.appendChild(mark);
+      }
+    }
+  },
+
+  renderReview: function() {
+    const output = this.elements.previewOutput;
+    if (!output) return;
+
+    while (output.firstChild) {
+      output.removeChild(output.firstChild);
+    }
+    this.updateReviewSummary();
+
+    const review = this.state.review;
+    if (!review) {
+      return;
+    }
+
+    const creatorTypes = getZotero()?.CreatorTypes;
+    const getCreatorTypeName = (type) => (typeof type === 'string' ? type : creatorTypes?.getName?.(type));
+
+    if (review.entries.length === 0) {
+      output.textContent = 'No changes would be made';
+      return;
+    }
+
+    const diffText = getBundledExport('diffText');
+
+    for (const entry of review.entries) {
+      const itemDiv = document.createElement('div');
+      itemDiv.className = 'review-item';
+
+      const titleLink = document.createElement('a');
+      titleLink.className = 'review-item-title result-link';
+      titleLink.href = '#';
+      titleLink.textContent = getResultTitle(entry.item, entry.item.annotationPageLabel);
+      titleLink.title = 'Open in Zotero';
+      titleLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.openInZotero(entry.itemID);
+      });
+      itemDiv.appendChild(titleLink);
+
+      for (const change of entry.changes) {
+        const changeDiv = document.createElement('div');
+        changeDiv.className = 'review-change' + (change.accepted ? '' : ' rejected');
+
+        const label = document.createElement('label');
+        label.className = 'review-field';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = change.accepted;
+        checkbox.title = 'Apply this change';
+        const creatorCheckboxes = [];
+        checkbox.addEventListener('change', (e) => {
+          change.accepted = e.target.checked;
+          changeDiv.classList.toggle('rejected', !change.accepted);
+          if (change.creatorIndexes) {
+            change.acceptedCreators = change.accepted ? [...change.creatorIndexes] : [];
+            for (const creatorCheckbox of creatorCheckboxes) {
+              creatorCheckbox.checked = change.accepted;
+              creatorCheckbox.parentElement.classList.toggle('rejected', !change.accepted);
+            }
+          }
+          this.updateReviewSummary();
+        });
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(this.getFieldLabel(change.field)));
+
+        // Note changes carry the visible text next to the HTML
+        const before = change.originalText ?? formatChangeValue(change.field, change.original, getCreatorTypeName);
+        const after = change.replacedText ?? formatChangeValue(change.field, change.replaced, getCreatorTypeName);
+        const segments = diffText
+          ? diffText(before, after)
+          : [{ type: 'delete', text: before }, { type: 'insert', text: after }];
+
+        const beforeLine = document.createElement('div');
+        beforeLine.className = 'review-before';
+        this.appendDiffSegments(beforeLine, segments, 'before');
+
+        const afterLine = document.createElement('div');
+        afterLine.className = 'review-after';
+        this.appendDiffSegments(afterLine, segments, 'after');
+
+        changeDiv.appendChild(label);
+        changeDiv.appendChild(beforeLine);
+        changeDiv.appendChild(afterLine);
+
+        // With several changed creators, each can be accepted or rejected on its own
+        if (change.creatorIndexes?.length > 1) {
+          const originalCreators = JSON.parse(change.original);
+          const replacedCreators = JSON.parse(change.replaced);
+          for (const index of change.creatorIndexes) {
+            const creatorLabel = document.createElement('label');
+            const creatorAccepted = change.acceptedCreators.includes(index);
+            creatorLabel.className = 'review-creator' + (creatorAccepted ? '' : ' rejected');
+            const creatorCheckbox = document.createElement('input');
+            creatorCheckbox.type = 'checkbox';
+            creatorCheckbox.checked = creatorAccepted;
+            creatorCheckbox.title = 'Apply the change to this creator';
+            creatorCheckbox.addEventListener('change', (e) => {
+              change.acceptedCreators = change.creatorIndexes.filter((creatorIndex) => (creatorIndex === index
+                ? e.target.checked
+                : change.acceptedCreators.includes(creatorIndex)));
+              creatorLabel.classList.toggle('rejected', !e.target.checked);
+              change.accepted = change.acceptedCreators.length > 0;
+              checkbox.checked = change.accepted;
+              changeDiv.classList.toggle('rejected', !change.accepted);
+              this.updateReviewSummary();
+            });
+            creatorCheckboxes.push(creatorCheckbox);
+
+            const formatCreator = (creator) => formatChangeValue(change.field, JSON.stringify([creator]), getCreatorTypeName);
+            creatorLabel.appendChild(creatorCheckbox);
+            creatorLabel.appendChild(document.createTextNode(
+              `${index + 1}. ${formatCreator(originalCreators[index])} \u2192 ${formatCreator(replacedCreators[index])}`));
+            changeDiv.appendChild(creatorLabel);
+          }
+        }
+        itemDiv.appendChild(changeDiv);
+      }
+
+      output.appendChild(itemDiv);
+    }
+  },
+
   applyReplace: async function() {
     const selectedIDs = Array.from(this.state.selectedItemIDs);
     if (selectedIDs.length === 0) {
@@ -1020,9 +2133,7 @@ var ZoteroSearchDialog = {
       return;
     }
 
-    const selectedItems = this.state.results
-      .filter(r => this.state.selectedItemIDs.has(r.itemID))
-      .map(r => r.item);
+    const selectedResults = this.state.results.filter(r => this.state.selectedItemIDs.has(r.itemID));
 
     const replacePattern = getDialogReplacePattern(this.state, this.elements.replaceInput);
 
@@ -1032,10 +2143,10 @@ var ZoteroSearchDialog = {
       return;
     }
     const fieldsToReplace = getTargetFields(this.elements.replaceFieldSelect.value, this.state.fields || []);
-
-    if (!confirm(`Replace in ${selectedItems.length} items?`)) {
-      return;
-    }
+    const selectedItems = selectedResults
+      .filter((result) => !hasTimedOutField(result, fieldsToReplace))
+      .map((result) => result.item);
+    const timedOutCount = selectedResults.length - selectedItems.length;
 
     const replaceConditions = buildReplaceConditions(validConditions, fieldsToReplace);
     if (replaceConditions.length === 0) {
@@ -1043,6 +2154,55 @@ var ZoteroSearchDialog = {
       return;
     }
 
+    let fieldOptions;
+    try {
+      fieldOptions = this.getFieldOptions();
+    } catch (e) {
+      this.showError(e.message);
+      return;
+    }
+
+    if (selectedItems.length === 0) {
+      this.showError('The search timed out on the fields to replace in every selected item');
+      return;
+    }
+
+    // Only reviewed changes are saved. Without an up-to-date review of the selected items,
+    // e.g. after the replacement was edited, the preview is run so they can be reviewed first.
+    const reviewItemIDs = selectedItems.map((item) => item.id);
+    const review = this.getCurrentReview(replaceConditions, replacePattern, fieldOptions, reviewItemIDs);
+    if (!review) {
+      await this.previewReplace();
+      if (this.getCurrentReview(replaceConditions, replacePattern, fieldOptions, reviewItemIDs)) {
+        this.showError('Review the changes in the preview, then click Replace in Selected again');
+      }
+      return;
+    }
+    const reviewedEntries = getAcceptedReviewEntries(review, this.state.selectedItemIDs);
+    if (reviewedEntries.length === 0) {
+      this.showError('No accepted changes to apply');
+      return;
+    }
+
+    // Catch replacement syntax errors before asking for confirmation
+    try {
+      const ReplaceEngineClass = getReplaceEngine();
+      if (ReplaceEngineClass) {
+        new ReplaceEngineClass().compileReplacePattern(replacePattern);
+      }
+    } catch (e) {
+      this.showError(e.message);
+      return;
+    }
+
+    let question = `Apply ${reviewedEntries.reduce((count, entry) => count + entry.changes.length, 0)} accepted changes in ${reviewedEntries.length} items?`;
+    if (timedOutCount > 0) {
+      question += `\n\n${timedOutCount} selected items are skipped because the search timed out on the fields to replace.`;
+    }
+    if (!confirm(question)) {
+      return;
+    }
+
     let progressWindow = null;
 
     try {
@@ -1060,11 +2220,18 @@ var ZoteroSearchDialog = {
       }
 
       const engine = new ReplaceEngineClass();
-      const result = await engine.processItems(selectedItems, replaceConditions, replacePattern, {
+      const replaceOptions = {
+        journal: this.getJournal(),
+        operationName: buildOperationName(replaceConditions, replacePattern, fieldOptions.creatorOperation),
+        replacePattern,
+        saveMode: this.elements.atomicReplace?.checked ? 'atomic' : 'item',
+        chunkSize: Number(this.elements.atomicChunkSize?.value) || 0,
+        ...fieldOptions,
         progressCallback: (progress) => {
           this.updateProgress(progressWindow, progress);
         }
-      });
+      };
+      const result = await engine.applyReviewedChanges(reviewedEntries, replaceOptions);
 
       if (progressWindow && !progressWindow.closed) {
         progressWindow.close();
@@ -1073,10 +2240,24 @@ var ZoteroSearchDialog = {
       let message = `Modified: ${result.modified}\n`;
       message += `Skipped: ${result.skipped}\n`;
       if (result.errors.length > 0) {
-        message += `Errors: ${result.errors.length}`;
+        message += `Errors: ${result.errors.length}\n`;
+      }
+      if (result.readOnly?.length > 0) {
+        message += `Read-only, not changed: ${result.readOnly.length}\n`;
+      }
+      if (result.invalidTarget?.length > 0) {
+        message += `Target field not valid for item type, skipped: ${result.invalidTarget.length}\n`;
+      }
+      if (result.conflicts?.length > 0) {
+        message += `Changed since the preview, not saved: ${result.conflicts.length}\n`;
+      }
+      message += describeChunks(result.chunks);
+      if (result.journalError) {
+        message += `Warning: this run could not be recorded for undo (${result.journalError})`;
       }
       alert(message);
 
+      this.renderHistory();
       this.performSearch();
 
     } catch (e) {
@@ -1087,6 +2268,256 @@ var ZoteroSearchDialog = {
     }
   },
 
+  // Lazily create the undo journal shared by apply, undo and the history list
+  getJournal: function() {
+    if (!this.journal) {
+      const UndoJournalClass = getBundledExport('UndoJournal');
+      this.journal = UndoJournalClass ? new UndoJournalClass() : null;
+    }
+    return this.journal;
+  },
+
+  undoLastOperation: async function() {
+    const journal = this.getJournal();
+    if (!journal) {
+      this.showError('Undo journal not loaded. Please reload Zotero and try again.');
+      return;
+    }
+
+    try {
+      const operation = await journal.getLastOperation();
+      if (!operation) {
+        this.showError('There is no operation to undo');
+        return;
+      }
+      await this.rollbackOperation(operation.id);
+    } catch (e) {
+      this.showError(`Undo failed: ${e.message}`);
+    }
+  },
+
+  rollbackOperation: async function(operationID) {
+    const journal = this.getJournal();
+    if (!journal) {
+      this.showError('Undo journal not loaded. Please reload Zotero and try again.');
+      return;
+    }
+
+    try {
+      const operation = await journal.getOperation(operationID);
+      if (!operation) {
+        this.showError('Operation not found in history');
+        return;
+      }
+
+      // Items edited since the run are never overwritten; tell the user before proceeding
+      const conflicts = await journal.findConflicts(operation);
+      const total = operation.items.length;
+      let question = `Roll back "${operation.name}" on ${total} items?`;
+      if (conflicts.length === total) {
+        alert(`All ${total} items were edited since this operation, so it cannot be rolled back.\n\n`
+          + conflicts.slice(0, 10).map((conflict) => `${conflict.key}: ${conflict.reason}`).join('\n'));
+        return;
+      }
+      if (conflicts.length > 0) {
+        question = `${conflicts.length} of ${total} items were edited since "${operation.name}" and will be left unchanged:\n\n`
+          + conflicts.slice(0, 10).map((conflict) => `${conflict.key}: ${conflict.reason}`).join('\n')
+          + (conflicts.length > 10 ? '\n...' : '')
+          + `\n\nRoll back the remaining ${total - conflicts.length} items?`;
+      }
+      if (!confirm(question)) {
+        return;
+      }
+
+      const result = await journal.rollback(operationID);
+      let message = `Restored: ${result.restored}\n`;
+      if (result.conflicts.length > 0) {
+        message += `Skipped (edited since): ${result.conflicts.length}\n`;
+      }
+      if (result.errors.length > 0) {
+        message += `Errors: ${result.errors.length}`;
+      }
+      alert(message);
+
+      this.renderHistory();
+      if (this.state.results.length > 0) {
+        this.performSearch();
+      }
+    } catch (e) {
+      this.showError(`Rollback failed: ${e.message}`);
+    }
+  },
+
+  renderHistory: async function() {
+    const list = this.elements.historyList;
+    const journal = this.getJournal();
+    if (!list || !journal) return;
+
+    let operations = [];
+    try {
+      operations = await journal.getOperations();
+    } catch (e) {
+      SRdebug('Could not load undo journal: ' + e.message);
+    }
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    if (operations.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'No replace operations recorded yet';
+      list.appendChild(empty);
+    }
+
+    for (const operation of operations) {
+      const row = document.createElement('div');
+      row.className = 'history-item' + (operation.rolledBackAt ? ' rolled-back' : '');
+
+      const name = document.createElement('span');
+      name.className = 'history-name';
+      name.textContent = operation.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'history-meta';
+      const date = new Date(operation.createdAt).toLocaleString();
+      meta.textContent = operation.rolledBackAt
+        ? `${date} | rolled back`
+        : `${date} | ${operation.items.length} items`;
+
+      const rollbackButton = document.createElement('button');
+      rollbackButton.textContent = 'Roll Back';
+      rollbackButton.disabled = !!operation.rolledBackAt;
+      rollbackButton.addEventListener('click', () => this.rollbackOperation(operation.id));
+
+      row.appendChild(name);
+      row.appendChild(meta);
+      row.appendChild(rollbackButton);
+      list.appendChild(row);
+    }
+
+    if (this.elements.undoLastButton) {
+      this.elements.undoLastButton.disabled = !operations.some((operation) => !operation.rolledBackAt);
+    }
+  },
+
+  // Collect the creators of every item in the Search In scope and list the clusters of
+  // likely variants of the same name (see src/zotero/creator-variants.js)
+  findAuthorVariants: async function() {
+    const scope = this.getScope();
+    if (scope.libraryIDs.length === 0) {
+      this.showError('Select at least one library to search');
+      return;
+    }
+    const { libraryIDs, condition: scopeCondition } = getScopeSearch(scope);
+    const status = this.elements.variantsStatus;
+    const button = this.elements.findAuthorVariantsButton;
+
+    try {
+      const SearchEngineClass = getSearchEngine();
+      if (!SearchEngineClass) {
+        throw new Error('SearchEngine not loaded. Please reload Zotero and try again.');
+      }
+
+      if (button) button.disabled = true;
+      const engine = new SearchEngineClass();
+      const clusters = await engine.findCreatorVariants(scopeCondition ? [scopeCondition] : [], {
+        libraryIDs,
+        progressCallback: (progress) => {
+          if (status && progress.phase === 'refine') {
+            status.textContent = `Reading creators ${progress.current}/${progress.total}...`;
+          }
+        }
+      });
+      if (status) {
+        status.textContent = `${clusters.length} names with variants`;
+      }
+      this.renderCreatorVariants(clusters);
+    } catch (e) {
+      SRdebug('Error: ' + e.message + (e.stack ? '\n' + e.stack : ''));
+      this.showError(`Could not find author variants: ${e.message}`);
+      if (status) status.textContent = '';
+    } finally {
+      if (button) button.disabled = false;
+    }
+  },
+
+  // One block per cluster: a radio button per variant, the most complete form picked,
+  // and a button that loads the replace for the picked form
+  renderCreatorVariants: function(clusters) {
+    const list = this.elements.variantsList;
+    if (!list) return;
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+
+    if (clusters.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'No creator names with variants found';
+      list.appendChild(empty);
+    }
+
+    clusters.forEach((cluster, clusterIndex) => {
+      const block = document.createElement('div');
+      block.className = 'variant-cluster';
+
+      const header = document.createElement('div');
+      header.className = 'variant-cluster-header';
+      const title = document.createElement('span');
+      title.textContent = `${cluster.lastName} (${cluster.variants.length} variants, ${cluster.itemCount} items)`;
+      const useButton = document.createElement('button');
+      useButton.textContent = 'Use Selected Form';
+      useButton.title = 'Search for the other variants and replace them with the selected form';
+      header.appendChild(title);
+      header.appendChild(useButton);
+      block.appendChild(header);
+
+      const radios = cluster.variants.map((variant, index) => {
+        const option = document.createElement('label');
+        option.className = 'variant-option';
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `variant-cluster-${clusterIndex}`;
+        radio.checked = index === 0;
+        const name = document.createElement('span');
+        name.textContent = formatCreatorVariant(variant);
+        const meta = document.createElement('span');
+        meta.className = 'variant-meta';
+        meta.textContent = `${variant.itemCount} ${variant.itemCount === 1 ? 'item' : 'items'}`
+          + (variant.ambiguous ? ', also fits another name' : '');
+        option.appendChild(radio);
+        option.appendChild(name);
+        option.appendChild(meta);
+        block.appendChild(option);
+        return radio;
+      });
+
+      useButton.addEventListener('click', () => {
+        const canonical = cluster.variants[radios.findIndex((radio) => radio.checked)];
+        this.useCreatorVariant(cluster, canonical);
+      });
+      list.appendChild(block);
+    });
+  },
+
+  // Load the replace of the other variants with the canonical form like a pattern and
+  // search, so the changes go through the usual preview and replace
+  useCreatorVariant: function(cluster, canonical) {
+    const buildVariantReplace = getBundledExport('buildVariantReplace');
+    if (!buildVariantReplace || !canonical) {
+      this.showError('Author variants not loaded. Please reload Zotero and try again.');
+      return;
+    }
+
+    this.applyPattern(buildVariantReplace(cluster, canonical));
+    if (this.elements.creatorPositions) this.elements.creatorPositions.value = '';
+    if (this.elements.creatorTypeFilter) this.elements.creatorTypeFilter.value = '';
+    this.performSearch();
+  },
+
   createCollection: async function() {
     const selectedIDs = Array.from(this.state.selectedItemIDs);
     if (selectedIDs.length === 0) {
@@ -1121,7 +2552,7 @@ var ZoteroSearchDialog = {
     }
   },
 
-  loadPreloadedPatterns: function() {
+  loadPreloadedPatterns: async function() {
     // Try multiple ways to access patterns
     var patterns = null;
 
@@ -1178,12 +2609,70 @@ var ZoteroSearchDialog = {
 
     if (!patterns || patterns.length === 0) {
       SRdebug('No patterns available for dialog');
-      return;
     }
 
+    this.state.builtinPatterns = patterns || [];
+    await this.renderPatterns();
+  },
+
+  getUserPatternStore: function() {
+    if (!this.userPatternStore) {
+      const UserPatternStoreClass = getBundledExport('UserPatternStore');
+      this.userPatternStore = UserPatternStoreClass ? new UserPatternStoreClass() : null;
+    }
+    return this.userPatternStore;
+  },
+
+  // Saved user patterns, or an empty list when the store is unavailable
+  loadUserPatterns: async function() {
+    const store = this.getUserPatternStore();
+    if (!store) return [];
+
+    try {
+      return await store.list();
+    } catch (e) {
+      SRdebug('Could not load user patterns: ' + e.message);
+      return [];
+    }
+  },
+
+  getPatternPackStore: function() {
+    if (!this.patternPackStore) {
+      const PatternPackStoreClass = getBundledExport('PatternPackStore');
+      this.patternPackStore = PatternPackStoreClass ? new PatternPackStoreClass() : null;
+    }
+    return this.patternPackStore;
+  },
+
+  // Patterns of all imported packs, or an empty list when the store is unavailable
+  loadPackPatterns: async function() {
+    const store = this.getPatternPackStore();
+    if (!store) return [];
+
+    try {
+      return await store.getPatterns();
+    } catch (e) {
+      SRdebug('Could not load pattern packs: ' + e.message);
+      return [];
+    }
+  },
+
+  // Render user patterns ("My Patterns"), imported packs and the preloaded patterns, grouped by category
+  renderPatterns: async function() {
     const container = this.elements.patternsList;
     if (!container) return;
 
+    const userPatterns = await this.loadUserPatterns();
+    const userPatternIDs = new Set(userPatterns.map((pattern) => pattern.id));
+    const packPatterns = await this.loadPackPatterns();
+    const packNames = new Set(packPatterns.map((pattern) => pattern.packName));
+    const patterns = [...userPatterns, ...packPatterns, ...(this.state.builtinPatterns || [])];
+    this.state.renderedPatterns = patterns;
+
+    while (container.firstChild) {
+      container.removeChild(container.firstChild);
+    }
+
     const categories = {};
     // Build category divs first
     for (const pattern of patterns) {
@@ -1192,6 +2681,8 @@ var ZoteroSearchDialog = {
         catDiv.className = 'pattern-category';
         const catTitle = document.createElement('strong');
         catTitle.textContent = pattern.category;
+        catTitle.appendChild(this.createCategoryActions(pattern.category, packNames.has(pattern.category)));
+        catDiv.appendChild(catTitle);
         container.appendChild(catDiv);
         categories[pattern.category] = catDiv;
       }
@@ -1214,13 +2705,85 @@ var ZoteroSearchDialog = {
       item.appendChild(name);
       item.appendChild(desc);
 
+      if (userPatternIDs.has(pattern.id)) {
+        item.appendChild(this.createUserPatternActions(pattern));
+      }
+
       item.addEventListener('click', () => {
         // Clear previous selection
         container.querySelectorAll('.pattern-item.selected').forEach(el => el.classList.remove('selected'));
         item.classList.add('selected');
+        this.applyPattern(pattern);
+      });
 
-        // Get the first condition (or create one if none exist)
-        if (this.state.conditions.length === 0) {
+      catDiv.appendChild(item);
+    }
+  },
+
+  // Load a pattern's conditions, replace pattern and "Replace In" field into the dialog
+  applyPattern: function(pattern) {
+    // Get the first condition (or create one if none exist)
+    if (this.state.conditions.length === 0) {
+      this.state.conditions.push({
+        operator: 'AND',
+        field: 'title',
+        pattern: '',
+        patternType: 'regex',
+        caseSensitive: false
+      });
+    }
+    // Handle new format: pattern.conditions (array of condition objects)
+    if (pattern.conditions && pattern.conditions.length > 0) {
+      // Clear existing conditions and rebuild from pattern.conditions
+      this.state.conditions = [];
+
+      // Add conditions (and condition groups) from pattern.conditions array
+      this.state.conditions.push(...serializeConditions(pattern.conditions));
+
+      // Handle second condition (e.g., itemType = book for URL patterns)
+      if (pattern.secondCondition) {
+        this.state.conditions.push({
+          operator: 'AND',
+          field: pattern.secondCondition.field,
+          pattern: pattern.secondCondition.pattern,
+          patternType: 'exact',
+          caseSensitive: false
+        });
+      }
+
+      // Set replace field dropdown to first condition's field
+      if (this.elements.replaceFieldSelect) {
+        this.updateReplaceFieldOptions();
+        this.elements.replaceFieldSelect.value = pattern.replaceField || getConditionLeaves(pattern.conditions)[0]?.field;
+        this.updateCreatorActionState();
+      }
+    } else {
+      // Legacy format: single field/pattern
+      const condition = this.state.conditions[0];
+      condition.pattern = pattern.search || '';
+      if (pattern.fields && pattern.fields.length > 0) {
+        condition.field = pattern.fields[0];
+      }
+      if (pattern.patternType) {
+        condition.patternType = pattern.patternType;
+      }
+
+      // Handle patterns with multiple fields - create multiple conditions
+      if (pattern.fields && pattern.fields.length > 1) {
+        for (let i = 1; i < pattern.fields.length; i++) {
+          this.state.conditions.push({
+            operator: pattern.operator || 'OR',
+            field: pattern.fields[i],
+            pattern: pattern.search || '',
+            patternType: pattern.patternType || 'regex',
+            caseSensitive: false
+          });
+        }
+      }
+
+      // Handle second condition (e.g., itemType = book for URL patterns)
+      if (pattern.secondCondition) {
+        while (this.state.conditions.length < 2) {
           this.state.conditions.push({
             operator: 'AND',
             field: 'title',
@@ -1229,109 +2792,268 @@ var ZoteroSearchDialog = {
             caseSensitive: false
           });
         }
-        // Handle new format: pattern.conditions (array of condition objects)
-        if (pattern.conditions && pattern.conditions.length > 0) {
-          // Clear existing conditions and rebuild from pattern.conditions
-          this.state.conditions = [];
-
-          // Add conditions from pattern.conditions array
-          // Preserve original operators - the engine handles OR detection
-          pattern.conditions.forEach((cond, index) => {
-            this.state.conditions.push({
-              operator: cond.operator || (index === 0 ? 'AND' : 'AND'),
-              field: cond.field,
-              pattern: cond.pattern || '',
-              patternType: cond.patternType || 'regex',
-              caseSensitive: false
-            });
-          });
+        this.state.conditions[1] = {
+          operator: 'AND',
+          field: pattern.secondCondition.field,
+          pattern: pattern.secondCondition.pattern,
+          patternType: 'exact',
+          caseSensitive: false
+        };
+      } else if (this.state.conditions.length > 1) {
+        this.state.conditions.splice(1);
+      }
 
-          // Handle second condition (e.g., itemType = book for URL patterns)
-          if (pattern.secondCondition) {
-            this.state.conditions.push({
-              operator: 'AND',
-              field: pattern.secondCondition.field,
-              pattern: pattern.secondCondition.pattern,
-              patternType: 'exact',
-              caseSensitive: false
-            });
-          }
+      // Set Replace In dropdown - use first field from pattern
+      if (pattern.fields && pattern.fields.length > 0 && this.elements.replaceFieldSelect) {
+        const replaceField = pattern.fields[0];
+        this.updateReplaceFieldOptions();
+        this.elements.replaceFieldSelect.value = replaceField;
+        this.updateCreatorActionState();
+      }
+    }
 
-          // Set replace field dropdown to first condition's field
-          if (this.elements.replaceFieldSelect) {
-            this.updateReplaceFieldOptions();
-            this.elements.replaceFieldSelect.value = pattern.conditions[0].field;
-          }
-        } else {
-          // Legacy format: single field/pattern
-          const condition = this.state.conditions[0];
-          condition.pattern = pattern.search || '';
-          if (pattern.fields && pattern.fields.length > 0) {
-            condition.field = pattern.fields[0];
-          }
-          if (pattern.patternType) {
-            condition.patternType = pattern.patternType;
-          }
+    this.setCreatorOperation(pattern.creatorOperation);
 
-          // Handle patterns with multiple fields - create multiple conditions
-          if (pattern.fields && pattern.fields.length > 1) {
-            for (let i = 1; i < pattern.fields.length; i++) {
-              this.state.conditions.push({
-                operator: pattern.operator || 'OR',
-                field: pattern.fields[i],
-                pattern: pattern.search || '',
-                patternType: pattern.patternType || 'regex',
-                caseSensitive: false
-              });
-            }
-          }
+    // Set replace input and state
+    // Store the actual replace pattern (can be function or string) in state
+    this.state.replacePattern = pattern.replace;
+    if (this.elements.replaceInput) {
+      // Display empty for functions (can't display function in input), actual value is in state
+      this.elements.replaceInput.value = typeof pattern.replace === 'function' ? '' : (pattern.replace || '');
+    }
 
-          // Handle second condition (e.g., itemType = book for URL patterns)
-          if (pattern.secondCondition) {
-            while (this.state.conditions.length < 2) {
-              this.state.conditions.push({
-                operator: 'AND',
-                field: 'title',
-                pattern: '',
-                patternType: 'regex',
-                caseSensitive: false
-              });
-            }
-            this.state.conditions[1] = {
-              operator: 'AND',
-              field: pattern.secondCondition.field,
-              pattern: pattern.secondCondition.pattern,
-              patternType: 'exact',
-              caseSensitive: false
-            };
-          } else if (this.state.conditions.length > 1) {
-            this.state.conditions.splice(1);
-          }
+    // Re-render conditions to show the updated values
+    this.renderConditions();
+  },
 
-          // Set Replace In dropdown - use first field from pattern
-          if (pattern.fields && pattern.fields.length > 0 && this.elements.replaceFieldSelect) {
-            const replaceField = pattern.fields[0];
-            this.updateReplaceFieldOptions();
-            this.elements.replaceFieldSelect.value = replaceField;
-          }
-        }
+  createCategoryActions: function(category, isPack) {
+    const actions = document.createElement('span');
+    actions.className = 'pattern-category-actions';
 
-        // Set replace input and state
-        // Store the actual replace pattern (can be function or string) in state
-        this.state.replacePattern = pattern.replace;
-        if (this.elements.replaceInput) {
-          // Display empty for functions (can't display function in input), actual value is in state
-          this.elements.replaceInput.value = typeof pattern.replace === 'function' ? '' : (pattern.replace || '');
-        }
+    const addAction = (label, title, handler) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler();
+      });
+      actions.appendChild(button);
+    };
+
+    addAction('Export', 'Save the patterns of this category as a pattern pack', () => this.exportPatternCategory(category));
+    if (isPack) {
+      addAction('Remove', 'Remove this imported pattern pack', () => this.removePatternPack(category));
+    }
+
+    return actions;
+  },
+
+  // Ask for a pattern pack file; returns its path or null when cancelled
+  pickPatternPackFile: async function(title, save, defaultName) {
+    const { FilePicker } = ChromeUtils.importESModule('chrome://zotero/content/modules/filePicker.mjs');
+    const fp = new FilePicker();
+    fp.init(window, title, save ? fp.modeSave : fp.modeOpen);
+    fp.appendFilter('Pattern Pack (JSON)', '*.json');
+    if (defaultName) {
+      fp.defaultString = defaultName;
+    }
+
+    const rv = await fp.show();
+    return rv === fp.returnOK || rv === fp.returnReplace ? fp.file : null;
+  },
+
+  exportPatternCategory: async function(category) {
+    const exportPatternPack = getBundledExport('exportPatternPack');
+    if (!exportPatternPack) {
+      this.showError('Pattern packs not loaded. Please reload Zotero and try again.');
+      return;
+    }
+
+    let pack;
+    try {
+      const patterns = (this.state.renderedPatterns || []).filter((pattern) => pattern.category === category);
+      pack = exportPatternPack(patterns, { name: category });
+    } catch (e) {
+      this.showError(e.message);
+      return;
+    }
+
+    try {
+      const path = await this.pickPatternPackFile('Export Pattern Pack', true, getPatternPackFileName(category));
+      if (!path) return;
+      await getZotero().File.putContentsAsync(path, JSON.stringify(pack, null, 2));
+    } catch (e) {
+      this.showError(`Export failed: ${e.message}`);
+    }
+  },
+
+  importPatternPack: async function() {
+    const store = this.getPatternPackStore();
+    if (!store) {
+      this.showError('Pattern packs not loaded. Please reload Zotero and try again.');
+      return;
+    }
+
+    try {
+      const path = await this.pickPatternPackFile('Import Pattern Pack', false);
+      if (!path) return;
+      const contents = await getZotero().File.getContentsAsync(path);
+
+      // Ids of the patterns the pack must not shadow; other packs are checked by the store
+      const existingIDs = [...(await this.loadUserPatterns()), ...(this.state.builtinPatterns || [])]
+        .map((pattern) => pattern.id);
+      const { pack, conflicts } = await store.checkPack(contents, existingIDs);
+
+      const existing = (await store.list()).some((stored) => stored.name === pack.name);
+      if (existing && !confirm(`A pattern pack named "${pack.name}" is already imported. Replace it?`)) {
+        return;
+      }
+
+      let onConflict = 'skip';
+      if (conflicts.length > 0) {
+        const list = conflicts.map((conflict) => `  ${conflict.id} (${conflict.name})`).join('\n');
+        onConflict = confirm(
+          `${conflicts.length} pattern(s) in "${pack.name}" use ids that already exist:\n${list}\n\n`
+          + 'OK imports them under new ids, Cancel skips them.'
+        ) ? 'rename' : 'skip';
+      }
+
+      const result = await store.importPack(contents, { existingIDs, onConflict });
+      await this.renderPatterns();
+
+      const skipped = onConflict === 'skip' ? conflicts.length : 0;
+      alert(`Imported ${result.imported} pattern(s) into "${result.name}"`
+        + (skipped > 0 ? `, skipped ${skipped} with conflicting ids` : '')
+        + (result.renamed.length > 0 ? `, renamed ${result.renamed.length}` : '') + '.');
+    } catch (e) {
+      this.showError(`Import failed: ${e.message}`);
+    }
+  },
+
+  removePatternPack: async function(name) {
+    if (!confirm(`Remove the imported pattern pack "${name}"?`)) return;
+
+    try {
+      await this.getPatternPackStore().removePack(name);
+      await this.renderPatterns();
+    } catch (e) {
+      this.showError(`Pattern error: ${e.message}`);
+    }
+  },
+
+  createUserPatternActions: function(pattern) {
+    const actions = document.createElement('span');
+    actions.className = 'pattern-actions';
 
-        // Re-render conditions to show the updated values
-        this.renderConditions();
+    const addAction = (label, title, handler) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        handler();
       });
+      actions.appendChild(button);
+    };
 
-      catDiv.appendChild(item);
+    addAction('Rename', 'Rename this pattern', () => this.renameUserPattern(pattern));
+    addAction('Update', 'Overwrite this pattern with the current conditions and replacement', () => this.updateUserPattern(pattern));
+    addAction('Duplicate', 'Save a copy of this pattern', () => this.runUserPatternAction(
+      (store) => store.duplicate(pattern.id)
+    ));
+    addAction('Delete', 'Delete this pattern', () => {
+      if (confirm(`Delete pattern "${pattern.name}"?`)) {
+        this.runUserPatternAction((store) => store.remove(pattern.id));
+      }
+    });
+
+    return actions;
+  },
+
+  // Run a store action, then refresh the patterns list
+  runUserPatternAction: async function(action) {
+    const store = this.getUserPatternStore();
+    if (!store) {
+      this.showError('Pattern library not loaded. Please reload Zotero and try again.');
+      return null;
+    }
+
+    try {
+      const result = await action(store);
+      await this.renderPatterns();
+      return result;
+    } catch (e) {
+      this.showError(`Pattern error: ${e.message}`);
+      return null;
     }
   },
 
+  // Current condition rows, replacement and "Replace In" field as a storable pattern definition
+  getCurrentPatternDefinition: function() {
+    const replacePattern = getDialogReplacePattern(this.state, this.elements.replaceInput);
+    if (typeof replacePattern === 'function') {
+      throw new Error('Preset function replacements cannot be saved; type a text replacement instead');
+    }
+
+    const replaceField = this.elements.replaceFieldSelect?.value;
+    return {
+      conditions: serializeConditions(getValidConditions(this.state.conditions)),
+      replace: replacePattern,
+      replaceField: replaceField && replaceField !== '__all_matched__' ? replaceField : undefined,
+      creatorOperation: this.getSelectedCreatorOperation() || undefined
+    };
+  },
+
+  saveCurrentAsPattern: async function() {
+    let definition;
+    try {
+      definition = this.getCurrentPatternDefinition();
+    } catch (e) {
+      this.showError(e.message);
+      return;
+    }
+
+    if (definition.conditions.length === 0) {
+      this.showError('Please enter a search pattern');
+      return;
+    }
+
+    const name = prompt('Pattern name:');
+    if (!name || !name.trim()) return;
+    const description = prompt('Description (optional):') || '';
+
+    await this.runUserPatternAction((store) => store.create({ ...definition, name, description }));
+  },
+
+  renameUserPattern: async function(pattern) {
+    const name = prompt('New pattern name:', pattern.name);
+    if (!name || !name.trim() || name.trim() === pattern.name) return;
+
+    await this.runUserPatternAction((store) => store.rename(pattern.id, name));
+  },
+
+  updateUserPattern: async function(pattern) {
+    let definition;
+    try {
+      definition = this.getCurrentPatternDefinition();
+    } catch (e) {
+      this.showError(e.message);
+      return;
+    }
+
+    if (definition.conditions.length === 0) {
+      this.showError('Please enter a search pattern');
+      return;
+    }
+
+    if (!confirm(`Overwrite pattern "${pattern.name}" with the current conditions and replacement?`)) {
+      return;
+    }
+
+    await this.runUserPatternAction((store) => store.update(pattern.id, definition));
+  },
+
   updateUIState: function() {
     const hasResults = this.state.results.length > 0;
     const hasSelection = this.state.selectedItemIDs.size > 0;
@@ -1353,6 +3075,14 @@ var ZoteroSearchDialog = {
     this.elements.resultsCount.textContent = message;
   },
 
+  // Show the Phase 1 prefilter of the last search (empty text hides it)
+  showSearchPlan: function(description) {
+    if (this.elements.searchPlan) {
+      this.elements.searchPlan.textContent = description;
+      this.elements.searchPlan.hidden = !description;
+    }
+  },
+
   updateProgress: function(progressWindow, progress) {
     if (progressWindow && !progressWindow.closed) {
       const percent = Math.round((progress.current / progress.total) * 100);
@@ -1366,7 +3096,31 @@ var ZoteroSearchDialog = {
 };
 
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { buildReplaceConditions, getDialogReplacePattern, isPositiveCondition };
+  module.exports = {
+    buildReplaceConditions,
+    describeChunks,
+    buildOperationName,
+    formatChangeValue,
+    formatCreatorVariant,
+    getAcceptedReviewEntries,
+    getCreatorFilter,
+    getCreatorOperation,
+    flattenCollectionTree,
+    getDialogReplacePattern,
+    getPatternPackFileName,
+    getMatchPreviewParts,
+    getPositiveLeaves,
+    getResultTitle,
+    getScopeSearch,
+    getValidConditions,
+    hasTimedOutField,
+    isDatePatternType,
+    isFieldComparisonType,
+    parseCreatorPositions,
+    parseScopeValue,
+    selectCreatorChanges,
+    serializeConditions
+  };
 }
 
 if (typeof document !== 'undefined') {
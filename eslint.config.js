@@ -34,6 +34,10 @@ export default [
         setInterval: 'readonly',
         clearTimeout: 'readonly',
         clearInterval: 'readonly',
+        AbortController: 'readonly',
+        Worker: 'readonly',
+        Blob: 'readonly',
+        URL: 'readonly',
         localStorage: 'readonly',
         confirm: 'readonly',
         prompt: 'readonly',
@@ -50,6 +54,8 @@ export default [
         ZoteroPane: 'readonly',
         Services: 'readonly',
         Components: 'readonly',
+        PathUtils: 'readonly',
+        ChromeUtils: 'readonly',
         // Test globals
         jest: 'readonly',
         describe: 'readonly',
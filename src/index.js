@@ -36,23 +36,42 @@ if (typeof console === 'undefined') {
 
 // Core modules
 import SearchEngine from './zotero/search-engine.js';
-import ReplaceEngine from './zotero/replace-engine.js';
+import ReplaceEngine, { READ_ONLY_FIELDS } from './zotero/replace-engine.js';
 import ProgressManager from './zotero/progress-manager.js';
+import UndoJournal from './zotero/undo-journal.js';
+import { buildVariantReplace } from './zotero/creator-variants.js';
+import { DATE_PATTERN_TYPE_OPTIONS } from './zotero/date-conditions.js';
+import { FIELD_COMPARISON_TYPE_OPTIONS } from './zotero/field-comparisons.js';
+import { APPROXIMATE_PATTERN_TYPE_OPTIONS } from './zotero/approximate-matching.js';
 
 // Patterns module
 import { DATA_QUALITY_PATTERNS, PATTERN_CATEGORIES } from './patterns/quality-patterns.js';
+import UserPatternStore, { USER_PATTERN_CATEGORY } from './patterns/user-patterns.js';
+import PatternPackStore, { exportPatternPack } from './patterns/pattern-packs.js';
 
 // UI modules (loaded separately in dialogs)
 import SearchDialog from './ui/search-dialog.js';
+import { diffText } from './ui/text-diff.js';
 
 // Create the ZoteroSearchReplace namespace
 const ZoteroSearchReplace = {
   SearchEngine,
   ReplaceEngine,
+  READ_ONLY_FIELDS,
   ProgressManager,
+  UndoJournal,
+  buildVariantReplace,
+  DATE_PATTERN_TYPE_OPTIONS,
+  FIELD_COMPARISON_TYPE_OPTIONS,
+  APPROXIMATE_PATTERN_TYPE_OPTIONS,
   DATA_QUALITY_PATTERNS,
   PATTERN_CATEGORIES,
+  UserPatternStore,
+  USER_PATTERN_CATEGORY,
+  PatternPackStore,
+  exportPatternPack,
   SearchDialog,
+  diffText,
   hooks: {
     onStartup: () => {
       if (typeof Zotero !== 'undefined' && Zotero.NameNormalizer && Zotero.NameNormalizer.MenuIntegration) {
@@ -71,10 +90,21 @@ const ZoteroSearchReplace = {
 export {
   SearchEngine,
   ReplaceEngine,
+  READ_ONLY_FIELDS,
   ProgressManager,
+  UndoJournal,
+  buildVariantReplace,
+  DATE_PATTERN_TYPE_OPTIONS,
+  FIELD_COMPARISON_TYPE_OPTIONS,
+  APPROXIMATE_PATTERN_TYPE_OPTIONS,
   DATA_QUALITY_PATTERNS,
   PATTERN_CATEGORIES,
-  SearchDialog
+  UserPatternStore,
+  USER_PATTERN_CATEGORY,
+  PatternPackStore,
+  exportPatternPack,
+  SearchDialog,
+  diffText
 };
 
 export default ZoteroSearchReplace;
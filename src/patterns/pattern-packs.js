@@ -0,0 +1,473 @@
+/**
+ * Pattern Packs for Zotero Search & Replace Plugin
+ * Import and export of pattern collections as versioned JSON documents:
+ *
+ *   {
+ *     "format": "zotero-search-replace-pattern-pack",
+ *     "version": 1,
+ *     "name": "Lab cleanup rules",
+ *     "description": "...",
+ *     "patterns": [
+ *       { "id", "name", "description", "conditions", "replace", "category",
+ *         "replaceField"?, "creatorOperation"?, "secondCondition"? }
+ *     ]
+ *   }
+ *
+ * A condition is either a row { field, pattern, patternType?, operator?, caseSensitive? }
+ * or a group { "type": "group", operator?, conditions: [...] }. Field comparison rows
+ * name the other field in pattern, e.g. { "field": "title", "patternType":
+ * "field_equals", "pattern": "publicationTitle" }.
+ *
+ * Patterns have the same shape as DATA_QUALITY_PATTERNS entries. Function
+ * replacements are encoded by name as { "transform": "<name>" } and must be one
+ * of REPLACE_TRANSFORMS; no code is ever read from a pack.
+ *
+ * Imported packs are stored in the Zotero data directory and listed in the
+ * patterns panel with the pack name as their category.
+ */
+
+import { isApproximatePatternType, validateApproximatePattern } from '../zotero/approximate-matching.js';
+import { getCreatorOperationError } from '../zotero/creator-operations.js';
+import { isFieldComparisonType, validateFieldComparison } from '../zotero/field-comparisons.js';
+import { JsonFileStore } from '../zotero/json-store.js';
+import { PATTERN_TYPES } from '../zotero/search-engine.js';
+import { PATTERN_CATEGORIES } from './quality-patterns.js';
+import { getReplaceTransform, getReplaceTransformName } from './replace-transforms.js';
+import { USER_PATTERN_CATEGORY } from './user-patterns.js';
+
+export const PATTERN_PACK_FORMAT = 'zotero-search-replace-pattern-pack';
+export const PATTERN_PACK_VERSION = 1;
+export const PATTERN_PACKS_FILE_NAME = 'zotero-search-replace-pattern-packs.json';
+
+const PATTERN_ID = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+const CONDITION_OPERATORS = ['AND', 'OR', 'AND_NOT', 'OR_NOT'];
+const CREATOR_OPERATION_KEYS = ['type', 'separator', 'position', 'creatorType'];
+
+export class PatternPackError extends Error {
+  constructor(message, code, errors = []) {
+    super(message);
+    this.name = 'PatternPackError';
+    this.code = code; // 'INVALID_PACK', 'UNSUPPORTED_VERSION', 'UNSUPPORTED_REPLACE', 'PACK_NOT_FOUND', etc.
+    this.errors = errors; // Schema errors, one string per problem
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+// String replacements are stored as-is, function replacements by transform name
+export function encodeReplace(replace) {
+  if (replace === undefined || replace === null) {
+    return '';
+  }
+
+  if (typeof replace === 'string') {
+    return replace;
+  }
+
+  const transform = typeof replace === 'function' ? getReplaceTransformName(replace) : null;
+  if (!transform) {
+    throw new PatternPackError('Only text replacements and named transforms can be exported', 'UNSUPPORTED_REPLACE');
+  }
+  return { transform };
+}
+
+export function decodeReplace(replace) {
+  if (typeof replace === 'string') {
+    return replace;
+  }
+
+  const transform = isPlainObject(replace) ? getReplaceTransform(replace.transform) : null;
+  if (!transform) {
+    throw new PatternPackError(`Unknown replace transform: ${replace?.transform}`, 'UNSUPPORTED_REPLACE');
+  }
+  return transform;
+}
+
+function exportCondition(condition) {
+  if (condition.type === 'group') {
+    return {
+      type: 'group',
+      operator: condition.operator || 'AND',
+      conditions: (condition.conditions || []).map(exportCondition)
+    };
+  }
+
+  const exported = {
+    field: condition.field,
+    pattern: condition.pattern,
+    patternType: condition.patternType || PATTERN_TYPES.REGEX
+  };
+  if (condition.operator) {
+    exported.operator = condition.operator;
+  }
+  if (condition.caseSensitive) {
+    exported.caseSensitive = true;
+  }
+  return exported;
+}
+
+function exportPattern(pattern) {
+  let replace;
+  try {
+    replace = encodeReplace(pattern.replace);
+  } catch (e) {
+    throw new PatternPackError(`Pattern "${pattern.name}" cannot be exported: ${e.message}`, e.code);
+  }
+
+  const exported = {
+    id: pattern.id,
+    name: pattern.name,
+    description: pattern.description || '',
+    conditions: (pattern.conditions || []).map(exportCondition),
+    replace,
+    category: pattern.category || ''
+  };
+  if (pattern.replaceField) {
+    exported.replaceField = pattern.replaceField;
+  }
+  if (pattern.creatorOperation) {
+    exported.creatorOperation = Object.fromEntries(Object.entries(pattern.creatorOperation)
+      .filter(([key]) => CREATOR_OPERATION_KEYS.includes(key)));
+  }
+  if (pattern.secondCondition) {
+    exported.secondCondition = { field: pattern.secondCondition.field, pattern: pattern.secondCondition.pattern };
+  }
+  return exported;
+}
+
+// Build a pack document from patterns (preloaded, user or imported)
+export function exportPatternPack(patterns, info = {}) {
+  return {
+    format: PATTERN_PACK_FORMAT,
+    version: PATTERN_PACK_VERSION,
+    name: info.name || 'Patterns',
+    description: info.description || '',
+    exportedAt: new Date().toISOString(),
+    patterns: patterns.map(exportPattern)
+  };
+}
+
+function validateCondition(condition, path, errors) {
+  if (!isPlainObject(condition)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  if (condition.operator !== undefined && !CONDITION_OPERATORS.includes(condition.operator)) {
+    errors.push(`${path}.operator: must be one of ${CONDITION_OPERATORS.join(', ')}`);
+  }
+
+  if (condition.type === 'group') {
+    if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+      errors.push(`${path}.conditions: must be a non-empty array`);
+    } else {
+      condition.conditions.forEach((child, index) => validateCondition(child, `${path}.conditions[${index}]`, errors));
+    }
+    return;
+  }
+
+  if (condition.type !== undefined) {
+    errors.push(`${path}.type: must be "group" or omitted`);
+  }
+
+  if (!isNonEmptyString(condition.field)) {
+    errors.push(`${path}.field: must be a non-empty string`);
+  }
+
+  if (!isNonEmptyString(condition.pattern)) {
+    errors.push(`${path}.pattern: must be a non-empty string`);
+  }
+
+  const patternType = condition.patternType ?? PATTERN_TYPES.REGEX;
+  if (!Object.values(PATTERN_TYPES).includes(patternType)) {
+    errors.push(`${path}.patternType: must be one of ${Object.values(PATTERN_TYPES).join(', ')}`);
+  } else if (patternType === PATTERN_TYPES.REGEX && isNonEmptyString(condition.pattern)) {
+    try {
+      new RegExp(condition.pattern);
+    } catch (e) {
+      errors.push(`${path}.pattern: invalid regular expression (${e.message})`);
+    }
+  } else if (isApproximatePatternType(patternType) && isNonEmptyString(condition.pattern)) {
+    const problem = validateApproximatePattern(patternType, condition.pattern);
+    if (problem) {
+      errors.push(`${path}.pattern: ${problem}`);
+    }
+  } else if (isFieldComparisonType(patternType) && isNonEmptyString(condition.pattern)) {
+    const problem = validateFieldComparison(patternType, condition.pattern);
+    if (problem) {
+      errors.push(`${path}.pattern: ${problem}`);
+    }
+  }
+
+  if (condition.caseSensitive !== undefined && typeof condition.caseSensitive !== 'boolean') {
+    errors.push(`${path}.caseSensitive: must be a boolean`);
+  }
+}
+
+function validatePattern(pattern, path, errors) {
+  if (!isPlainObject(pattern)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+
+  if (typeof pattern.id !== 'string' || !PATTERN_ID.test(pattern.id)) {
+    errors.push(`${path}.id: must start with a letter or digit and contain only letters, digits, ".", "_" and "-"`);
+  }
+
+  if (!isNonEmptyString(pattern.name)) {
+    errors.push(`${path}.name: must be a non-empty string`);
+  }
+
+  for (const key of ['description', 'category', 'replaceField']) {
+    if (pattern[key] !== undefined && typeof pattern[key] !== 'string') {
+      errors.push(`${path}.${key}: must be a string`);
+    }
+  }
+
+  if (!Array.isArray(pattern.conditions) || pattern.conditions.length === 0) {
+    errors.push(`${path}.conditions: must be a non-empty array`);
+  } else {
+    pattern.conditions.forEach((condition, index) => validateCondition(condition, `${path}.conditions[${index}]`, errors));
+  }
+
+  if (pattern.replace !== undefined && typeof pattern.replace !== 'string') {
+    if (!isPlainObject(pattern.replace) || typeof pattern.replace.transform !== 'string') {
+      errors.push(`${path}.replace: must be a string or { "transform": "<name>" }`);
+    } else if (!getReplaceTransform(pattern.replace.transform)) {
+      errors.push(`${path}.replace.transform: unknown transform "${pattern.replace.transform}"`);
+    }
+  }
+
+  if (pattern.creatorOperation !== undefined) {
+    const problem = isPlainObject(pattern.creatorOperation) ? getCreatorOperationError(pattern.creatorOperation) : 'must be an object';
+    if (problem) {
+      errors.push(`${path}.creatorOperation: ${problem}`);
+    }
+  }
+
+  if (pattern.secondCondition !== undefined
+    && (!isPlainObject(pattern.secondCondition)
+      || !isNonEmptyString(pattern.secondCondition.field)
+      || typeof pattern.secondCondition.pattern !== 'string')) {
+    errors.push(`${path}.secondCondition: must be an object with "field" and "pattern" strings`);
+  }
+}
+
+// Returns a list of schema errors; an empty list means the pack is valid
+export function validatePatternPack(data) {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return ['Pack must be a JSON object'];
+  }
+
+  if (data.format !== PATTERN_PACK_FORMAT) {
+    errors.push(`format: must be "${PATTERN_PACK_FORMAT}"`);
+  }
+
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    errors.push('version: must be a positive integer');
+  }
+
+  if (!isNonEmptyString(data.name)) {
+    errors.push('name: must be a non-empty string');
+  }
+
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('description: must be a string');
+  }
+
+  if (!Array.isArray(data.patterns) || data.patterns.length === 0) {
+    errors.push('patterns: must be a non-empty array');
+    return errors;
+  }
+
+  const seen = new Set();
+  data.patterns.forEach((pattern, index) => {
+    const path = `patterns[${index}]`;
+    validatePattern(pattern, path, errors);
+    if (typeof pattern?.id === 'string') {
+      if (seen.has(pattern.id)) {
+        errors.push(`${path}.id: duplicate id "${pattern.id}"`);
+      }
+      seen.add(pattern.id);
+    }
+  });
+
+  return errors;
+}
+
+// Parse and validate a pack (JSON text or object); returns only the known properties
+export function parsePatternPack(input) {
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch (e) {
+      throw new PatternPackError(`Pattern pack is not valid JSON: ${e.message}`, 'INVALID_PACK');
+    }
+  }
+
+  if (isPlainObject(data) && Number.isInteger(data.version) && data.version > PATTERN_PACK_VERSION) {
+    throw new PatternPackError(
+      `Pattern pack version ${data.version} is newer than this plugin supports (${PATTERN_PACK_VERSION})`,
+      'UNSUPPORTED_VERSION'
+    );
+  }
+
+  const errors = validatePatternPack(data);
+  if (errors.length > 0) {
+    throw new PatternPackError(`Invalid pattern pack:\n${errors.join('\n')}`, 'INVALID_PACK', errors);
+  }
+
+  return {
+    format: PATTERN_PACK_FORMAT,
+    version: data.version,
+    name: data.name.trim(),
+    description: data.description || '',
+    patterns: data.patterns.map((pattern) => exportPattern({ ...pattern, replace: decodeReplace(pattern.replace ?? '') }))
+  };
+}
+
+// Patterns of the pack whose id is already in use
+export function findPatternIDConflicts(pack, existingIDs) {
+  const used = new Set(existingIDs);
+  return pack.patterns
+    .filter((pattern) => used.has(pattern.id))
+    .map((pattern) => ({ id: pattern.id, name: pattern.name }));
+}
+
+function getUniqueID(id, used) {
+  let suffix = 2;
+  while (used.has(`${id}-${suffix}`)) {
+    suffix++;
+  }
+  return `${id}-${suffix}`;
+}
+
+class PatternPackStore {
+  constructor(options = {}) {
+    this.store = options.store || new JsonFileStore(PATTERN_PACKS_FILE_NAME);
+    this.packs = null;
+  }
+
+  async load() {
+    if (this.packs === null) {
+      const data = await this.store.read({ version: PATTERN_PACK_VERSION, packs: [] });
+      this.packs = Array.isArray(data?.packs) ? data.packs : [];
+    }
+    return this.packs;
+  }
+
+  async save() {
+    await this.store.write({ version: PATTERN_PACK_VERSION, packs: this.packs || [] });
+  }
+
+  async list() {
+    return this.load();
+  }
+
+  async getPack(name) {
+    const packs = await this.load();
+    const pack = packs.find((candidate) => candidate.name === name);
+    if (!pack) {
+      throw new PatternPackError(`Unknown pattern pack: ${name}`, 'PACK_NOT_FOUND');
+    }
+    return pack;
+  }
+
+  // All imported patterns, ready for the dialog: replace decoded, category = pack name
+  async getPatterns() {
+    const packs = await this.load();
+    const patterns = [];
+
+    for (const pack of packs) {
+      for (const pattern of pack.patterns) {
+        try {
+          patterns.push({ ...pattern, replace: decodeReplace(pattern.replace), category: pack.name, packName: pack.name });
+        } catch (e) {
+          Zotero.debug(`SearchReplace: Skipping pattern "${pattern.id}" from pack "${pack.name}": ${e.message}`);
+        }
+      }
+    }
+
+    return patterns;
+  }
+
+  // Pattern ids of the stored packs other than the one named packName, which an import replaces
+  async getOtherPackIDs(packName) {
+    return (await this.load())
+      .filter((stored) => stored.name !== packName)
+      .flatMap((stored) => stored.patterns.map((pattern) => pattern.id));
+  }
+
+  // Report which pattern ids of a pack are already used by other patterns
+  async checkPack(input, existingIDs = []) {
+    const pack = parsePatternPack(input);
+    const otherPackIDs = await this.getOtherPackIDs(pack.name);
+
+    return { pack, conflicts: findPatternIDConflicts(pack, [...existingIDs, ...otherPackIDs]) };
+  }
+
+  // Import a pack, replacing an earlier import with the same name. Patterns whose
+  // id is already in use are skipped (onConflict: 'skip') or imported under a new
+  // id (onConflict: 'rename').
+  async importPack(input, options = {}) {
+    const { existingIDs = [], onConflict = 'skip' } = options;
+    const { pack, conflicts } = await this.checkPack(input, existingIDs);
+
+    if (pack.name === USER_PATTERN_CATEGORY || PATTERN_CATEGORIES.includes(pack.name)) {
+      throw new PatternPackError(`The pack name "${pack.name}" is already used by a built-in category`, 'INVALID_PACK');
+    }
+
+    const conflictIDs = new Set(conflicts.map((conflict) => conflict.id));
+    // New ids must not clash with patterns of other packs either
+    const otherPackIDs = await this.getOtherPackIDs(pack.name);
+    const used = new Set([...existingIDs, ...otherPackIDs, ...pack.patterns.map((pattern) => pattern.id)]);
+    const renamed = [];
+    const patterns = [];
+
+    for (const pattern of pack.patterns) {
+      if (!conflictIDs.has(pattern.id)) {
+        patterns.push(pattern);
+      } else if (onConflict === 'rename') {
+        const id = getUniqueID(pattern.id, used);
+        used.add(id);
+        renamed.push({ from: pattern.id, to: id });
+        patterns.push({ ...pattern, id });
+      }
+    }
+
+    const results = { name: pack.name, imported: patterns.length, conflicts, renamed };
+    if (patterns.length === 0) {
+      return results;
+    }
+
+    await this.load();
+    this.packs = this.packs.filter((stored) => stored.name !== pack.name);
+    this.packs.push({
+      name: pack.name,
+      description: pack.description,
+      version: pack.version,
+      importedAt: new Date().toISOString(),
+      patterns
+    });
+    await this.save();
+
+    return results;
+  }
+
+  async removePack(name) {
+    await this.getPack(name);
+    this.packs = this.packs.filter((pack) => pack.name !== name);
+    await this.save();
+  }
+}
+
+export default PatternPackStore;
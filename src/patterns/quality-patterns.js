@@ -8,10 +8,18 @@
  *   - pattern: the search pattern
  *   - patternType: 'regex' (default), 'exact', 'contains'
  *
- * Note: For OR logic across fields, use operator: 'OR' on ALL conditions.
- * The engine uses the first condition's operator to determine group logic.
+ * Rows combine left to right with the operator of the later row; the first
+ * row's operator is ignored. Use a group ({ type: 'group', operator, conditions })
+ * for parentheses, e.g. (A OR B) AND NOT C. See buildConditionTree in search-engine.js.
+ * For OR logic across fields, use operator: 'OR' on the conditions after the first.
+ *
+ * Function replacements must come from REPLACE_TRANSFORMS so that the patterns
+ * can be exported as a pattern pack. A creatorOperation (see creator-operations.js)
+ * is selected as the Creator Action when the pattern is loaded.
  */
 
+import { REPLACE_TRANSFORMS } from './replace-transforms.js';
+
 export const PATTERN_CATEGORIES = [
   'Parsing Errors',
   'Capitalization',
@@ -114,7 +122,7 @@ export const DATA_QUALITY_PATTERNS = [
     conditions: [
       { field: 'creator.lastName', pattern: '\\b(Van|De|Van Der|De La)\\b', patternType: 'regex' }
     ],
-    replace: (match) => match.toLowerCase(),
+    replace: REPLACE_TRANSFORMS.lowercase,
     category: 'Capitalization'
   },
   {
@@ -134,7 +142,7 @@ export const DATA_QUALITY_PATTERNS = [
     conditions: [
       { field: 'creator.lastName', pattern: '\\b[Mm][Cc][A-Za-z]*', patternType: 'regex' }
     ],
-    replace: (m) => m.charAt(0).toUpperCase() + m.charAt(1).toLowerCase() + m.slice(2).charAt(0).toUpperCase() + m.slice(3).toLowerCase(),
+    replace: REPLACE_TRANSFORMS['mc-prefix'],
     category: 'Capitalization'
   },
   {
@@ -144,7 +152,7 @@ export const DATA_QUALITY_PATTERNS = [
     conditions: [
       { field: 'creator.lastName', pattern: '\\b[Mm][Aa][Cc][A-Za-z]*', patternType: 'regex' }
     ],
-    replace: (m) => m.charAt(0).toUpperCase() + m.slice(1, 3).toLowerCase() + m.slice(3, 4).toUpperCase() + m.slice(4).toLowerCase(),
+    replace: REPLACE_TRANSFORMS['mac-prefix'],
     category: 'Capitalization'
   },
 
@@ -251,21 +259,23 @@ export const DATA_QUALITY_PATTERNS = [
   {
     id: 'find-corporate-authors',
     name: 'Find: Corporate Authors',
-    description: 'Find likely corporate/group authors in person fields',
+    description: 'Find likely corporate/group authors in person fields; Replace makes them single-field names',
     conditions: [
       { field: 'creator.lastName', pattern: '\\s+(Collaborators|Group|Association|Institute|Center|Society|Journal|Proceedings)\\s*$', patternType: 'regex' }
     ],
     replace: '',
+    creatorOperation: { type: 'singleField' },
     category: 'Classification'
   },
   {
     id: 'find-journal-in-author',
     name: 'Find: Journal Name in Author',
-    description: 'Find items where journal name appears as author',
+    description: 'Find items where journal name appears as author; Replace makes it a single-field name',
     conditions: [
       { field: 'creator.lastName', pattern: '(Journal|Review|Proceedings|Transactions)', patternType: 'regex' }
     ],
     replace: '',
+    creatorOperation: { type: 'singleField' },
     category: 'Classification'
   }
 ];
@@ -0,0 +1,28 @@
+/**
+ * Named Replace Transforms for Zotero Search & Replace Plugin
+ * Function replacements used by preloaded patterns, registered by name so that
+ * patterns can be exported and imported as plain JSON:
+ *   "replace": { "transform": "mc-prefix" }
+ */
+
+export const REPLACE_TRANSFORMS = {
+  // "Van" -> "van"
+  lowercase: (match) => match.toLowerCase(),
+  // "van" -> "VAN"
+  uppercase: (match) => match.toUpperCase(),
+  // MCCULLOCH -> McCulloch
+  'mc-prefix': (m) => m.charAt(0).toUpperCase() + m.charAt(1).toLowerCase() + m.slice(2).charAt(0).toUpperCase() + m.slice(3).toLowerCase(),
+  // MACDONALD -> MacDonald
+  'mac-prefix': (m) => m.charAt(0).toUpperCase() + m.slice(1, 3).toLowerCase() + m.slice(3, 4).toUpperCase() + m.slice(4).toLowerCase()
+};
+
+export function getReplaceTransform(name) {
+  return Object.prototype.hasOwnProperty.call(REPLACE_TRANSFORMS, name) ? REPLACE_TRANSFORMS[name] : null;
+}
+
+// Name of a registered transform function, or null for any other function
+export function getReplaceTransformName(fn) {
+  return Object.keys(REPLACE_TRANSFORMS).find((name) => REPLACE_TRANSFORMS[name] === fn) || null;
+}
+
+export default REPLACE_TRANSFORMS;
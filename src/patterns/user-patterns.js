@@ -0,0 +1,165 @@
+/**
+ * User-defined Patterns for Zotero Search & Replace Plugin
+ * Saved condition rows, replace pattern and "Replace In" field, stored as JSON
+ * in the Zotero data directory and listed alongside DATA_QUALITY_PATTERNS
+ *
+ * Format: same shape as DATA_QUALITY_PATTERNS entries (conditions may contain
+ * groups, see buildConditionTree in search-engine.js), plus:
+ *   - replaceField: the "Replace In" field selected when the pattern was saved
+ *   - creatorOperation: the creator action selected, if any (see creator-operations.js)
+ *   - createdAt / updatedAt: ISO timestamps
+ * The replace value must be a string; function replacements cannot be stored.
+ */
+
+import { getCreatorOperationError } from '../zotero/creator-operations.js';
+import { JsonFileStore } from '../zotero/json-store.js';
+
+export const USER_PATTERN_CATEGORY = 'My Patterns';
+export const USER_PATTERNS_FILE_NAME = 'zotero-search-replace-patterns.json';
+export const USER_PATTERNS_VERSION = 1;
+
+export class UserPatternError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'UserPatternError';
+    this.code = code; // 'INVALID_PATTERN', 'PATTERN_NOT_FOUND', etc.
+  }
+}
+
+// Keep rows with a field and a search pattern, and groups that still have rows
+function normalizeConditions(conditions) {
+  return (conditions || []).reduce((normalized, condition) => {
+    if (condition?.type === 'group') {
+      const children = normalizeConditions(condition.conditions);
+      if (children.length > 0) {
+        normalized.push({ type: 'group', operator: condition.operator || 'AND', conditions: children });
+      }
+    } else if (condition?.field && typeof condition.pattern === 'string' && condition.pattern.trim()) {
+      normalized.push({
+        operator: condition.operator || 'AND',
+        field: condition.field,
+        pattern: condition.pattern,
+        patternType: condition.patternType || 'regex',
+        caseSensitive: condition.caseSensitive || false
+      });
+    }
+    return normalized;
+  }, []);
+}
+
+function getFirstField(conditions) {
+  const [first] = conditions;
+  return first?.type === 'group' ? getFirstField(first.conditions) : first?.field;
+}
+
+class UserPatternStore {
+  constructor(options = {}) {
+    this.store = options.store || new JsonFileStore(USER_PATTERNS_FILE_NAME);
+    this.patterns = null;
+  }
+
+  async load() {
+    if (this.patterns === null) {
+      const data = await this.store.read({ version: USER_PATTERNS_VERSION, patterns: [] });
+      this.patterns = Array.isArray(data?.patterns) ? data.patterns : [];
+    }
+    return this.patterns;
+  }
+
+  async save() {
+    await this.store.write({ version: USER_PATTERNS_VERSION, patterns: this.patterns || [] });
+  }
+
+  createPatternID() {
+    return 'user-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+  }
+
+  // Validate and normalize the user-editable parts of a pattern
+  normalizePattern(pattern) {
+    const name = typeof pattern.name === 'string' ? pattern.name.trim() : '';
+    if (!name) {
+      throw new UserPatternError('Pattern name cannot be empty', 'INVALID_PATTERN');
+    }
+
+    const conditions = normalizeConditions(pattern.conditions);
+    if (conditions.length === 0) {
+      throw new UserPatternError('A pattern needs at least one condition with a search pattern', 'INVALID_PATTERN');
+    }
+
+    if (pattern.replace !== undefined && typeof pattern.replace !== 'string') {
+      throw new UserPatternError('Only text replacements can be saved in a pattern', 'INVALID_PATTERN');
+    }
+
+    const creatorOperationError = pattern.creatorOperation ? getCreatorOperationError(pattern.creatorOperation) : null;
+    if (creatorOperationError) {
+      throw new UserPatternError(`Invalid creator action: ${creatorOperationError}`, 'INVALID_PATTERN');
+    }
+
+    return {
+      name,
+      description: typeof pattern.description === 'string' ? pattern.description.trim() : '',
+      conditions,
+      replace: pattern.replace || '',
+      replaceField: pattern.replaceField || getFirstField(conditions),
+      creatorOperation: pattern.creatorOperation || undefined
+    };
+  }
+
+  async list() {
+    const patterns = await this.load();
+    return patterns.map((pattern) => ({ ...pattern, category: USER_PATTERN_CATEGORY }));
+  }
+
+  async get(patternID) {
+    const patterns = await this.load();
+    const pattern = patterns.find((candidate) => candidate.id === patternID);
+    if (!pattern) {
+      throw new UserPatternError(`Unknown pattern: ${patternID}`, 'PATTERN_NOT_FOUND');
+    }
+    return pattern;
+  }
+
+  async create(pattern) {
+    const normalized = this.normalizePattern(pattern);
+    await this.load();
+
+    const now = new Date().toISOString();
+    const created = {
+      id: this.createPatternID(),
+      ...normalized,
+      category: USER_PATTERN_CATEGORY,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.patterns.push(created);
+    await this.save();
+    return created;
+  }
+
+  // Replace the editable parts of a pattern; omitted properties keep their current value
+  async update(patternID, changes) {
+    const pattern = await this.get(patternID);
+    const normalized = this.normalizePattern({ ...pattern, ...changes });
+
+    Object.assign(pattern, normalized, { updatedAt: new Date().toISOString() });
+    await this.save();
+    return pattern;
+  }
+
+  async rename(patternID, name) {
+    return this.update(patternID, { name });
+  }
+
+  async duplicate(patternID) {
+    const pattern = await this.get(patternID);
+    return this.create({ ...pattern, name: `${pattern.name} (copy)` });
+  }
+
+  async remove(patternID) {
+    await this.get(patternID);
+    this.patterns = this.patterns.filter((pattern) => pattern.id !== patternID);
+    await this.save();
+  }
+}
+
+export default UserPatternStore;
@@ -0,0 +1,85 @@
+/**
+ * Character-level text diff for the replace review.
+ * Produces [{ type: 'equal' | 'insert' | 'delete', text }] segments.
+ */
+
+// Above this many LCS cells the changed middle is shown as one deletion plus one insertion
+const MAX_DIFF_CELLS = 250000;
+
+function pushSegment(segments, type, text) {
+  if (!text) {
+    return;
+  }
+
+  const last = segments.at(-1);
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    segments.push({ type, text });
+  }
+}
+
+function diffMiddle(before, after, segments) {
+  if (before.length * after.length > MAX_DIFF_CELLS) {
+    pushSegment(segments, 'delete', before);
+    pushSegment(segments, 'insert', after);
+    return;
+  }
+
+  // lcs[i][j] = length of the longest common subsequence of before[i:] and after[j:]
+  const lcs = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      pushSegment(segments, 'equal', before[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      pushSegment(segments, 'delete', before[i]);
+      i++;
+    } else {
+      pushSegment(segments, 'insert', after[j]);
+      j++;
+    }
+  }
+
+  pushSegment(segments, 'delete', before.slice(i));
+  pushSegment(segments, 'insert', after.slice(j));
+}
+
+export function diffText(before, after) {
+  const oldText = before == null ? '' : String(before);
+  const newText = after == null ? '' : String(after);
+
+  // Common prefix and suffix are cheap to strip and keep the LCS table small
+  let prefix = 0;
+  while (prefix < oldText.length && prefix < newText.length && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldText.length - prefix
+    && suffix < newText.length - prefix
+    && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const segments = [];
+  pushSegment(segments, 'equal', oldText.slice(0, prefix));
+  diffMiddle(oldText.slice(prefix, oldText.length - suffix), newText.slice(prefix, newText.length - suffix), segments);
+  pushSegment(segments, 'equal', oldText.slice(oldText.length - suffix));
+  return segments;
+}
+
+export default diffText;
@@ -0,0 +1,166 @@
+/**
+ * Approximate matching for Zotero Search & Replace Plugin
+ * Approximate pattern types match text that is spelled a little differently from the
+ * pattern. Both compare the text with its diacritics stripped (Unicode NFD without
+ * combining marks, plus letters such as ł and ø that do not decompose), so "Muller"
+ * finds "Müller" and "Milkowski" finds "Miłkowski". Fuzzy patterns also allow a number
+ * of edits (inserted, deleted or changed characters), written after a tilde:
+ * "Smyth~1" finds "Smith". Matches are reported as positions in the original text.
+ */
+
+export const APPROXIMATE_PATTERN_TYPES = {
+  DIACRITIC_INSENSITIVE: 'diacritic_insensitive', // Pattern: text, e.g. Muller
+  FUZZY: 'fuzzy'                                  // Pattern: text with optional edits, e.g. Muller~2
+};
+
+// Dialog options for the approximate pattern types
+export const APPROXIMATE_PATTERN_TYPE_OPTIONS = [
+  { value: APPROXIMATE_PATTERN_TYPES.DIACRITIC_INSENSITIVE, label: 'Ignoring accents', placeholder: 'e.g., Muller' },
+  { value: APPROXIMATE_PATTERN_TYPES.FUZZY, label: 'Fuzzy', placeholder: 'e.g., Milkowski~2 (edits allowed after ~)' }
+];
+
+// Separator of a fuzzy pattern's text and its maximum number of edits
+export const FUZZY_DISTANCE_SEPARATOR = '~';
+
+// Longer patterns allow one more edit by default
+const LONG_FUZZY_PATTERN = 8;
+
+// Letters that do not decompose into a base letter and combining marks
+const FOLDED_LETTERS = {
+  'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'þ': 'th', 'Þ': 'Th',
+  'ł': 'l', 'Ł': 'L', 'ø': 'o', 'Ø': 'O', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D',
+  'ħ': 'h', 'Ħ': 'H', 'ı': 'i'
+};
+
+const COMBINING_MARKS = /\p{M}/gu;
+
+export function isApproximatePatternType(patternType) {
+  return Object.values(APPROXIMATE_PATTERN_TYPES).includes(patternType);
+}
+
+// Text without diacritics (lowercased unless caseSensitive), with the range of the
+// original text each of its characters comes from: starts[i] to ends[i]
+export function foldText(value, caseSensitive = false) {
+  const source = value == null ? '' : String(value);
+  const starts = [];
+  const ends = [];
+  let text = '';
+  let index = 0;
+
+  for (const char of source) {
+    let folded = FOLDED_LETTERS[char] ?? char.normalize('NFD').replace(COMBINING_MARKS, '').normalize('NFC');
+    if (!caseSensitive) {
+      folded = folded.toLowerCase();
+    }
+    const end = index + char.length;
+    if (!folded && ends.length > 0) {
+      // A combining mark belongs to the letter before it
+      ends[ends.length - 1] = end;
+    }
+    for (let i = 0; i < folded.length; i++) {
+      starts.push(index);
+      ends.push(end);
+    }
+    text += folded;
+    index = end;
+  }
+
+  return { text, starts, ends };
+}
+
+// Text and maximum number of edits of a fuzzy pattern, e.g. "Muller~2". Without a
+// number, one edit is allowed, or two for patterns longer than eight characters.
+export function parseFuzzyPattern(pattern) {
+  const value = pattern == null ? '' : String(pattern);
+  const separatorIndex = value.lastIndexOf(FUZZY_DISTANCE_SEPARATOR);
+  const distance = separatorIndex === -1 ? '' : value.slice(separatorIndex + 1);
+  if (/^\d+$/.test(distance)) {
+    return { text: value.slice(0, separatorIndex), maxDistance: Number(distance) };
+  }
+  return { text: value, maxDistance: foldText(value).text.length > LONG_FUZZY_PATTERN ? 2 : 1 };
+}
+
+// Problem with an approximate pattern, or null when it is valid
+export function validateApproximatePattern(patternType, pattern) {
+  if (patternType !== APPROXIMATE_PATTERN_TYPES.FUZZY) {
+    return foldText(pattern).text ? null : 'the pattern has no text to match';
+  }
+
+  const { text, maxDistance } = parseFuzzyPattern(pattern);
+  if (maxDistance >= foldText(text).text.length) {
+    // With as many edits as characters, every text would match
+    return `"${text}" needs more characters than the ${maxDistance} edits it allows`;
+  }
+  return null;
+}
+
+// { start, end, distance } of the first part of text, from index from on, that is at
+// most maxDistance edits away from pattern, or null. Text and pattern are folded.
+function findFuzzyMatch(text, pattern, maxDistance, from) {
+  // Edits and start of the best alignment of each pattern prefix ending at the current text position
+  let distances = Array.from({ length: pattern.length + 1 }, (_, i) => i);
+  let starts = new Array(pattern.length + 1).fill(from);
+  let best = null;
+
+  for (let j = from; j < text.length; j++) {
+    const nextDistances = [0];
+    const nextStarts = [j + 1];
+    for (let i = 1; i <= pattern.length; i++) {
+      const candidates = [
+        { distance: distances[i - 1] + (pattern[i - 1] === text[j] ? 0 : 1), start: starts[i - 1] },
+        { distance: distances[i] + 1, start: starts[i] },
+        { distance: nextDistances[i - 1] + 1, start: nextStarts[i - 1] }
+      ];
+      // Equally good alignments prefer the shorter match
+      const chosen = candidates.reduce((a, b) => (b.distance < a.distance || (b.distance === a.distance && b.start > a.start) ? b : a));
+      nextDistances.push(chosen.distance);
+      nextStarts.push(chosen.start);
+    }
+    distances = nextDistances;
+    starts = nextStarts;
+
+    const distance = distances[pattern.length];
+    if (best && distance > best.distance) {
+      break;
+    }
+    if (best || distance <= maxDistance) {
+      // A match is extended while the next characters keep it at least as close to the pattern
+      best = { start: starts[pattern.length], end: j + 1, distance };
+    }
+  }
+
+  return best;
+}
+
+// Matches of an approximate pattern in value, at most limit of them, as { index, length }
+// positions in value. Matches do not overlap.
+export function findApproximateMatches(value, patternType, pattern, caseSensitive = false, limit = Infinity) {
+  const folded = foldText(value, caseSensitive);
+  const fuzzy = patternType === APPROXIMATE_PATTERN_TYPES.FUZZY;
+  const { text: patternText, maxDistance } = fuzzy ? parseFuzzyPattern(pattern) : { text: pattern, maxDistance: 0 };
+  const needle = foldText(patternText, caseSensitive).text;
+  if (!needle || maxDistance >= needle.length) {
+    return [];
+  }
+
+  const matches = [];
+  let from = 0;
+  while (matches.length < limit) {
+    let range = null;
+    if (fuzzy) {
+      range = findFuzzyMatch(folded.text, needle, maxDistance, from);
+    } else {
+      const start = folded.text.indexOf(needle, from);
+      range = start === -1 ? null : { start, end: start + needle.length };
+    }
+    if (!range) {
+      break;
+    }
+
+    const index = folded.starts[range.start];
+    matches.push({ index, length: folded.ends[range.end - 1] - index });
+    from = range.end;
+  }
+
+  return matches;
+}
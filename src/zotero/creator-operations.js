@@ -0,0 +1,237 @@
+/**
+ * Creator operations for Zotero Search & Replace Plugin
+ * Operations change the creator list of an item instead of the text of a name:
+ * the search conditions pick the creators, and the operation splits, merges, moves
+ * or retypes them, or converts them between two-field and single-field names.
+ * Creators are plain objects as returned by item.getCreators(), where single-field
+ * names have fieldMode 1 and the whole name in lastName. Changed single-field names
+ * are written in Zotero's JSON form, { name, fieldMode: 1 }, which setCreators accepts.
+ */
+
+export const CREATOR_OPERATIONS = {
+  SPLIT: 'split',              // { separator }: one creator becomes several
+  MERGE: 'merge',              // the creator absorbs the creator after it
+  MOVE: 'move',                // { position }: 'first', 'last', 'up' or 'down'
+  SET_TYPE: 'setType',         // { creatorType }: e.g. 'editor'
+  SINGLE_FIELD: 'singleField', // first and last name joined into name (fieldMode 1)
+  TWO_FIELDS: 'twoFields'      // name split into last and first name (fieldMode 0)
+};
+
+export const MOVE_POSITIONS = ['first', 'last', 'up', 'down'];
+
+// With this separator a name is read as "Last, First, Last, First, ..."
+export const PAIR_SEPARATOR = ',';
+
+// Trimmed text of a name part; missing parts are ''
+export function text(value) {
+  return value == null ? '' : String(value).trim();
+}
+
+// Name of a creator's type, e.g. 'editor', or null when it cannot be resolved
+export function getCreatorTypeName(creator) {
+  if (typeof creator.creatorType === 'string') {
+    return creator.creatorType;
+  }
+  const typeID = creator.creatorTypeID ?? creator.creatorType;
+  if (typeID != null && typeof Zotero !== 'undefined' && Zotero.CreatorTypes) {
+    return Zotero.CreatorTypes.getName(typeID) || null;
+  }
+  return null;
+}
+
+function joinWords(...parts) {
+  return parts.map(text).filter(Boolean).join(' ');
+}
+
+export function isSingleFieldCreator(creator) {
+  return Boolean(text(creator.name)) || Number(creator.fieldMode) === 1;
+}
+
+function getSingleFieldName(creator) {
+  return text(creator.name) || text(creator.lastName);
+}
+
+// Problem with an operation, or null when it is valid
+export function getCreatorOperationError(operation) {
+  const { type } = operation || {};
+  if (!Object.values(CREATOR_OPERATIONS).includes(type)) {
+    return `unknown creator operation "${type}"`;
+  }
+  if (type === CREATOR_OPERATIONS.SPLIT && !operation.separator) {
+    return 'a split needs a separator';
+  }
+  if (type === CREATOR_OPERATIONS.MOVE && !MOVE_POSITIONS.includes(operation.position)) {
+    return `unknown position "${operation.position}"`;
+  }
+  if (type === CREATOR_OPERATIONS.SET_TYPE && !text(operation.creatorType)) {
+    return 'a type change needs a creator type';
+  }
+  return null;
+}
+
+// Last and first name of a full name: "Last, First", or "First Last". The creator's
+// current names, when given, tell where the last name starts, e.g. for "van Gogh".
+export function splitCreatorFullName(value, creator = {}) {
+  const trimmedValue = text(value);
+  if (!trimmedValue) {
+    return { firstName: '', lastName: '' };
+  }
+
+  const commaIndex = trimmedValue.indexOf(',');
+  if (commaIndex !== -1) {
+    return {
+      lastName: trimmedValue.slice(0, commaIndex).trim(),
+      firstName: trimmedValue.slice(commaIndex + 1).trim()
+    };
+  }
+
+  const originalFirst = text(creator.firstName);
+  const originalLast = text(creator.lastName);
+
+  if (originalLast && trimmedValue.endsWith(originalLast)) {
+    return {
+      firstName: trimmedValue.slice(0, trimmedValue.length - originalLast.length).trim(),
+      lastName: originalLast
+    };
+  }
+
+  if (originalFirst && trimmedValue.startsWith(originalFirst)) {
+    return {
+      firstName: originalFirst,
+      lastName: trimmedValue.slice(originalFirst.length).trim()
+    };
+  }
+
+  const words = trimmedValue.split(/\s+/);
+  const lastNameWordCount = Math.max(1, originalLast ? originalLast.split(/\s+/).length : 1);
+  if (words.length > lastNameWordCount) {
+    return {
+      firstName: words.slice(0, words.length - lastNameWordCount).join(' '),
+      lastName: words.slice(words.length - lastNameWordCount).join(' ')
+    };
+  }
+
+  return { firstName: '', lastName: trimmedValue };
+}
+
+// The creator with new name parts: { name } for a single-field name, as in Zotero's
+// JSON, or { firstName, lastName }. Other properties, such as the creator type, are kept.
+function withName(creator, name) {
+  const rest = { ...creator };
+  delete rest.name;
+  delete rest.firstName;
+  delete rest.lastName;
+  if (name.name !== undefined) {
+    return { ...rest, name: name.name, fieldMode: 1 };
+  }
+  return { ...rest, firstName: name.firstName, lastName: name.lastName, fieldMode: 0 };
+}
+
+// The names one creator is split into; a single name means there is nothing to split
+export function splitCreatorName(creator, separator) {
+  if (isSingleFieldCreator(creator)) {
+    return getSingleFieldName(creator).split(separator).map(text).filter(Boolean)
+      .map((part) => ({ name: part }));
+  }
+
+  // Two-field names are split in "Last, First" order, which is how the parts of
+  // misparsed names such as "Bruner" + "Jerome Seymour, Olver, Rose R" read
+  const sortName = [text(creator.lastName), text(creator.firstName)].filter(Boolean).join(', ');
+  const parts = sortName.split(separator).map(text).filter(Boolean);
+  if (separator !== PAIR_SEPARATOR) {
+    return parts.map((part) => splitCreatorFullName(part));
+  }
+
+  const names = [];
+  for (let i = 0; i < parts.length; i += 2) {
+    names.push({ lastName: parts[i], firstName: parts[i + 1] || '' });
+  }
+  return names;
+}
+
+// A creator merged with the creator after it. Two last-name-only creators are read as
+// "Last, First", the way a parser splits "Smith, J." into two creators.
+export function mergeCreators(creator, next) {
+  if (isSingleFieldCreator(creator)) {
+    const nextName = isSingleFieldCreator(next) ? getSingleFieldName(next) : joinWords(next.firstName, next.lastName);
+    return withName(creator, { name: joinWords(getSingleFieldName(creator), nextName) });
+  }
+
+  if (isSingleFieldCreator(next) || (!text(creator.firstName) && !text(next.firstName))) {
+    const nextName = isSingleFieldCreator(next) ? getSingleFieldName(next) : text(next.lastName);
+    return withName(creator, { firstName: nextName, lastName: text(creator.lastName) });
+  }
+
+  return withName(creator, {
+    firstName: joinWords(creator.firstName, next.firstName),
+    lastName: joinWords(creator.lastName, next.lastName)
+  });
+}
+
+// Matched creators keep their order among themselves
+function moveCreators(creators, matched, position) {
+  const entries = creators.map((creator, index) => ({ creator, matched: matched[index] }));
+
+  if (position === 'first' || position === 'last') {
+    const moved = entries.filter((entry) => entry.matched);
+    const others = entries.filter((entry) => !entry.matched);
+    return (position === 'first' ? [...moved, ...others] : [...others, ...moved]).map((entry) => entry.creator);
+  }
+
+  // One place up or down; a creator next to another matched creator stays behind it
+  const up = position === 'up';
+  const indexes = [...entries.keys()];
+  for (const index of up ? indexes.slice(1) : indexes.slice(0, -1).reverse()) {
+    const other = up ? index - 1 : index + 1;
+    if (entries[index].matched && !entries[other].matched) {
+      [entries[index], entries[other]] = [entries[other], entries[index]];
+    }
+  }
+  return entries.map((entry) => entry.creator);
+}
+
+// New creator list after applying the operation to the creators flagged in matched.
+// operation.creatorTypeID is the ID to set for SET_TYPE.
+export function applyCreatorOperation(creators, matched, operation) {
+  switch (operation.type) {
+    case CREATOR_OPERATIONS.SPLIT:
+      return creators.flatMap((creator, index) => {
+        const names = matched[index] ? splitCreatorName(creator, operation.separator) : [];
+        return names.length > 1 ? names.map((name) => withName(creator, name)) : [creator];
+      });
+    case CREATOR_OPERATIONS.MERGE: {
+      const merged = [];
+      for (let index = 0; index < creators.length; index++) {
+        const next = creators[index + 1];
+        if (matched[index] && next) {
+          merged.push(mergeCreators(creators[index], next));
+          index++;
+        } else {
+          merged.push(creators[index]);
+        }
+      }
+      return merged;
+    }
+    case CREATOR_OPERATIONS.MOVE:
+      return moveCreators(creators, matched, operation.position);
+    case CREATOR_OPERATIONS.SET_TYPE:
+      return creators.map((creator, index) => {
+        if (!matched[index]) {
+          return creator;
+        }
+        const retyped = { ...creator, creatorTypeID: operation.creatorTypeID };
+        delete retyped.creatorType;
+        return retyped;
+      });
+    case CREATOR_OPERATIONS.SINGLE_FIELD:
+      return creators.map((creator, index) => (matched[index] && !isSingleFieldCreator(creator)
+        ? withName(creator, { name: joinWords(creator.firstName, creator.lastName) })
+        : creator));
+    case CREATOR_OPERATIONS.TWO_FIELDS:
+      return creators.map((creator, index) => (matched[index] && isSingleFieldCreator(creator)
+        ? withName(creator, splitCreatorFullName(getSingleFieldName(creator)))
+        : creator));
+    default:
+      return creators;
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Creator variants for Zotero Search & Replace Plugin
+ * Finds creators that are likely the same person spelled in different ways, such as
+ * "Bruner, J.", "Bruner, Jerome" and "Bruner, Jerome S.". Two-field creators are
+ * grouped by last name (ignoring case and diacritics) and clustered by compatible
+ * given names: each given name must have the same initial and, unless one of them is
+ * only an initial, be the same name; a shorter list of given names fits a longer one.
+ * A chosen canonical form becomes an ordinary replace on creator.fullName.
+ */
+
+import { foldText } from './approximate-matching.js';
+import { text } from './creator-operations.js';
+
+// Two- and three-letter capitals such as "JS" in "Bruner JS" are initials
+const RUN_OF_INITIALS = /^\p{Lu}{2,3}$/u;
+
+// Folded given names, with initials as single letters: "Jerome S." -> ['jerome', 's']
+export function getGivenNames(firstName) {
+  return text(firstName).split(/[\s.-]+/)
+    .filter(Boolean)
+    .flatMap((name) => (RUN_OF_INITIALS.test(name) ? [...name] : [name]))
+    .map((name) => foldText(name).text)
+    .filter(Boolean);
+}
+
+// Whether two lists of given names can belong to the same person
+export function areGivenNamesCompatible(names, otherNames) {
+  return names.slice(0, otherNames.length).every((name, index) => {
+    const other = otherNames[index];
+    return name[0] === other[0] && (name.length === 1 || other.length === 1 || name === other);
+  });
+}
+
+function getLastNameKey(lastName) {
+  return foldText(lastName).text.replace(/\s+/g, ' ').replace(/[.,;]+$/, '').trim();
+}
+
+// Distinct two-field creator names of the items, each with the IDs of the items it appears on:
+//   [{ firstName, lastName, fullName, itemIDs }]
+// fullName is the "First Last" form that creator.fullName conditions match.
+export function collectCreatorVariants(items) {
+  const variants = new Map();
+
+  for (const item of items) {
+    for (const creator of item.getCreators?.() || []) {
+      const firstName = text(creator.firstName);
+      const lastName = text(creator.lastName);
+      if (Number(creator.fieldMode) === 1 || text(creator.name) || !lastName) {
+        continue;
+      }
+
+      const key = `${lastName}\u0000${firstName}`;
+      if (!variants.has(key)) {
+        variants.set(key, { firstName, lastName, fullName: [firstName, lastName].filter(Boolean).join(' '), itemIDs: [] });
+      }
+      const { itemIDs } = variants.get(key);
+      if (!itemIDs.includes(item.id)) {
+        itemIDs.push(item.id);
+      }
+    }
+  }
+
+  return [...variants.values()];
+}
+
+// More complete names first, then the more frequent ones
+function compareSpecificity(a, b) {
+  return b.givenNames.length - a.givenNames.length
+    || b.givenNames.join('').length - a.givenNames.join('').length
+    || b.itemIDs.length - a.itemIDs.length
+    || a.fullName.localeCompare(b.fullName);
+}
+
+// Clusters of variants (see collectCreatorVariants) that likely name the same person:
+//   [{ lastName, variants: [{ ...variant, itemCount, ambiguous }], itemCount }]
+// Each cluster lists its most complete variant first. A variant that fits several
+// clusters, such as "J." next to "Jerome" and "John", joins the one with the most
+// items and is flagged as ambiguous. Only clusters of two or more variants are
+// returned, those on the most items first.
+export function clusterCreatorVariants(variants) {
+  const groups = new Map();
+  for (const variant of variants) {
+    const key = getLastNameKey(variant.lastName);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push({ ...variant, givenNames: getGivenNames(variant.firstName) });
+  }
+
+  const clusters = [];
+  for (const group of groups.values()) {
+    const groupClusters = [];
+    for (const variant of group.sort(compareSpecificity)) {
+      const candidates = groupClusters.filter((cluster) => cluster.members
+        .every((member) => areGivenNamesCompatible(member.givenNames, variant.givenNames)));
+      const cluster = candidates.reduce((best, candidate) => (!best || candidate.itemIDs.size > best.itemIDs.size ? candidate : best), null);
+      const member = { ...variant, ambiguous: candidates.length > 1 };
+      if (cluster) {
+        cluster.members.push(member);
+        variant.itemIDs.forEach((id) => cluster.itemIDs.add(id));
+      } else {
+        groupClusters.push({ members: [member], itemIDs: new Set(variant.itemIDs) });
+      }
+    }
+    clusters.push(...groupClusters.filter((cluster) => cluster.members.length > 1));
+  }
+
+  return clusters
+    .map(({ members, itemIDs }) => ({
+      lastName: members[0].lastName,
+      variants: members.map((member) => {
+        const variant = { ...member, itemCount: member.itemIDs.length };
+        delete variant.givenNames;
+        return variant;
+      }),
+      itemCount: itemIDs.size
+    }))
+    .sort((a, b) => b.itemCount - a.itemCount || a.lastName.localeCompare(b.lastName));
+}
+
+// Replacement text that inserts value literally
+function escapeReplacement(value) {
+  return value.replace(/[$\\]/g, (char) => char + char);
+}
+
+// Conditions and replacement that rename the other variants of a cluster to the canonical
+// one, in the shape of a pattern: { conditions, replace, replaceField }. The replacement
+// is written as "Last, First", so the name is split where the canonical form splits it.
+export function buildVariantReplace(cluster, canonical) {
+  const others = cluster.variants
+    .filter((variant) => variant.firstName !== canonical.firstName || variant.lastName !== canonical.lastName);
+
+  return {
+    conditions: others.map((variant, index) => ({
+      operator: index === 0 ? 'AND' : 'OR',
+      field: 'creator.fullName',
+      pattern: variant.fullName,
+      patternType: 'exact',
+      caseSensitive: true
+    })),
+    replace: escapeReplacement(`${canonical.lastName}, ${canonical.firstName}`),
+    replaceField: 'creator.fullName'
+  };
+}
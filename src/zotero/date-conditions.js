@@ -0,0 +1,155 @@
+/**
+ * Date conditions for Zotero Search & Replace Plugin
+ * Date operators are pattern types that compare the dates of date, dateAdded and
+ * dateModified instead of their text. Dates are parsed with Zotero.Date.strToDate
+ * and compared as day ranges, so "2020" covers the whole year: an item dated
+ * "March 2020" is neither before nor after 2020, but is between 2019..2021.
+ */
+
+export const DATE_PATTERN_TYPES = {
+  BEFORE: 'date_before',   // Pattern: a date, e.g. 2024-01-15 or 2020
+  AFTER: 'date_after',     // Pattern: a date
+  BETWEEN: 'date_between', // Pattern: two dates, e.g. 2020..2022-06 (inclusive)
+  IN_LAST: 'date_in_last', // Pattern: a number of days
+  YEAR: 'date_year'        // Pattern: a year
+};
+
+// Dialog options for the date operators, with the pattern each expects
+export const DATE_PATTERN_TYPE_OPTIONS = [
+  { value: DATE_PATTERN_TYPES.BEFORE, label: 'Before', placeholder: 'e.g., 2024-01-15 or 2020' },
+  { value: DATE_PATTERN_TYPES.AFTER, label: 'After', placeholder: 'e.g., 2024-01-15 or 2020' },
+  { value: DATE_PATTERN_TYPES.BETWEEN, label: 'Between', placeholder: 'e.g., 2020..2022-06' },
+  { value: DATE_PATTERN_TYPES.IN_LAST, label: 'In the last (days)', placeholder: 'e.g., 30' },
+  { value: DATE_PATTERN_TYPES.YEAR, label: 'Year is', placeholder: 'e.g., 2019' }
+];
+
+// Separator of the two dates of a 'between' pattern
+export const DATE_RANGE_SEPARATOR = '..';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Fields stored as UTC timestamps ("YYYY-MM-DD hh:mm:ss") rather than free-form dates
+const TIMESTAMP_FIELDS = new Set(['dateAdded', 'dateModified']);
+
+export function isDatePatternType(patternType) {
+  return Object.values(DATE_PATTERN_TYPES).includes(patternType);
+}
+
+function pad(number, length = 2) {
+  return String(number).padStart(length, '0');
+}
+
+function toDateKey(year, month, day) {
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+}
+
+function toLocalDateKey(date) {
+  return toDateKey(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+// Day range [start, end] as 'YYYY-MM-DD' keys covered by a date string, or null
+// when it has no year. Missing months and days widen the range.
+export function parseDateRange(value) {
+  const text = value == null ? '' : String(value).trim();
+  const parts = text && Zotero.Date?.strToDate ? Zotero.Date.strToDate(text) : null;
+  const year = Number.parseInt(parts?.year, 10);
+  if (isNaN(year)) {
+    return null;
+  }
+
+  const month = Number.parseInt(parts.month, 10);
+  if (isNaN(month)) {
+    return { start: toDateKey(year, 1, 1), end: toDateKey(year, 12, 31), year };
+  }
+
+  const day = Number.parseInt(parts.day, 10);
+  if (isNaN(day)) {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return { start: toDateKey(year, month + 1, 1), end: toDateKey(year, month + 1, lastDay), year };
+  }
+
+  const key = toDateKey(year, month + 1, day);
+  return { start: key, end: key, year };
+}
+
+// Parsed form of a date condition's pattern, or null when it is not valid for the operator
+export function parseDateCondition(patternType, pattern) {
+  const text = pattern == null ? '' : String(pattern).trim();
+
+  if (patternType === DATE_PATTERN_TYPES.IN_LAST || patternType === DATE_PATTERN_TYPES.YEAR) {
+    if (!/^\d+$/.test(text)) {
+      return null;
+    }
+    return patternType === DATE_PATTERN_TYPES.YEAR ? { year: Number(text) } : { days: Number(text) };
+  }
+
+  if (patternType === DATE_PATTERN_TYPES.BETWEEN) {
+    const [from, to, ...rest] = text.split(DATE_RANGE_SEPARATOR);
+    const fromRange = parseDateRange(from);
+    const toRange = parseDateRange(to);
+    return rest.length === 0 && fromRange && toRange ? { start: fromRange.start, end: toRange.end } : null;
+  }
+
+  return parseDateRange(text);
+}
+
+// Day range and time of an item's date field value, or null when it has no date
+export function getItemDate(field, value) {
+  if (value == null || String(value).trim() === '') {
+    return null;
+  }
+
+  if (TIMESTAMP_FIELDS.has(field)) {
+    const date = Zotero.Date?.sqlToDate ? Zotero.Date.sqlToDate(String(value), true) : null;
+    if (!date || isNaN(date.getTime())) {
+      return null;
+    }
+    const key = toLocalDateKey(date);
+    return { start: key, end: key, year: date.getFullYear(), time: date.getTime() };
+  }
+
+  return parseDateRange(value);
+}
+
+// Whether an item date (see getItemDate) satisfies a parsed date condition
+export function testDate(itemDate, patternType, condition, now = new Date()) {
+  if (!itemDate) {
+    return false;
+  }
+
+  switch (patternType) {
+    case DATE_PATTERN_TYPES.BEFORE:
+      return itemDate.end < condition.start;
+    case DATE_PATTERN_TYPES.AFTER:
+      return itemDate.start > condition.end;
+    case DATE_PATTERN_TYPES.BETWEEN:
+      return itemDate.start >= condition.start && itemDate.end <= condition.end;
+    case DATE_PATTERN_TYPES.YEAR:
+      return itemDate.year === condition.year;
+    case DATE_PATTERN_TYPES.IN_LAST: {
+      const cutoff = now.getTime() - condition.days * DAY_MS;
+      return itemDate.time === undefined
+        ? itemDate.end >= toLocalDateKey(new Date(cutoff))
+        : itemDate.time >= cutoff;
+    }
+    default:
+      return false;
+  }
+}
+
+// Zotero.Search condition { operator, value } that finds at least every item the
+// date condition matches, or null when there is none
+export function getDateSearchCondition(field, patternType, condition) {
+  switch (patternType) {
+    case DATE_PATTERN_TYPES.BEFORE:
+      return { operator: 'isBefore', value: condition.start };
+    case DATE_PATTERN_TYPES.AFTER:
+      return { operator: 'isAfter', value: condition.end };
+    case DATE_PATTERN_TYPES.YEAR:
+      return { operator: 'isBefore', value: toDateKey(condition.year + 1, 1, 1) };
+    case DATE_PATTERN_TYPES.IN_LAST:
+      // Zotero compares the time of day, which free-form dates do not have
+      return TIMESTAMP_FIELDS.has(field) ? { operator: 'isInTheLast', value: `${condition.days} days` } : null;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Field comparisons for Zotero Search & Replace Plugin
+ * Comparison pattern types match a field against another field of the same item
+ * instead of a literal pattern. For equals, contains and starts-with the pattern
+ * is the other field's name; for regex it is a regex in which {field:name} tokens
+ * stand for the (escaped) value of that field, e.g. doi\.org/{field:DOI}$ on url.
+ */
+
+export const FIELD_COMPARISON_TYPES = {
+  EQUALS: 'field_equals',           // Pattern: other field, e.g. publicationTitle
+  CONTAINS: 'field_contains',       // Pattern: other field
+  STARTS_WITH: 'field_starts_with', // Pattern: other field
+  REGEX: 'field_regex'              // Pattern: regex with {field:name} tokens
+};
+
+// Dialog options for the comparisons; only field_regex takes a typed pattern
+export const FIELD_COMPARISON_TYPE_OPTIONS = [
+  { value: FIELD_COMPARISON_TYPES.EQUALS, label: 'Equals field' },
+  { value: FIELD_COMPARISON_TYPES.CONTAINS, label: 'Contains field' },
+  { value: FIELD_COMPARISON_TYPES.STARTS_WITH, label: 'Starts with field' },
+  { value: FIELD_COMPARISON_TYPES.REGEX, label: 'Regex with fields', placeholder: 'e.g., doi\\.org/{field:DOI}$' }
+];
+
+const FIELD_TOKEN_PATTERN = /\{field:([A-Za-z][\w]*)\}/g;
+const FIELD_NAME_PATTERN = /^[A-Za-z]\w*$/;
+
+export function isFieldComparisonType(patternType) {
+  return Object.values(FIELD_COMPARISON_TYPES).includes(patternType);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, String.raw`\$&`);
+}
+
+// A REGEX comparison's pattern with each field token replaced by a stand-in literal,
+// for checks that do not depend on the field values
+export function getTemplateRegexSource(pattern) {
+  return String(pattern).replace(FIELD_TOKEN_PATTERN, 'x');
+}
+
+// Names of the other fields a comparison reads
+export function getComparedFields(patternType, pattern) {
+  const text = pattern == null ? '' : String(pattern).trim();
+  if (patternType === FIELD_COMPARISON_TYPES.REGEX) {
+    return [...text.matchAll(FIELD_TOKEN_PATTERN)].map((match) => match[1]);
+  }
+  return FIELD_NAME_PATTERN.test(text) ? [text] : [];
+}
+
+// Problem with a comparison pattern, or null when it is valid. Field names are
+// checked for their shape only; unknown fields simply have no value.
+export function validateFieldComparison(patternType, pattern) {
+  const text = pattern == null ? '' : String(pattern).trim();
+
+  if (patternType !== FIELD_COMPARISON_TYPES.REGEX) {
+    return FIELD_NAME_PATTERN.test(text) ? null : `"${text}" is not a field name`;
+  }
+
+  if (getComparedFields(patternType, text).length === 0) {
+    return 'the regex does not refer to another field with {field:name}';
+  }
+  try {
+    new RegExp(getTemplateRegexSource(text));
+  } catch (e) {
+    return `invalid regex: ${e.message}`;
+  }
+  return null;
+}
+
+// The regex of a REGEX comparison with the field values filled in, or null when
+// one of the fields is empty
+export function buildComparisonRegex(pattern, getValue, caseSensitive = false) {
+  let missing = false;
+  const source = String(pattern).replace(FIELD_TOKEN_PATTERN, (token, field) => {
+    const value = getValue(field);
+    missing = missing || !value;
+    return escapeRegExp(value || '');
+  });
+  return missing ? null : new RegExp(source, caseSensitive ? '' : 'i');
+}
+
+// { index, length } of the part of value matched by the comparison, or null.
+// Comparisons with an empty field never match.
+export function compareFields(value, patternType, pattern, getValue, caseSensitive = false) {
+  const text = value == null ? '' : String(value);
+  if (!text) {
+    return null;
+  }
+
+  if (patternType === FIELD_COMPARISON_TYPES.REGEX) {
+    const regex = buildComparisonRegex(pattern, getValue, caseSensitive);
+    const match = regex ? regex.exec(text) : null;
+    return match ? { index: match.index, length: match[0].length } : null;
+  }
+
+  const other = getValue(String(pattern).trim());
+  if (!other) {
+    return null;
+  }
+
+  const haystack = caseSensitive ? text : text.toLowerCase();
+  const needle = caseSensitive ? String(other) : String(other).toLowerCase();
+  switch (patternType) {
+    case FIELD_COMPARISON_TYPES.EQUALS:
+      return haystack === needle ? { index: 0, length: text.length } : null;
+    case FIELD_COMPARISON_TYPES.STARTS_WITH:
+      return haystack.startsWith(needle) ? { index: 0, length: needle.length } : null;
+    case FIELD_COMPARISON_TYPES.CONTAINS: {
+      const index = haystack.indexOf(needle);
+      return index === -1 ? null : { index, length: needle.length };
+    }
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,46 @@
+/**
+ * JSON File Store for Zotero Search & Replace Plugin
+ * Persists small JSON documents (undo journal, user patterns) in the Zotero data directory
+ */
+
+export class JsonFileStore {
+  constructor(fileName) {
+    this.fileName = fileName;
+  }
+
+  getPath() {
+    return PathUtils.join(Zotero.DataDirectory.dir, this.fileName);
+  }
+
+  // Read the stored document, falling back to defaultValue when the file is missing or unreadable
+  async read(defaultValue = null) {
+    try {
+      const contents = await Zotero.File.getContentsAsync(this.getPath());
+      return contents ? JSON.parse(contents) : defaultValue;
+    } catch (e) {
+      Zotero.debug('SearchReplace: Could not read ' + this.fileName + ': ' + e.message);
+      return defaultValue;
+    }
+  }
+
+  async write(data) {
+    await Zotero.File.putContentsAsync(this.getPath(), JSON.stringify(data, null, 2));
+  }
+}
+
+// In-memory store with the same interface, used when no data directory is available
+export class MemoryStore {
+  constructor(initialValue = null) {
+    this.data = initialValue;
+  }
+
+  async read(defaultValue = null) {
+    return this.data === null ? defaultValue : JSON.parse(JSON.stringify(this.data));
+  }
+
+  async write(data) {
+    this.data = JSON.parse(JSON.stringify(data));
+  }
+}
+
+export default JsonFileStore;
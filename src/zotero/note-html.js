@@ -0,0 +1,178 @@
+/**
+ * Note HTML handling for Zotero Search & Replace Plugin
+ * Notes are stored as HTML. Search and replace work on the visible text of a
+ * note: markup is skipped, entities are decoded and block elements (paragraphs,
+ * list items, line breaks) separate the text with a newline. Replacements are
+ * written back into the text between the tags, so the note's markup is never
+ * changed; text of a match that spans several elements ends up in the first one.
+ */
+
+// Elements that start a new line of visible text
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'li', 'ol', 'p', 'pre', 'section',
+  'table', 'td', 'th', 'tr', 'ul'
+]);
+
+// Elements whose content is not visible text
+const HIDDEN_TAGS = new Set(['script', 'style', 'template']);
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00a0'
+};
+
+// Comments, tags, and text up to the next tag; a '<' that does not start a tag is text
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\/?[a-zA-Z][^>]*>|<[!?][^>]*>|[^<]+|</g;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-fA-F]+|#\d+|[a-zA-Z]+);/g, (entity, name) => {
+    if (name.startsWith('#')) {
+      const codePoint = name[1] === 'x' || name[1] === 'X'
+        ? Number.parseInt(name.slice(2), 16)
+        : Number.parseInt(name.slice(1), 10);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return NAMED_ENTITIES[name] ?? entity;
+  });
+}
+
+function encodeText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;');
+}
+
+function getTagName(tag) {
+  const match = /^<\/?([a-zA-Z][\w-]*)/.exec(tag);
+  return match ? match[1].toLowerCase() : null;
+}
+
+export class NoteDocument {
+  constructor(html) {
+    this.html = html == null ? '' : String(html);
+    this.segments = [];
+    this.parse();
+  }
+
+  // segments: { type: 'tag', raw, block } | { type: 'text', raw, text, hidden, changed }
+  parse() {
+    let hiddenDepth = 0;
+
+    for (const [raw] of this.html.matchAll(TOKEN_PATTERN)) {
+      const tagName = raw.length > 1 && raw.startsWith('<') ? getTagName(raw) : null;
+      if (!tagName && raw.length > 1 && raw.startsWith('<')) {
+        // Comments, doctypes and processing instructions
+        this.segments.push({ type: 'tag', raw, block: false });
+        continue;
+      }
+
+      if (tagName) {
+        if (HIDDEN_TAGS.has(tagName) && !raw.endsWith('/>')) {
+          hiddenDepth = Math.max(0, hiddenDepth + (raw.startsWith('</') ? -1 : 1));
+        }
+        this.segments.push({ type: 'tag', raw, block: BLOCK_TAGS.has(tagName) });
+        continue;
+      }
+
+      // Whitespace after a block tag only lays out the source, e.g. "</p>\n<p>"
+      const layout = /^\s*$/.test(raw) && Boolean(this.segments.at(-1)?.block);
+      this.segments.push({ type: 'text', raw, text: decodeEntities(raw), hidden: hiddenDepth > 0 || layout, changed: false });
+    }
+  }
+
+  // Visible text of the note. Also records where each text segment starts, for replaceRange.
+  getText() {
+    let text = '';
+    let lineBreak = false;
+    this.pieces = [];
+
+    for (const segment of this.segments) {
+      if (segment.type === 'tag') {
+        lineBreak = lineBreak || segment.block;
+        continue;
+      }
+      if (segment.hidden || !segment.text) {
+        continue;
+      }
+
+      if (lineBreak && text && !text.endsWith('\n')) {
+        text += '\n';
+      }
+      lineBreak = false;
+      this.pieces.push({ segment, start: text.length });
+      text += segment.text;
+    }
+
+    return text;
+  }
+
+  // Replace [start, end) of the text returned by the last getText() call. Line breaks
+  // between block elements cannot be removed, only the text around them.
+  replaceRange(start, end, replacement) {
+    const pieces = this.pieces.filter((piece) => {
+      const pieceEnd = piece.start + piece.segment.text.length;
+      return start === end
+        ? piece.start <= start && start <= pieceEnd
+        : piece.start < end && start < pieceEnd;
+    });
+
+    if (pieces.length === 0) {
+      this.insertText(start, replacement);
+      return;
+    }
+
+    pieces.forEach((piece, index) => {
+      const { segment } = piece;
+      const from = Math.max(0, start - piece.start);
+      const to = Math.min(segment.text.length, end - piece.start);
+      segment.text = segment.text.slice(0, from) + (index === 0 ? replacement : '') + segment.text.slice(to);
+      segment.changed = true;
+    });
+  }
+
+  // Text inserted at a line break goes to the end of the text before it,
+  // or to the start of the first text when nothing comes before it
+  insertText(position, text) {
+    if (!text) {
+      return;
+    }
+
+    const before = this.pieces.filter((piece) => piece.start < position).at(-1);
+    const target = before || this.pieces[0];
+    if (!target) {
+      this.segments.push({ type: 'text', raw: '', text, hidden: false, changed: true });
+      return;
+    }
+
+    target.segment.text = before ? target.segment.text + text : text + target.segment.text;
+    target.segment.changed = true;
+  }
+
+  // Unchanged text keeps its original markup, e.g. the entities it was written with
+  toHTML() {
+    return this.segments
+      .map((segment) => (segment.type === 'text' && segment.changed ? encodeText(segment.text) : segment.raw))
+      .join('');
+  }
+}
+
+export function getNoteText(html) {
+  return new NoteDocument(html).getText();
+}
+
+// The note field targets notes: 'note' any note, 'childNote' notes that belong to an item
+export function isNoteFieldItem(item, field) {
+  if (typeof item?.isNote !== 'function' || !item.isNote()) {
+    return false;
+  }
+  return field === 'note' || Boolean(item.parentItemID);
+}
+
+export default NoteDocument;
@@ -0,0 +1,319 @@
+/**
+ * Static ReDoS analysis for Zotero Search & Replace Plugin
+ * Flags regular expression shapes that make a backtracking engine take
+ * exponential or polynomial time on long non-matching input:
+ *   - NESTED_QUANTIFIER: a repeated group whose body can match the same text
+ *     in more than one way per repetition, e.g. (a+)+ or (\w+\s?)*
+ *   - OVERLAPPING_ALTERNATION: a repeated group whose alternatives can match
+ *     the same text, e.g. (a|ab)* or (\w|\d)+
+ *   - ADJACENT_QUANTIFIERS: unbounded quantifiers next to each other over
+ *     overlapping characters, e.g. \d+\d* or .*.*
+ * This is a heuristic: it recognizes the common shapes, not every slow pattern.
+ * Character sets are compared as written, so ([A-Z][a-z]+\s?)+ is accepted even
+ * though a case-insensitive search lets [A-Z] and [a-z] match the same letters;
+ * such borderline patterns are left to the time budget of long fields.
+ */
+
+// Characters used to decide whether two character sets overlap
+const SAMPLE_CHARACTERS = [
+  ...Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index)),
+  '\t', '\n', '\u00a0', '\u00e9', '\u00df', '\u0416', '\u2013', '\u4e2d'
+];
+
+const ASSERTION = { type: 'assertion' };
+
+// Parses a (valid) JavaScript regex into alternatives of terms:
+//   term: { node, min, max, source }
+//   node: { type: 'set', source } (one character) | { type: 'group', alternatives, lookaround } | ASSERTION
+class RegexParser {
+  constructor(pattern) {
+    this.pattern = pattern;
+    this.pos = 0;
+  }
+
+  parse() {
+    return this.parseAlternatives();
+  }
+
+  parseAlternatives() {
+    const alternatives = [[]];
+
+    while (this.pos < this.pattern.length && this.pattern[this.pos] !== ')') {
+      if (this.pattern[this.pos] === '|') {
+        this.pos++;
+        alternatives.push([]);
+        continue;
+      }
+
+      const start = this.pos;
+      const node = this.parseAtom();
+      const { min, max } = this.parseQuantifier();
+      alternatives.at(-1).push({ node, min, max, source: this.pattern.slice(start, this.pos) });
+    }
+
+    return alternatives;
+  }
+
+  parseAtom() {
+    const char = this.pattern[this.pos];
+
+    if (char === '(') {
+      return this.parseGroup();
+    }
+    if (char === '[') {
+      return this.parseClass();
+    }
+    if (char === '\\') {
+      return this.parseEscape();
+    }
+
+    this.pos++;
+    if (char === '^' || char === '$') {
+      return ASSERTION;
+    }
+    return { type: 'set', source: char === '.' ? '.' : char.replace(/[.*+?^${}()|[\]\\/]/, String.raw`\$&`) };
+  }
+
+  parseGroup() {
+    const prefix = /^\((\?:|\?<?[=!]|\?<[^>]+>)?/.exec(this.pattern.slice(this.pos));
+    const lookaround = Boolean(prefix[1] && /[=!]$/.test(prefix[1]));
+    this.pos += prefix[0].length;
+
+    const alternatives = this.parseAlternatives();
+    this.pos++; // ')'
+    return { type: 'group', alternatives, lookaround };
+  }
+
+  parseClass() {
+    const start = this.pos;
+    this.pos++;
+    if (this.pattern[this.pos] === '^') {
+      this.pos++;
+    }
+
+    while (this.pos < this.pattern.length && this.pattern[this.pos] !== ']') {
+      this.pos += this.pattern[this.pos] === '\\' ? 2 : 1;
+    }
+    this.pos++; // ']'
+    return { type: 'set', source: this.pattern.slice(start, this.pos) };
+  }
+
+  parseEscape() {
+    const rest = this.pattern.slice(this.pos);
+
+    // Word boundaries and backreferences do not consume characters of their own
+    const assertion = /^\\(?:[bB]|[1-9]\d*|k<[^>]+>)/.exec(rest);
+    if (assertion) {
+      this.pos += assertion[0].length;
+      return ASSERTION;
+    }
+
+    const escape = /^\\(?:u[\da-fA-F]{4}|x[\da-fA-F]{2}|c[A-Za-z]|[\s\S])/.exec(rest);
+    this.pos += escape[0].length;
+    return { type: 'set', source: escape[0] };
+  }
+
+  parseQuantifier() {
+    const match = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(this.pattern.slice(this.pos));
+    if (!match) {
+      return { min: 1, max: 1 };
+    }
+
+    this.pos += match[0].length;
+    if (match[1]) {
+      return { '*': { min: 0, max: Infinity }, '+': { min: 1, max: Infinity }, '?': { min: 0, max: 1 } }[match[1]];
+    }
+
+    const min = Number(match[2]);
+    if (!match[3]) {
+      return { min, max: min };
+    }
+    return { min, max: match[4] ? Number(match[4]) : Infinity };
+  }
+}
+
+class RegexAnalyzer {
+  constructor() {
+    this.samples = new Map();
+    this.issues = [];
+  }
+
+  // Indices of the sample characters matched by a one-character source
+  getSamples(source) {
+    if (!this.samples.has(source)) {
+      let regex = null;
+      try {
+        regex = new RegExp(`^(?:${source})$`);
+      } catch {
+        // Not a stand-alone character set; treat it as matching nothing
+      }
+      const matched = new Set();
+      SAMPLE_CHARACTERS.forEach((char, index) => {
+        if (regex?.test(char)) {
+          matched.add(index);
+        }
+      });
+      this.samples.set(source, matched);
+    }
+    return this.samples.get(source);
+  }
+
+  overlaps(sourcesA, sourcesB) {
+    return sourcesA.some((a) => {
+      const samplesA = this.getSamples(a);
+      return sourcesB.some((b) => [...this.getSamples(b)].some((index) => samplesA.has(index)));
+    });
+  }
+
+  isNullable(term) {
+    return term.min === 0 || this.isNodeNullable(term.node);
+  }
+
+  isNodeNullable(node) {
+    if (node.type === 'set') {
+      return false;
+    }
+    if (node.type === 'assertion' || node.lookaround) {
+      return true;
+    }
+    return node.alternatives.some((sequence) => sequence.every((term) => this.isNullable(term)));
+  }
+
+  // Character sets that can start a match of the node
+  getFirstSet(node) {
+    if (node.type === 'set') {
+      return [node.source];
+    }
+    if (node.type === 'assertion' || node.lookaround) {
+      return [];
+    }
+    return node.alternatives.flatMap((sequence) => this.getSequenceFirstSet(sequence, 0));
+  }
+
+  getSequenceFirstSet(sequence, from) {
+    const first = [];
+    for (let index = from; index < sequence.length; index++) {
+      first.push(...this.getFirstSet(sequence[index].node));
+      if (!this.isNullable(sequence[index])) {
+        break;
+      }
+    }
+    return first;
+  }
+
+  isSequenceNullable(sequence, from) {
+    return sequence.slice(from).every((term) => this.isNullable(term));
+  }
+
+  // Every character set the node can consume
+  getCharacterSets(node) {
+    if (node.type === 'set') {
+      return [node.source];
+    }
+    if (node.type === 'assertion' || node.lookaround) {
+      return [];
+    }
+    return node.alternatives.flatMap((sequence) => sequence.flatMap((term) => this.getCharacterSets(term.node)));
+  }
+
+  // Single literal characters (a, \., \n) cannot start several different texts
+  isLiteral(source) {
+    return source !== '.' && !source.startsWith('[') && !/^\\[dDwWsS]$/.test(source);
+  }
+
+  report(code, term, message) {
+    this.issues.push({ code, source: term.source, message: `"${term.source}" ${message}` });
+  }
+
+  analyze(alternatives) {
+    for (const sequence of alternatives) {
+      sequence.forEach((term, index) => {
+        const next = sequence[index + 1];
+        if (term.max === Infinity && next?.max === Infinity
+          && this.overlaps(this.getCharacterSets(term.node), this.getCharacterSets(next.node))) {
+          this.report('ADJACENT_QUANTIFIERS', { source: term.source + next.source }, 'has adjacent quantifiers that can match the same characters');
+        }
+
+        if (term.node.type !== 'group') {
+          return;
+        }
+
+        if (term.max === Infinity && !term.node.lookaround) {
+          this.analyzeLoop(term);
+        }
+        this.analyze(term.node.alternatives);
+      });
+    }
+  }
+
+  analyzeLoop(term) {
+    const { alternatives } = term.node;
+
+    if (this.hasOverlappingAlternatives(alternatives)) {
+      this.report('OVERLAPPING_ALTERNATION', term, 'repeats alternatives that can match the same text');
+    } else if (this.isAmbiguous(alternatives, this.getFirstSet(term.node))) {
+      this.report('NESTED_QUANTIFIER', term, 'repeats a group that can match the same text in several ways');
+    }
+  }
+
+  hasOverlappingAlternatives(alternatives) {
+    const sources = alternatives.map((sequence) => sequence.map((term) => term.source).join(''));
+    const firstSets = alternatives.map((sequence) => this.getSequenceFirstSet(sequence, 0));
+
+    for (let a = 0; a < alternatives.length; a++) {
+      for (let b = a + 1; b < alternatives.length; b++) {
+        if (!this.overlaps(firstSets[a], firstSets[b])) {
+          continue;
+        }
+        // (ab|ac)* is unambiguous after the first character; (a|ab)* and (\w|\d)* are not
+        const prefix = sources[a].startsWith(sources[b]) || sources[b].startsWith(sources[a]);
+        if (prefix || ![...firstSets[a], ...firstSets[b]].every((source) => this.isLiteral(source))) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Whether a repeated term inside the alternatives can also consume what follows it,
+  // so that the same text can be split between repetitions in several ways.
+  // follow: character sets that can come after the alternatives (for a loop body,
+  // the start of the next repetition)
+  isAmbiguous(alternatives, follow) {
+    return alternatives.some((sequence) => sequence.some((term, index) => {
+      const termFollow = this.getSequenceFirstSet(sequence, index + 1);
+      if (this.isSequenceNullable(sequence, index + 1)) {
+        termFollow.push(...follow);
+      }
+
+      if (term.max > 1 && this.overlaps(this.getCharacterSets(term.node), termFollow)) {
+        return true;
+      }
+
+      if (term.node.type !== 'group' || term.node.lookaround) {
+        return false;
+      }
+      const innerFollow = term.max > 1 ? [...termFollow, ...this.getFirstSet(term.node)] : termFollow;
+      return this.isAmbiguous(term.node.alternatives, innerFollow);
+    }));
+  }
+}
+
+// Returns [{ code, source, message }] for each risky part of a valid regex pattern
+export function analyzeRegex(pattern) {
+  if (typeof pattern !== 'string' || pattern === '') {
+    return [];
+  }
+
+  const analyzer = new RegexAnalyzer();
+  try {
+    analyzer.analyze(new RegexParser(pattern).parse());
+  } catch {
+    return [];
+  }
+
+  const seen = new Set();
+  return analyzer.issues.filter((issue) => !seen.has(issue.message) && seen.add(issue.message));
+}
+
+export default analyzeRegex;
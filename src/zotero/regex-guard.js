@@ -0,0 +1,129 @@
+/**
+ * Regex Time Budget for Zotero Search & Replace Plugin
+ * A regex cannot be interrupted once it runs on the main thread, so long field
+ * values are matched in a worker instead. A worker that does not answer within
+ * the budget is terminated and the match is reported as timed out; the next
+ * test starts a fresh worker. Search uses the worker's match; replace first counts
+ * every match in the worker and only then replaces on the main thread.
+ */
+
+// Milliseconds one regex test on one field value may take
+export const REGEX_TIME_BUDGET_MS = 500;
+
+// Values at least this long are matched in the worker; shorter values are matched
+// directly, since the analyzer already rejects the shapes that are slow on short text
+export const GUARDED_VALUE_LENGTH = 1000;
+
+const WORKER_SOURCE = `
+const countMatches = (regex, value) => {
+  let count = 0;
+  let match = regex.exec(value);
+  while (match) {
+    count += 1;
+    if (match[0] === '') {
+      regex.lastIndex += 1;
+    }
+    match = regex.exec(value);
+  }
+  return count;
+};
+
+onmessage = (event) => {
+  const { source, flags, value, count } = event.data;
+  let match = null;
+  try {
+    if (count) {
+      postMessage({ count: countMatches(new RegExp(source, flags.includes('g') ? flags : flags + 'g'), value) });
+      return;
+    }
+    match = new RegExp(source, flags).exec(value);
+  } catch {
+    // Patterns are validated before they are searched
+  }
+  postMessage(match && { values: [...match], index: match.index, groups: match.groups ? { ...match.groups } : undefined });
+};
+`;
+
+class RegexGuard {
+  constructor(options = {}) {
+    this.timeout = options.timeout || REGEX_TIME_BUDGET_MS;
+    this.worker = null;
+    this.workerURL = null;
+  }
+
+  static isAvailable() {
+    return typeof Worker === 'function' && typeof Blob === 'function'
+      && typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function';
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      if (!this.workerURL) {
+        this.workerURL = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+      }
+      this.worker = new Worker(this.workerURL);
+    }
+    return this.worker;
+  }
+
+  // Resolves to { match } (a RegExp#exec result or null) or { timedOut: true }
+  async exec(regex, value) {
+    const result = await this.run({ source: regex.source, flags: regex.flags, value });
+    return result.timedOut ? result : { match: this.toMatch(result.data, value) };
+  }
+
+  // Resolves to { count } of all the matches in value, or { timedOut: true }
+  async count(regex, value) {
+    const result = await this.run({ source: regex.source, flags: regex.flags, value, count: true });
+    return result.timedOut ? result : { count: result.data?.count ?? 0 };
+  }
+
+  // Resolves to { data } with the worker's answer, or { timedOut: true }
+  run(message) {
+    const worker = this.getWorker();
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        worker.onmessage = null;
+        this.terminateWorker();
+        resolve({ timedOut: true });
+      }, this.timeout);
+
+      worker.onmessage = (event) => {
+        clearTimeout(timer);
+        worker.onmessage = null;
+        resolve({ data: event.data });
+      };
+      worker.postMessage(message);
+    });
+  }
+
+  // Rebuild an exec() result from the worker's structured-clone copy
+  toMatch(data, input) {
+    if (!data) {
+      return null;
+    }
+    const match = [...data.values];
+    match.index = data.index;
+    match.input = input;
+    match.groups = data.groups;
+    return match;
+  }
+
+  terminateWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  dispose() {
+    this.terminateWorker();
+    if (this.workerURL) {
+      URL.revokeObjectURL(this.workerURL);
+      this.workerURL = null;
+    }
+  }
+}
+
+export default RegexGuard;
@@ -3,32 +3,414 @@
  * Handles pattern replacement with support for capture groups and creator field modifications
  */
 
-// Placeholder patterns: $1, ${name}, $<name>, $&, $', $`, $$, $+
-const PLACEHOLDER_PATTERN = /\$(\d+)|\$\{([^}]+)\}|\$<([^>]+)>|(\$\$|\$&|\$'|\$`|\$\+)/g;
+import { analyzeRegex } from './regex-analyzer.js';
+import RegexGuard, { GUARDED_VALUE_LENGTH } from './regex-guard.js';
+import { NoteDocument, isNoteFieldItem } from './note-html.js';
+import { findApproximateMatches, isApproximatePatternType, validateApproximatePattern } from './approximate-matching.js';
+import {
+  CREATOR_OPERATIONS, applyCreatorOperation, getCreatorOperationError, getCreatorTypeName, splitCreatorFullName
+} from './creator-operations.js';
+
+// Replacement syntax:
+//   $1, $&, $', $`, $$, $+, $<name>   placeholders as in String.prototype.replace
+//   ${ref}, ${ref|filter|...}         group number, group name or & (whole match), with filters
+//   ${ref:+text}, ${ref:-text}        text if ref is non-empty / ref, or text if ref is empty
+//   \U, \L, \T ... \E, \u, \l         case operators (upper, lower, title case; next character)
+//   \\                                literal backslash; inside ${...} also \} for a literal }
+// Expressions are parsed, never evaluated as code.
+const CASE_OPERATORS = ['U', 'L', 'T', 'E', 'u', 'l'];
+const SPECIAL_TOKENS = ['$$', '$&', "$'", '$`', '$+'];
+const REFERENCE_PATTERN = /^(?:\d+|[A-Za-z_]\w*|&)/;
+const FILTER_PATTERN = /^([A-Za-z]+)(?:\(([^)]*)\))?/;
+const MAX_PAD_WIDTH = 1000;
+const NOTE_FIELDS = new Set(['note', 'childNote']);
+// Fields that can be searched but not replaced: indexed attachment text, the text an
+// annotation marks in its file, and the date Zotero added the item
+export const READ_ONLY_FIELDS = new Set(['attachmentContent', 'annotationText', 'dateAdded']);
+
+// Save modes for processItems and applyReviewedChanges:
+//   'item'    each item is saved in its own transaction; failed items are reported and skipped
+//   'atomic'  items are saved in chunks of chunkSize (default: all of them) inside one
+//             transaction each; if any item of a chunk fails, the whole chunk is rolled back
+export const SAVE_MODES = ['item', 'atomic'];
+
+// Source modes for replacements written to another field (options.targetField):
+//   'keep'   the source field is left as it is (copy)
+//   'clear'  the source field is emptied (move)
+//   'trim'   only the matched text is removed from the source, with the line it leaves empty
+export const SOURCE_MODES = ['keep', 'clear', 'trim'];
+
+// Letters, digits and apostrophes continue a word for title casing
+const WORD_CHARACTER = /[\p{L}\p{N}'\u2019]/u;
 
 export class ReplaceError extends Error {
   constructor(message, code) {
     super(message);
     this.name = 'ReplaceError';
-    this.code = code; // 'INVALID_REPLACE_PATTERN', 'SAVE_FAILED', etc.
+    this.code = code; // 'INVALID_REPLACE_PATTERN', 'UNSAFE_REGEX', 'INVALID_FUZZY_PATTERN', 'SAVE_FAILED', etc.
+  }
+}
+
+// Reduce tags to the properties Zotero round-trips; type 0 is manual, 1 automatic
+export function normalizeTags(tags) {
+  return (tags || []).map((tag) => ({ tag: String(tag.tag ?? ''), type: tag.type ? Number(tag.type) : 0 }));
+}
+
+// Creator changes of one item, each a whole creator list built from the same original
+// list, joined into one change: every creator takes the properties that any of the
+// changes gave it (a later change wins on the same property). Setting the lists one
+// after another would keep only the last change.
+export function mergeCreatorChanges(changes) {
+  const creatorChanges = changes.filter((change) => change.field.startsWith('creator.'));
+  if (creatorChanges.length < 2) {
+    return changes;
+  }
+
+  const [first] = creatorChanges;
+  const original = JSON.parse(first.original);
+  const replacedLists = creatorChanges.map((change) => JSON.parse(change.replaced));
+  // Creator operations can add or remove creators, but need conditions on one creator field (see validateCreatorOptions)
+  if (replacedLists.some((replaced) => replaced.length !== original.length)) {
+    return changes;
+  }
+
+  const merged = original.map((creator) => ({ ...creator }));
+  const creatorIndexes = new Set();
+  for (const replaced of replacedLists) {
+    replaced.forEach((creator, index) => {
+      for (const key of new Set([...Object.keys(original[index]), ...Object.keys(creator)])) {
+        if (JSON.stringify(creator[key]) === JSON.stringify(original[index][key])) {
+          continue;
+        }
+        if (creator[key] === undefined) {
+          delete merged[index][key];
+        } else {
+          merged[index][key] = creator[key];
+        }
+        creatorIndexes.add(index);
+      }
+    });
+  }
+
+  const mergedChange = {
+    field: first.field,
+    original: first.original,
+    replaced: JSON.stringify(merged),
+    creatorIndexes: [...creatorIndexes].sort((a, b) => a - b)
+  };
+  return [mergedChange, ...changes.filter((change) => !change.field.startsWith('creator.'))];
+}
+
+function toTitleCase(text, previous) {
+  let result = '';
+  let atWordStart = !previous || !WORD_CHARACTER.test(previous);
+
+  for (const char of text) {
+    result += atWordStart ? char.toUpperCase() : char.toLowerCase();
+    atWordStart = !WORD_CHARACTER.test(char);
+  }
+
+  return result;
+}
+
+function noArguments(args) {
+  if (args.length > 0) {
+    throw new Error('takes no arguments');
+  }
+  return [];
+}
+
+function padArguments(args) {
+  const [width, fill = ' '] = args;
+  if (args.length > 2 || !/^\d+$/.test(width ?? '') || Number(width) > MAX_PAD_WIDTH) {
+    throw new Error(`expects a width between 0 and ${MAX_PAD_WIDTH} and an optional fill character`);
+  }
+  if ([...fill].length !== 1) {
+    throw new Error('expects a single fill character');
+  }
+  return [Number(width), fill];
+}
+
+// Filters for ${ref|filter}: parseArgs validates the arguments when the pattern is compiled
+const REPLACE_FILTERS = {
+  trim: { parseArgs: noArguments, apply: (value) => value.trim() },
+  upper: { parseArgs: noArguments, apply: (value) => value.toUpperCase() },
+  lower: { parseArgs: noArguments, apply: (value) => value.toLowerCase() },
+  title: { parseArgs: noArguments, apply: (value) => toTitleCase(value) },
+  slug: {
+    parseArgs: noArguments,
+    apply: (value) => value
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+  },
+  pad: { parseArgs: padArguments, apply: (value, [width, fill]) => value.padStart(width, fill) },
+  padEnd: { parseArgs: padArguments, apply: (value, [width, fill]) => value.padEnd(width, fill) }
+};
+
+function invalidReplacePattern(message, position) {
+  return new ReplaceError(`Invalid replacement pattern: ${message} at position ${position + 1}`, 'INVALID_REPLACE_PATTERN');
+}
+
+// Parse a replacement string into text, reference, special, case and expression tokens
+function parseReplacePattern(pattern) {
+  let pos = 0;
+
+  function parseExpression() {
+    const start = pos;
+    pos += 2;
+
+    const ref = REFERENCE_PATTERN.exec(pattern.slice(pos));
+    if (!ref) {
+      throw invalidReplacePattern('expected a group number, group name or & after "${"', pos);
+    }
+    pos += ref[0].length;
+
+    const expression = { type: 'expression', ref: ref[0], filters: [], operator: null, tokens: [] };
+    while (pattern[pos] === '|') {
+      pos++;
+      const filter = FILTER_PATTERN.exec(pattern.slice(pos));
+      const spec = filter && Object.prototype.hasOwnProperty.call(REPLACE_FILTERS, filter[1]) ? REPLACE_FILTERS[filter[1]] : null;
+      if (!spec) {
+        throw invalidReplacePattern(`unknown filter "${filter ? filter[1] : pattern.slice(pos, pos + 1)}"`, pos);
+      }
+
+      let args;
+      try {
+        args = spec.parseArgs(filter[2] === undefined ? [] : filter[2].split(',').map((arg) => arg.trim()));
+      } catch (e) {
+        throw invalidReplacePattern(`filter "${filter[1]}" ${e.message}`, pos);
+      }
+
+      expression.filters.push({ name: filter[1], args });
+      pos += filter[0].length;
+    }
+
+    if (pattern.startsWith(':+', pos) || pattern.startsWith(':-', pos)) {
+      expression.operator = pattern[pos + 1];
+      pos += 2;
+      expression.tokens = parseSequence(true);
+    }
+
+    if (pos >= pattern.length) {
+      throw invalidReplacePattern('unclosed "${"', start);
+    }
+    if (pattern[pos] !== '}') {
+      throw invalidReplacePattern(`unexpected "${pattern[pos]}" in "\${...}"`, pos);
+    }
+    pos++;
+
+    return expression;
+  }
+
+  function parseSequence(nested) {
+    const tokens = [];
+    let text = '';
+    const flush = () => {
+      if (text) {
+        tokens.push({ type: 'text', value: text });
+        text = '';
+      }
+    };
+
+    while (pos < pattern.length) {
+      const char = pattern[pos];
+      const next = pattern[pos + 1];
+
+      if (nested && char === '}') {
+        break;
+      }
+
+      if (char === '\\' && CASE_OPERATORS.includes(next)) {
+        flush();
+        tokens.push({ type: 'case', operator: next });
+        pos += 2;
+        continue;
+      }
+
+      if (char === '\\' && (next === '\\' || (nested && next === '}'))) {
+        text += next;
+        pos += 2;
+        continue;
+      }
+
+      if (char === '$') {
+        const digits = /^\d+/.exec(pattern.slice(pos + 1));
+        if (digits) {
+          flush();
+          tokens.push({ type: 'reference', ref: digits[0] });
+          pos += 1 + digits[0].length;
+          continue;
+        }
+
+        if (next === '{') {
+          flush();
+          tokens.push(parseExpression());
+          continue;
+        }
+
+        const nameEnd = next === '<' ? pattern.indexOf('>', pos + 2) : -1;
+        if (nameEnd > pos + 2) {
+          flush();
+          tokens.push({ type: 'reference', ref: pattern.slice(pos + 2, nameEnd) });
+          pos = nameEnd + 1;
+          continue;
+        }
+
+        if (SPECIAL_TOKENS.includes(char + next)) {
+          flush();
+          tokens.push({ type: 'special', value: char + next });
+          pos += 2;
+          continue;
+        }
+      }
+
+      text += char;
+      pos++;
+    }
+
+    flush();
+    return tokens;
+  }
+
+  return parseSequence(false);
+}
+
+function resolveReference(ref, context) {
+  if (ref === '&' || ref === '0') {
+    return context.match;
+  }
+
+  if (/^\d+$/.test(ref)) {
+    return context.captures[Number.parseInt(ref, 10) - 1] || '';
+  }
+
+  return context.groups && ref in context.groups ? (context.groups[ref] || '') : '';
+}
+
+// Collects replacement output, applying the active case operators to everything
+// written, whether literal text or captured groups
+class CaseWriter {
+  constructor() {
+    this.output = '';
+    this.mode = null; // 'U', 'L' or 'T' until \E
+    this.next = null; // 'u' or 'l' for the next character
+  }
+
+  applyOperator(operator) {
+    if (operator === 'E') {
+      this.mode = null;
+      this.next = null;
+    } else if (operator === 'u' || operator === 'l') {
+      this.next = operator;
+    } else {
+      this.mode = operator;
+    }
+  }
+
+  write(text) {
+    if (!text) {
+      return;
+    }
+
+    let value = text;
+    if (this.mode === 'U') {
+      value = value.toUpperCase();
+    } else if (this.mode === 'L') {
+      value = value.toLowerCase();
+    } else if (this.mode === 'T') {
+      value = toTitleCase(value, this.output.at(-1));
+    }
+
+    if (this.next) {
+      const [first] = value;
+      const changed = this.next === 'u' ? first.toUpperCase() : first.toLowerCase();
+      value = changed + value.slice(first.length);
+      this.next = null;
+    }
+
+    this.output += value;
+  }
+}
+
+function renderTokens(tokens, context, writer) {
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'text':
+        writer.write(token.value);
+        break;
+      case 'reference':
+        writer.write(resolveReference(token.ref, context));
+        break;
+      case 'case':
+        writer.applyOperator(token.operator);
+        break;
+      case 'special':
+        if (token.value === '$$') {
+          writer.write('$');
+        } else if (token.value === '$&') {
+          writer.write(context.match);
+        } else if (token.value === "$'") {
+          writer.write(context.input.slice(context.offset + context.match.length));
+        } else if (token.value === '$`') {
+          writer.write(context.input.slice(0, context.offset));
+        } else {
+          writer.write(context.lastCapture);
+        }
+        break;
+      case 'expression': {
+        const value = token.filters.reduce(
+          (current, filter) => REPLACE_FILTERS[filter.name].apply(current, filter.args),
+          resolveReference(token.ref, context)
+        );
+
+        if (token.operator === '+') {
+          if (value) {
+            renderTokens(token.tokens, context, writer);
+          }
+        } else if (token.operator === '-' && !value) {
+          renderTokens(token.tokens, context, writer);
+        } else {
+          writer.write(value);
+        }
+        break;
+      }
+    }
+  }
+}
+
+// Applies { start, end, replacement } edits, given in order of their positions, through
+// replaceRange. Right to left, so that earlier offsets stay valid.
+function applyEdits(edits, replaceRange) {
+  for (const { start, end, replacement } of [...edits].reverse()) {
+    replaceRange(start, end, replacement);
   }
 }
 
 class ReplaceEngine {
   constructor() {
-    this.placeholderPattern = PLACEHOLDER_PATTERN;
+    // Time-budgeted regex runs on long values during preview and replace (see regex-guard.js)
+    this.regexGuard = null;
+    this.regexRuns = new Map();
+    this.pendingRegexTests = [];
+    this.regexTimedOut = false;
+    this.timedOutFields = new Set();
   }
 
-  // Compile replacement pattern
+  // Compile replacement pattern; throws ReplaceError (INVALID_REPLACE_PATTERN) for syntax errors
   compileReplacePattern(pattern) {
     if (typeof pattern === 'function') {
       return pattern;
     }
 
-    if (typeof pattern !== 'string' || !pattern.includes('$')) {
+    if (typeof pattern !== 'string' || (!pattern.includes('$') && !pattern.includes('\\'))) {
       return () => pattern;
     }
 
+    const tokens = parseReplacePattern(pattern);
+
     return (match, ...args) => {
       let groups;
       if (args.length > 0) {
@@ -42,33 +424,47 @@ class ReplaceEngine {
       const offset = args.pop() || 0;
       const captures = args;
       const lastCapture = [...captures].reverse().find((capture) => capture !== undefined) || '';
+      const writer = new CaseWriter();
 
-      return pattern.replace(this.placeholderPattern, (token, numericGroup, braceName, angleName, specialToken) => {
-        if (numericGroup) {
-          return captures[Number.parseInt(numericGroup, 10) - 1] || '';
-        }
+      renderTokens(tokens, { match, captures, groups, input, offset, lastCapture }, writer);
+      return writer.output;
+    };
+  }
 
-        const groupName = braceName || angleName;
-        if (groupName) {
-          return groups && groupName in groups ? (groups[groupName] || '') : '';
-        }
+  // Refuse regex search patterns with catastrophic backtracking before running them on every item
+  validateSearchPatterns(searchPatternOrConditions, options = {}) {
+    for (const condition of this.normalizeConditions(searchPatternOrConditions, options)) {
+      const [issue] = condition.patternType === 'regex' ? analyzeRegex(condition.pattern) : [];
+      if (issue) {
+        throw new ReplaceError(`Regex may take too long to run: ${issue.message}`, 'UNSAFE_REGEX');
+      }
+      const problem = isApproximatePatternType(condition.patternType)
+        ? validateApproximatePattern(condition.patternType, condition.pattern)
+        : null;
+      if (problem) {
+        throw new ReplaceError(`Invalid approximate pattern: ${problem}`, 'INVALID_FUZZY_PATTERN');
+      }
+    }
+  }
 
-        switch (specialToken) {
-          case '$$':
-            return '$';
-          case '$&':
-            return match;
-          case "$'":
-            return input.slice(offset + match.length);
-          case '$`':
-            return input.slice(0, offset);
-          case '$+':
-            return lastCapture;
-          default:
-            return token;
-        }
-      });
-    };
+  // Matches of a condition in value, each as the arguments String.prototype.replace passes
+  // to a replacer function. Approximate matches (see approximate-matching.js) have no groups.
+  findMatches(value, condition) {
+    if (isApproximatePatternType(condition.patternType)) {
+      return findApproximateMatches(value, condition.patternType, condition.pattern, condition.caseSensitive)
+        .map(({ index, length }) => [value.slice(index, index + length), index, value]);
+    }
+
+    const matches = [];
+    const regex = this.getSearchRegex(condition.pattern, condition);
+    if (!this.canRunRegex(regex, value)) {
+      return matches;
+    }
+    value.replace(regex, (...args) => {
+      matches.push(args);
+      return args[0];
+    });
+    return matches;
   }
 
   escapeRegExp(value) {
@@ -93,6 +489,9 @@ class ReplaceEngine {
   }
 
   applyRegexPattern(value, regex, replacePattern) {
+    if (!this.canRunRegex(regex, value)) {
+      return { result: value, replacements: 0 };
+    }
     const replacements = this.countMatches(regex, value);
     if (replacements === 0) {
       return { result: value, replacements: 0 };
@@ -104,6 +503,59 @@ class ReplaceEngine {
     };
   }
 
+  // Whether regex can run on value on the main thread. With a regex guard, values of
+  // GUARDED_VALUE_LENGTH or more are first matched in full in its worker: until then they
+  // are queued for runPendingRegexTests, and values that ran out of time are never
+  // matched. Both count as no match; timeouts are listed in timedOutFields.
+  canRunRegex(regex, value) {
+    if (!this.regexGuard || value.length < GUARDED_VALUE_LENGTH) {
+      return true;
+    }
+
+    const key = `${regex.flags}/${regex.source}`;
+    const result = this.regexRuns.get(key)?.get(value);
+    if (!result) {
+      this.pendingRegexTests.push({ key, regex, value });
+      return false;
+    }
+    if (result.timedOut) {
+      this.regexTimedOut = true;
+      return false;
+    }
+    return true;
+  }
+
+  async runPendingRegexTests() {
+    const pending = this.pendingRegexTests;
+    this.pendingRegexTests = [];
+
+    for (const { key, regex, value } of pending) {
+      if (!this.regexRuns.has(key)) {
+        this.regexRuns.set(key, new Map());
+      }
+      const results = this.regexRuns.get(key);
+      if (!results.has(value)) {
+        results.set(value, await this.regexGuard.count(regex, value));
+      }
+    }
+  }
+
+  // Runs run() with options.regexGuard, or with a guard of its own where workers are
+  // available (options.regexTimeout sets its budget); options.regexGuard: null runs without one
+  async withRegexGuard(options, run) {
+    const ownGuard = options.regexGuard === undefined && RegexGuard.isAvailable()
+      ? new RegexGuard({ timeout: options.regexTimeout })
+      : null;
+    this.regexGuard = options.regexGuard || ownGuard;
+    try {
+      return await run();
+    } finally {
+      ownGuard?.dispose();
+      this.regexGuard = null;
+      this.regexRuns.clear();
+    }
+  }
+
   normalizeConditions(searchPatternOrConditions, options = {}) {
     if (Array.isArray(searchPatternOrConditions)) {
       return searchPatternOrConditions
@@ -142,49 +594,6 @@ class ReplaceEngine {
     return this.joinCreatorNameParts(creator.firstName, creator.lastName);
   }
 
-  splitCreatorFullName(value, creator) {
-    const trimmedValue = value == null ? '' : String(value).trim();
-    if (!trimmedValue) {
-      return { firstName: '', lastName: '' };
-    }
-
-    const commaIndex = trimmedValue.indexOf(',');
-    if (commaIndex !== -1) {
-      return {
-        lastName: trimmedValue.slice(0, commaIndex).trim(),
-        firstName: trimmedValue.slice(commaIndex + 1).trim()
-      };
-    }
-
-    const originalFirst = creator.firstName == null ? '' : String(creator.firstName).trim();
-    const originalLast = creator.lastName == null ? '' : String(creator.lastName).trim();
-
-    if (originalLast && trimmedValue.endsWith(originalLast)) {
-      return {
-        firstName: trimmedValue.slice(0, trimmedValue.length - originalLast.length).trim(),
-        lastName: originalLast
-      };
-    }
-
-    if (originalFirst && trimmedValue.startsWith(originalFirst)) {
-      return {
-        firstName: originalFirst,
-        lastName: trimmedValue.slice(originalFirst.length).trim()
-      };
-    }
-
-    const words = trimmedValue.split(/\s+/);
-    const lastNameWordCount = Math.max(1, originalLast ? originalLast.split(/\s+/).length : 1);
-    if (words.length > lastNameWordCount) {
-      return {
-        firstName: words.slice(0, words.length - lastNameWordCount).join(' '),
-        lastName: words.slice(words.length - lastNameWordCount).join(' ')
-      };
-    }
-
-    return { firstName: '', lastName: trimmedValue };
-  }
-
   applyReplaceToCreatorFullName(creator, fieldConditions, replacePattern) {
     const originalFullName = this.getCreatorFullName(creator);
     const { result, replacements } = this.applyConditionsToValue(originalFullName, fieldConditions, replacePattern);
@@ -209,7 +618,7 @@ class ReplaceEngine {
       return true;
     }
 
-    const splitName = this.splitCreatorFullName(result, creator);
+    const splitName = splitCreatorFullName(result, creator);
     creator.firstName = splitName.firstName;
     creator.lastName = splitName.lastName;
     return true;
@@ -228,22 +637,39 @@ class ReplaceEngine {
     return { result, replacements };
   }
 
-  previewCreatorField(item, field, fieldConditions, replacePattern) {
+  // options.creatorFilter limits creator replaces and operations to some creators:
+  //   indexes  positions in the creator list, from 0
+  //   types    creator type names, e.g. ['editor']
+  isCreatorSelected(creator, index, creatorFilter) {
+    if (!creatorFilter) {
+      return true;
+    }
+    const { indexes, types } = creatorFilter;
+    return (!indexes?.length || indexes.includes(index))
+      && (!types?.length || types.includes(getCreatorTypeName(creator)));
+  }
+
+  // creatorIndexes lists the creators that changed, so that they can be reviewed one by one
+  previewCreatorField(item, field, fieldConditions, replacePattern, creatorFilter) {
     const creators = item.getCreators();
     if (!creators) {
       return null;
     }
 
     const modifiedCreators = creators.map((creator) => ({ ...creator }));
-    let changed = false;
+    const creatorIndexes = [];
     const creatorField = field.split('.')[1];
 
-    for (const creator of modifiedCreators) {
+    modifiedCreators.forEach((creator, index) => {
+      if (!this.isCreatorSelected(creator, index, creatorFilter)) {
+        return;
+      }
+
       if (creatorField === 'fullName') {
         if (this.applyReplaceToCreatorFullName(creator, fieldConditions, replacePattern)) {
-          changed = true;
+          creatorIndexes.push(index);
         }
-        continue;
+        return;
       }
 
       const value = creator[creatorField];
@@ -252,8 +678,87 @@ class ReplaceEngine {
 
       if (replacements > 0 && result !== originalValue) {
         creator[creatorField] = result;
+        creatorIndexes.push(index);
+      }
+    });
+
+    if (creatorIndexes.length === 0) {
+      return null;
+    }
+
+    return {
+      field,
+      original: JSON.stringify(creators),
+      replaced: JSON.stringify(modifiedCreators),
+      creatorIndexes
+    };
+  }
+
+  // Apply options.creatorOperation (see creator-operations.js) to the creators whose
+  // field matches one of the conditions. A type change is skipped for items whose type
+  // does not have that creator type.
+  previewCreatorOperation(item, field, fieldConditions, operation, creatorFilter) {
+    const creators = item.getCreators();
+    if (!creators || creators.length === 0) {
+      return null;
+    }
+
+    const creatorField = field.split('.')[1];
+    const matched = creators.map((creator, index) => {
+      if (!this.isCreatorSelected(creator, index, creatorFilter)) {
+        return false;
+      }
+      const value = creatorField === 'fullName' ? this.getCreatorFullName(creator) : creator[creatorField];
+      return fieldConditions.some((condition) => this.findMatches(value == null ? '' : String(value), condition).length > 0);
+    });
+    if (!matched.includes(true)) {
+      return null;
+    }
+
+    let resolvedOperation = operation;
+    if (operation.type === CREATOR_OPERATIONS.SET_TYPE) {
+      const creatorTypeID = Zotero.CreatorTypes.getID(operation.creatorType);
+      if (!Zotero.CreatorTypes.isValidForItemType(creatorTypeID, item.itemTypeID)) {
+        return null;
+      }
+      resolvedOperation = { ...operation, creatorTypeID };
+    }
+
+    const original = JSON.stringify(creators);
+    const replaced = JSON.stringify(applyCreatorOperation(creators, matched, resolvedOperation));
+    return replaced === original ? null : { field, original, replaced };
+  }
+
+  // Tags are renamed one by one: a tag whose new name is empty is deleted, and tags
+  // that end up with the same name are merged into the first of them. Tags keep their
+  // type; a merged tag is manual (0) if any of the merged tags was manual.
+  // The change carries the whole tag list as JSON, like creator changes.
+  previewTagsField(item, field, fieldConditions, replacePattern) {
+    const tags = normalizeTags(item.getTags());
+    const replacedTags = [];
+    const tagsByName = new Map();
+    let changed = false;
+
+    for (const tag of tags) {
+      const { result, replacements } = this.applyConditionsToValue(tag.tag, fieldConditions, replacePattern);
+      const name = replacements > 0 ? result.trim() : tag.tag;
+      if (name !== tag.tag) {
         changed = true;
       }
+      if (name === '') {
+        continue;
+      }
+
+      const existing = tagsByName.get(name);
+      if (existing) {
+        changed = true;
+        existing.type = Math.min(existing.type, tag.type);
+        continue;
+      }
+
+      const replacedTag = { tag: name, type: tag.type };
+      tagsByName.set(name, replacedTag);
+      replacedTags.push(replacedTag);
     }
 
     if (!changed) {
@@ -262,11 +767,60 @@ class ReplaceEngine {
 
     return {
       field,
-      original: JSON.stringify(creators),
-      replaced: JSON.stringify(modifiedCreators)
+      original: JSON.stringify(tags),
+      replaced: JSON.stringify(replacedTags)
     };
   }
 
+  // Notes are replaced on their visible text (see note-html.js), so markup and
+  // attributes are never matched and the note's HTML structure is kept.
+  // originalText and replacedText are the visible text, for display.
+  previewNoteField(item, field, fieldConditions, replacePattern) {
+    if (!isNoteFieldItem(item, field)) {
+      return null;
+    }
+
+    const original = item.getNote() || '';
+    const note = new NoteDocument(original);
+    const originalText = note.getText();
+    const replacer = this.compileReplacePattern(replacePattern);
+    let replacements = 0;
+
+    for (const condition of fieldConditions) {
+      const text = note.getText();
+      const edits = this.findMatches(text, condition).map((args) => {
+        const offset = typeof args.at(-1) === 'object' ? args.at(-3) : args.at(-2);
+        return { start: offset, end: offset + args[0].length, replacement: replacer(...args) };
+      });
+
+      applyEdits(edits, (start, end, replacement) => note.replaceRange(start, end, replacement));
+      replacements += edits.length;
+    }
+
+    const replaced = note.toHTML();
+    if (replacements === 0 || replaced === original) {
+      return null;
+    }
+
+    return { field, original, replaced, originalText, replacedText: note.getText() };
+  }
+
+  // Only annotation comments are replaced; annotation text is the text marked in the
+  // file and is left as it is
+  previewAnnotationField(item, field, fieldConditions, replacePattern) {
+    if (field !== 'annotationComment' || typeof item.isAnnotation !== 'function' || !item.isAnnotation()) {
+      return null;
+    }
+
+    const original = item.annotationComment || '';
+    const { result, replacements } = this.applyConditionsToValue(original, fieldConditions, replacePattern);
+    if (replacements === 0 || result === original) {
+      return null;
+    }
+
+    return { field, original, replaced: result };
+  }
+
   previewStandardField(item, field, fieldConditions, replacePattern) {
     const original = item.getField(field);
     const originalValue = original == null ? '' : String(original);
@@ -281,27 +835,165 @@ class ReplaceEngine {
 
   // Apply replace to a single value
   applyReplace(value, searchPattern, replacePattern, options = {}) {
-    const { patternType = 'regex', caseSensitive = false } = options;
     const str = value == null ? '' : String(value);
+    if (!isApproximatePatternType(options.patternType)) {
+      return this.applyRegexPattern(str, this.getSearchRegex(searchPattern, options), replacePattern);
+    }
+
+    const replacer = this.compileReplacePattern(replacePattern);
+    const matches = this.findMatches(str, { ...options, pattern: searchPattern });
+    const edits = matches.map((args) => ({ start: args[1], end: args[1] + args[0].length, replacement: replacer(...args) }));
+    let result = str;
+    applyEdits(edits, (start, end, replacement) => {
+      result = result.slice(0, start) + replacement + result.slice(end);
+    });
+    return { result, replacements: matches.length };
+  }
+
+  getSearchRegex(searchPattern, options = {}) {
+    const { patternType = 'regex', caseSensitive = false } = options;
 
     if (patternType === 'regex') {
-      return this.applyRegexPattern(str, new RegExp(searchPattern, caseSensitive ? 'g' : 'gi'), replacePattern);
+      return new RegExp(searchPattern, caseSensitive ? 'g' : 'gi');
     }
 
     if (patternType === 'exact') {
-      const exactRegex = new RegExp(`^${this.escapeRegExp(searchPattern)}$`, caseSensitive ? '' : 'i');
-      return this.applyRegexPattern(str, exactRegex, replacePattern);
+      return new RegExp(`^${this.escapeRegExp(searchPattern)}$`, caseSensitive ? '' : 'i');
+    }
+
+    return new RegExp(this.escapeRegExp(searchPattern), caseSensitive ? 'g' : 'gi');
+  }
+
+  // Fields that hold a single text value set with setField
+  isStandardField(field) {
+    return Boolean(field) && !field.startsWith('creator.') && field !== 'tags' && !NOTE_FIELDS.has(field)
+      && !field.startsWith('annotation') && !READ_ONLY_FIELDS.has(field);
+  }
+
+  // Zotero only stores fields that belong to the item's type
+  isFieldValidForItem(item, field) {
+    const fieldID = Zotero.ItemFields.getID(field);
+    return Boolean(fieldID) && Zotero.ItemFields.isValidForType(fieldID, item.itemTypeID);
+  }
+
+  // Replacements written to another field are read from one standard field into another
+  validateTarget(conditions, options = {}) {
+    const { targetField, sourceMode = 'keep' } = options;
+    if (!targetField) {
+      return;
+    }
+
+    if (!SOURCE_MODES.includes(sourceMode)) {
+      throw new ReplaceError(`Unknown source mode: ${sourceMode}`, 'INVALID_SOURCE_MODE');
+    }
+    const sourceFields = new Set(conditions.map((condition) => condition.field));
+    if (!this.isStandardField(targetField) || sourceFields.size > 1 || ![...sourceFields].every((field) => this.isStandardField(field))) {
+      throw new ReplaceError(`Cannot write replacements from ${[...sourceFields].join(', ')} to ${targetField}`, 'INVALID_TARGET_FIELD');
+    }
+  }
+
+  // Creator operations rearrange the creators picked by conditions on one creator field
+  validateCreatorOptions(conditions, options = {}) {
+    const { creatorFilter, creatorOperation: operation } = options;
+    if (creatorFilter && (!(creatorFilter.indexes ?? []).every((index) => Number.isInteger(index) && index >= 0)
+      || !(creatorFilter.types ?? []).every((type) => typeof type === 'string'))) {
+      throw new ReplaceError('Creator filters take creator positions from 0 and creator type names', 'INVALID_CREATOR_FILTER');
+    }
+    if (!operation) {
+      return;
+    }
+
+    const error = getCreatorOperationError(operation);
+    if (error) {
+      throw new ReplaceError(`Invalid creator operation: ${error}`, 'INVALID_CREATOR_OPERATION');
+    }
+    const fields = new Set(conditions.map((condition) => condition.field));
+    if (fields.size !== 1 || ![...fields][0].startsWith('creator.') || options.targetField) {
+      throw new ReplaceError('Creator operations need conditions on a single creator field', 'INVALID_CREATOR_OPERATION');
+    }
+    if (operation.type === CREATOR_OPERATIONS.SET_TYPE && !Zotero.CreatorTypes.getID(operation.creatorType)) {
+      throw new ReplaceError(`Unknown creator type: ${operation.creatorType}`, 'INVALID_CREATOR_OPERATION');
+    }
+  }
+
+  // Write the replacement of the first match in the source field to options.targetField,
+  // using the match's capture groups, and keep, clear or trim the source (see SOURCE_MODES)
+  previewTargetField(item, field, fieldConditions, replacePattern, options) {
+    const { targetField, sourceMode = 'keep' } = options;
+    const original = item.getField(field);
+    const source = original == null ? '' : String(original);
+    const replacer = this.compileReplacePattern(replacePattern);
+
+    let match = null;
+    for (const condition of fieldConditions) {
+      const [args] = this.findMatches(source, condition);
+      if (args) {
+        const offset = typeof args.at(-1) === 'object' ? args.at(-3) : args.at(-2);
+        match = { index: offset, length: args[0].length, value: replacer(...args) };
+        break;
+      }
+    }
+    if (!match) {
+      return [];
+    }
+
+    const changes = [];
+    const targetOriginal = item.getField(targetField) ?? '';
+    if (String(targetOriginal) !== match.value) {
+      changes.push({ field: targetField, original: String(targetOriginal), replaced: match.value });
     }
 
-    const literalRegex = new RegExp(this.escapeRegExp(searchPattern), caseSensitive ? 'g' : 'gi');
-    return this.applyRegexPattern(str, literalRegex, replacePattern);
+    let remaining = source;
+    if (sourceMode === 'clear') {
+      remaining = '';
+    } else if (sourceMode === 'trim') {
+      remaining = this.removeMatchedText(source, match.index, match.length);
+    }
+    if (remaining !== source) {
+      changes.push({ field, original: source, replaced: remaining });
+    }
+
+    return changes;
+  }
+
+  // Remove [index, index + length) from value; a line left empty is removed with it
+  removeMatchedText(value, index, length) {
+    let before = value.slice(0, index);
+    let after = value.slice(index + length);
+    const lineStart = before === '' || before.endsWith('\n');
+    const lineEnd = after === '' || after.startsWith('\n');
+
+    if (lineStart && lineEnd) {
+      if (after.startsWith('\n')) {
+        after = after.slice(1);
+      } else {
+        before = before.replace(/\n$/, '');
+      }
+    } else {
+      before = before.replace(/[ \t]+$/, '');
+      after = after.replace(/^[ \t]+/, before === '' || before.endsWith('\n') ? '' : ' ');
+    }
+    // Only the spaces at the cut are tidied; the rest of the value is kept as it is
+    return before + after;
   }
 
   // Preview replace on an item (no save)
+  // With options.targetField, replacements are written to that field instead (see previewTargetField);
+  // items whose type does not have the target field get no changes. With options.creatorOperation,
+  // creator fields are rearranged instead of replaced (see previewCreatorOperation), and
+  // options.creatorFilter limits both to some of the creators (see isCreatorSelected).
   previewReplace(item, searchPatternOrConditions, replacePattern, options = {}) {
     const conditions = this.normalizeConditions(searchPatternOrConditions, options);
     const changes = [];
     const conditionsByField = new Map();
+    this.pendingRegexTests = [];
+    this.timedOutFields = new Set();
+
+    this.validateTarget(conditions, options);
+    this.validateCreatorOptions(conditions, options);
+    if (options.targetField && !this.isFieldValidForItem(item, options.targetField)) {
+      return changes;
+    }
 
     for (const condition of conditions) {
       if (!conditionsByField.has(condition.field)) {
@@ -311,40 +1003,112 @@ class ReplaceEngine {
     }
 
     for (const [field, fieldConditions] of conditionsByField.entries()) {
-      const change = field.startsWith('creator.')
-        ? this.previewCreatorField(item, field, fieldConditions, replacePattern)
-        : this.previewStandardField(item, field, fieldConditions, replacePattern);
+      if (READ_ONLY_FIELDS.has(field)) {
+        continue;
+      }
 
-      if (change) {
-        changes.push(change);
+      this.regexTimedOut = false;
+      const fieldChanges = this.previewField(item, field, fieldConditions, replacePattern, options);
+      if (this.regexTimedOut) {
+        this.timedOutFields.add(field);
       }
+      changes.push(...fieldChanges);
     }
 
     return changes;
   }
 
+  // previewReplace with the regex time budget: long values are matched in the guard's
+  // worker first (see canRunRegex). Returns { changes, timedOutFields }, where fields
+  // whose regex ran out of time are left unchanged.
+  async previewReplaceGuarded(item, searchPatternOrConditions, replacePattern, options = {}) {
+    let changes = this.previewReplace(item, searchPatternOrConditions, replacePattern, options);
+    // A value can depend on an earlier condition's result, so new tests may come up on each pass
+    while (this.pendingRegexTests.length > 0) {
+      await this.runPendingRegexTests();
+      changes = this.previewReplace(item, searchPatternOrConditions, replacePattern, options);
+    }
+    const timedOutFields = [...this.timedOutFields];
+    this.regexRuns.clear();
+    return { changes, timedOutFields };
+  }
+
+  // Preview items with the regex time budget (see withRegexGuard): [{ item, changes, timedOutFields }]
+  async previewItems(items, searchPatternOrConditions, replacePattern, options = {}) {
+    return this.withRegexGuard(options, async () => {
+      const previews = [];
+      for (const item of items) {
+        previews.push({ item, ...await this.previewReplaceGuarded(item, searchPatternOrConditions, replacePattern, options) });
+      }
+      return previews;
+    });
+  }
+
+  // Changes of one field of previewReplace
+  previewField(item, field, fieldConditions, replacePattern, options) {
+    if (options.targetField && options.targetField !== field) {
+      return this.previewTargetField(item, field, fieldConditions, replacePattern, options);
+    }
+
+    let change;
+    if (field.startsWith('creator.') && options.creatorOperation) {
+      change = this.previewCreatorOperation(item, field, fieldConditions, options.creatorOperation, options.creatorFilter);
+    } else if (field.startsWith('creator.')) {
+      change = this.previewCreatorField(item, field, fieldConditions, replacePattern, options.creatorFilter);
+    } else if (field === 'tags') {
+      change = this.previewTagsField(item, field, fieldConditions, replacePattern);
+    } else if (NOTE_FIELDS.has(field)) {
+      change = this.previewNoteField(item, field, fieldConditions, replacePattern);
+    } else if (field === 'annotationText' || field === 'annotationComment') {
+      change = this.previewAnnotationField(item, field, fieldConditions, replacePattern);
+    } else {
+      change = this.previewStandardField(item, field, fieldConditions, replacePattern);
+    }
+
+    return change ? [change] : [];
+  }
+
   // Apply replace to item (with save)
   async applyReplaceToItem(item, searchPatternOrConditions, replacePattern, options = {}) {
+    if (options.targetField && !this.isFieldValidForItem(item, options.targetField)) {
+      return { success: true, changes: [], invalidTarget: true, message: `${options.targetField} is not a field of this item type` };
+    }
+    const { changes, timedOutFields } = await this.previewReplaceGuarded(item, searchPatternOrConditions, replacePattern, options);
+    const result = await this.applyChangesToItem(item, changes, options);
+    return timedOutFields.length > 0 ? { ...result, timedOutFields } : result;
+  }
+
+  // Apply already-previewed changes to item (with save)
+  // With options.inTransaction the item is saved in the caller's transaction and
+  // save errors are rethrown, so that the caller's transaction is rolled back
+  async applyChangesToItem(item, changes, options = {}) {
     const { progressCallback = () => { } } = options;
 
-    const changes = this.previewReplace(item, searchPatternOrConditions, replacePattern, options);
-    if (changes.length === 0) {
+    if (!changes || changes.length === 0) {
       return { success: true, changes: [], message: 'No changes needed' };
     }
+    changes = mergeCreatorChanges(changes);
+
+    // Changes may have been previewed a while ago: an item edited or synced since then is not overwritten
+    const outdated = changes.find((change) => this.getChangeValue(item, change.field) !== change.original);
+    if (outdated) {
+      return { success: true, changes: [], conflict: true, message: `${outdated.field} has changed since the preview` };
+    }
 
     // Apply changes
     for (const change of changes) {
       progressCallback({ itemID: item.id, field: change.field });
+      this.setChangeValue(item, change.field, change.replaced);
+    }
 
-      if (change.field.startsWith('creator.')) {
-        // Creator modification - get creators, modify, set back
-        const creators = item.getCreators();
-        const newCreators = JSON.parse(change.replaced);
-        item.setCreators(newCreators);
-      } else {
-        // Standard field
-        item.setField(change.field, change.replaced);
+    if (options.inTransaction) {
+      try {
+        await item.save();
+      } catch (e) {
+        this.restoreItemChanges(item, changes);
+        throw e;
       }
+      return { success: true, changes, message: 'Saved successfully' };
     }
 
     // Save in transaction
@@ -356,27 +1120,166 @@ class ReplaceEngine {
     }
   }
 
+  // Put back the original values of changes that were set but not saved, so the
+  // in-memory item matches the database again after a rollback
+  restoreItemChanges(item, changes) {
+    // Restore in reverse order so the earliest original value wins for repeated fields
+    for (const change of [...changes].reverse()) {
+      this.setChangeValue(item, change.field, change.original);
+    }
+  }
+
+  // Current value of a field in the form previewReplace gives change.original
+  getChangeValue(item, field) {
+    if (field.startsWith('creator.')) {
+      return JSON.stringify(item.getCreators());
+    }
+    if (field === 'tags') {
+      return JSON.stringify(normalizeTags(item.getTags()));
+    }
+    if (NOTE_FIELDS.has(field)) {
+      return item.getNote() || '';
+    }
+    if (field === 'annotationComment') {
+      return item.annotationComment || '';
+    }
+    const value = item.getField(field);
+    return value == null ? '' : String(value);
+  }
+
+  setChangeValue(item, field, value) {
+    if (field.startsWith('creator.')) {
+      // Creator modification - replace the whole creator list
+      item.setCreators(JSON.parse(value));
+    } else if (field === 'tags') {
+      item.setTags(JSON.parse(value));
+    } else if (NOTE_FIELDS.has(field)) {
+      item.setNote(value);
+    } else if (field === 'annotationComment') {
+      item.annotationComment = value;
+    } else {
+      // Standard field
+      item.setField(field, value);
+    }
+  }
+
   // Batch process items
+  // options.saveMode ('item' or 'atomic') and options.chunkSize select how items are saved, see SAVE_MODES
+  // When an UndoJournal is passed as options.journal, the run is recorded as a named operation
   async processItems(items, searchPatternOrConditions, replacePattern, options = {}) {
-    const { progressCallback = () => { } } = options;
+    // Report replacement syntax errors and unsafe search patterns once instead of once per item
+    this.compileReplacePattern(replacePattern);
+    this.validateSearchPatterns(searchPatternOrConditions, options);
+    const conditions = this.normalizeConditions(searchPatternOrConditions, options);
+    this.validateTarget(conditions, options);
+    this.validateCreatorOptions(conditions, options);
+
+    return this.withRegexGuard(options, () => this.processBatch(
+      items,
+      (item, index, saveOptions) => this.applyReplaceToItem(item, searchPatternOrConditions, replacePattern, { ...options, ...saveOptions }),
+      { ...options, replacePattern }
+    ));
+  }
+
+  // Save reviewed changes only: entries are [{ item, changes }] with changes as returned by previewReplace
+  async applyReviewedChanges(entries, options = {}) {
+    return this.processBatch(
+      entries.map((entry) => entry.item),
+      (item, index, saveOptions) => this.applyChangesToItem(item, entries[index].changes, { ...options, ...saveOptions }),
+      options
+    );
+  }
+
+  async processBatch(items, applyToItem, options = {}) {
+    const { journal = null, operationName = 'Replace', replacePattern, saveMode = 'item' } = options;
+    if (!SAVE_MODES.includes(saveMode)) {
+      throw new ReplaceError(`Unknown save mode: ${saveMode}`, 'INVALID_SAVE_MODE');
+    }
+
     const results = {
       modified: 0,
       skipped: 0,
-      errors: []
+      errors: [],
+      readOnly: [],
+      // Items skipped because their type does not have options.targetField
+      invalidTarget: [],
+      // Items skipped because a field to change no longer holds the previewed original value
+      conflicts: [],
+      // Items with a field left unchanged because its regex ran out of time
+      timedOut: [],
+      operationID: null
     };
 
+    // Items in libraries the user cannot edit (e.g. read-only group libraries) are left out
+    const editableIndexes = [];
+    items.forEach((item, index) => {
+      if (this.isItemEditable(item)) {
+        editableIndexes.push(index);
+      } else {
+        results.readOnly.push(item.id);
+      }
+    });
+    const editableItems = editableIndexes.map((index) => items[index]);
+    const applyToEditable = (item, index, saveOptions) => applyToItem(item, editableIndexes[index], saveOptions);
+
+    const operation = journal
+      ? journal.beginOperation(operationName, {
+        replacePattern: typeof replacePattern === 'function' ? '[function]' : String(replacePattern ?? '')
+      })
+      : null;
+
+    if (saveMode === 'atomic') {
+      await this.processAtomicChunks(editableItems, applyToEditable, options, results, operation);
+    } else {
+      await this.processEachItem(editableItems, applyToEditable, options, results, operation);
+    }
+
+    if (operation) {
+      try {
+        if (await journal.commitOperation(operation)) {
+          results.operationID = operation.id;
+        }
+      } catch (e) {
+        // The items are already saved; report that the run could not be journaled
+        results.journalError = e.message;
+      }
+    }
+
+    return results;
+  }
+
+  isItemEditable(item) {
+    const library = Zotero.Libraries?.get?.(item.libraryID);
+    return !library || library.editable !== false;
+  }
+
+  async processEachItem(items, applyToItem, options, results, operation) {
+    const { progressCallback = () => { }, journal = null } = options;
+
     for (let i = 0; i < items.length; i++) {
       const item = items[i];
       progressCallback({ current: i + 1, total: items.length, itemID: item.id });
 
       try {
-        const result = await this.applyReplaceToItem(item, searchPatternOrConditions, replacePattern, options);
+        const result = await applyToItem(item, i);
+        if (result.timedOutFields) {
+          results.timedOut.push(item.id);
+        }
 
         if (result.success) {
           if (result.changes.length > 0) {
             results.modified++;
+            if (operation) {
+              journal.recordItem(operation, item, result.changes);
+            }
           } else {
             results.skipped++;
+            if (result.invalidTarget) {
+              results.invalidTarget.push(item.id);
+            }
+            if (result.conflict) {
+              results.conflicts.push(item.id);
+            }
           }
         } else {
           results.errors.push({ itemID: item.id, error: result.message });
@@ -385,8 +1288,77 @@ class ReplaceEngine {
         results.errors.push({ itemID: item.id, error: e.message });
       }
     }
+  }
 
-    return results;
+  // Save items in chunks, each in one transaction. results.chunks lists every chunk
+  // as { index, itemIDs, committed, error, failedItemID } in the order they were run
+  async processAtomicChunks(items, applyToItem, options, results, operation) {
+    const { progressCallback = () => { }, journal = null } = options;
+    const chunkSize = options.chunkSize > 0 ? Math.floor(options.chunkSize) : items.length;
+    results.chunks = [];
+    results.rolledBack = 0;
+
+    for (let start = 0; start < items.length; start += chunkSize) {
+      const chunkItems = items.slice(start, start + chunkSize);
+      const chunk = {
+        index: results.chunks.length,
+        itemIDs: chunkItems.map((item) => item.id),
+        committed: false,
+        error: null,
+        failedItemID: null
+      };
+      results.chunks.push(chunk);
+
+      const saved = [];
+      let current = null;
+      try {
+        await Zotero.DB.executeTransaction(async () => {
+          for (let j = 0; j < chunkItems.length; j++) {
+            current = chunkItems[j];
+            progressCallback({ current: start + j + 1, total: items.length, itemID: current.id });
+
+            const result = await applyToItem(current, start + j, { inTransaction: true });
+            if (!result.success) {
+              throw new ReplaceError(result.message, 'SAVE_FAILED');
+            }
+            saved.push({ item: current, ...result });
+          }
+        });
+      } catch (e) {
+        // The database has rolled the chunk back; do the same for the items in memory
+        for (const entry of saved.reverse()) {
+          this.restoreItemChanges(entry.item, entry.changes);
+          if (entry.changes.length > 0) {
+            results.rolledBack++;
+          }
+        }
+        chunk.error = e.message;
+        chunk.failedItemID = current ? current.id : null;
+        results.errors.push({ itemID: chunk.failedItemID, error: e.message });
+        continue;
+      }
+
+      chunk.committed = true;
+      for (const { item, changes, invalidTarget, conflict, timedOutFields } of saved) {
+        if (timedOutFields) {
+          results.timedOut.push(item.id);
+        }
+        if (changes.length > 0) {
+          results.modified++;
+          if (operation) {
+            journal.recordItem(operation, item, changes);
+          }
+        } else {
+          results.skipped++;
+          if (invalidTarget) {
+            results.invalidTarget.push(item.id);
+          }
+          if (conflict) {
+            results.conflicts.push(item.id);
+          }
+        }
+      }
+    }
   }
 }
 
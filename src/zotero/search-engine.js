@@ -3,13 +3,55 @@
  * Provides two-phase search: Zotero.Search for initial filtering, then regex refinement
  */
 
+import { analyzeRegex } from './regex-analyzer.js';
+import RegexGuard, { GUARDED_VALUE_LENGTH } from './regex-guard.js';
+import { getNoteText, isNoteFieldItem } from './note-html.js';
+import {
+  DATE_PATTERN_TYPES,
+  getDateSearchCondition,
+  getItemDate,
+  isDatePatternType,
+  parseDateCondition,
+  testDate
+} from './date-conditions.js';
+import {
+  FIELD_COMPARISON_TYPES,
+  buildComparisonRegex,
+  compareFields,
+  getTemplateRegexSource,
+  isFieldComparisonType,
+  validateFieldComparison
+} from './field-comparisons.js';
+import {
+  APPROXIMATE_PATTERN_TYPES,
+  findApproximateMatches,
+  isApproximatePatternType,
+  validateApproximatePattern
+} from './approximate-matching.js';
+import { clusterCreatorVariants, collectCreatorVariants } from './creator-variants.js';
+import { getCreatorTypeName } from './creator-operations.js';
+
 // Pattern types
 export const PATTERN_TYPES = {
   REGEX: 'regex',       // JavaScript regex: /pattern/flags
   SQL_LIKE: 'sql_like', // SQLite LIKE: %pattern%
   SQL_GLOB: 'sql_glob', // SQLite GLOB: *pattern*
   EXACT: 'exact',      // Exact string match (full equality)
-  CONTAINS: 'contains'  // Substring match (contains anywhere)
+  CONTAINS: 'contains',  // Substring match (contains anywhere)
+  // Matches that ignore diacritics or allow a few edits (see approximate-matching.js)
+  DIACRITIC_INSENSITIVE: APPROXIMATE_PATTERN_TYPES.DIACRITIC_INSENSITIVE,
+  FUZZY: APPROXIMATE_PATTERN_TYPES.FUZZY,
+  // Date operators for date fields (see date-conditions.js)
+  DATE_BEFORE: DATE_PATTERN_TYPES.BEFORE,
+  DATE_AFTER: DATE_PATTERN_TYPES.AFTER,
+  DATE_BETWEEN: DATE_PATTERN_TYPES.BETWEEN,
+  DATE_IN_LAST: DATE_PATTERN_TYPES.IN_LAST,
+  DATE_YEAR: DATE_PATTERN_TYPES.YEAR,
+  // Comparisons with another field of the same item (see field-comparisons.js)
+  FIELD_EQUALS: FIELD_COMPARISON_TYPES.EQUALS,
+  FIELD_CONTAINS: FIELD_COMPARISON_TYPES.CONTAINS,
+  FIELD_STARTS_WITH: FIELD_COMPARISON_TYPES.STARTS_WITH,
+  FIELD_REGEX: FIELD_COMPARISON_TYPES.REGEX
 };
 
 // All searchable fields matching Zotero's Advanced Search
@@ -85,6 +127,9 @@ export const SEARCH_FIELDS = {
   ANY_FIELD: 'anyField'
 };
 
+// Candidates loaded and evaluated per batch in Phase 2
+export const SEARCH_BATCH_SIZE = 200;
+
 // Field display names (localized)
 export const SEARCH_FIELD_NAMES = {
   'title': 'Title',
@@ -156,6 +201,9 @@ const ALL_DIALOG_FIELDS = [
 const ANY_FIELD_ALIASES = new Set(['all', SEARCH_FIELDS.ANY_FIELD]);
 const DATE_FIELDS = new Set(['date', 'dateAdded', 'dateModified']);
 const NOTE_FIELDS = new Set(['note', 'childNote']);
+const ANNOTATION_FIELDS = new Set(['annotationText', 'annotationComment']);
+// Characters of full text kept on each side of a match, for the result snippet
+const FULL_TEXT_CONTEXT = 100;
 const ITEM_TYPE_SPECIFIC_FIELDS = new Set([
   'thesisType', 'reportType', 'videoRecordingFormat',
   'audioFileType', 'audioRecordingFormat', 'letterType',
@@ -163,16 +211,86 @@ const ITEM_TYPE_SPECIFIC_FIELDS = new Set([
   'mapType', 'artworkMedium', 'programmingLanguage'
 ]);
 const PHASE1_IS_FIELDS = new Set(['itemType', 'collection', 'savedSearch', 'volume', 'issue', 'pages', 'attachmentFileType']);
+// Zotero.Search fields whose doesNotContain matches items where no value contains the term,
+// i.e. exactly NOT of our case-insensitive 'contains' (full text and annotations are indexed differently)
+const PHASE1_NEGATABLE_FIELDS = new Set([
+  ...FIELDS_WITH_CONTAINS.filter((field) => !['attachmentContent', 'annotationText', 'annotationComment'].includes(field)),
+  'tag'
+]);
+
+const NEGATED_OPERATORS = new Set(['AND_NOT', 'OR_NOT']);
+
+// Let the dialog handle pending events (rendering, the Stop button) between batches
+function yieldToEventLoop() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function isAnnotation(item) {
+  return typeof item?.isAnnotation === 'function' && item.isAnnotation();
+}
+
+export function isConditionGroup(condition) {
+  return condition?.type === 'group';
+}
+
+// All leaf conditions of a (possibly nested) condition list, in row order
+export function getConditionLeaves(conditions) {
+  return (conditions || []).flatMap((condition) => (
+    isConditionGroup(condition) ? getConditionLeaves(condition.conditions) : [condition]
+  ));
+}
+
+// Build a boolean expression tree from condition rows.
+// Rows combine left to right with the operator of the later row, e.g.
+// [A, OR B, AND_NOT C] is (A OR B) AND NOT C. A row may be a group
+// ({ type: 'group', operator, conditions: [...] }) which acts as parentheses.
+// The first row's operator is ignored. Nodes:
+//   { type: 'leaf', condition } | { type: 'and' | 'or', children } | { type: 'not', child }
+// Returns null for an empty list.
+export function buildConditionTree(conditions) {
+  let tree = null;
+
+  for (const condition of conditions || []) {
+    let node = isConditionGroup(condition)
+      ? buildConditionTree(condition.conditions)
+      : { type: 'leaf', condition };
+    if (!node) {
+      continue;
+    }
+
+    if (!tree) {
+      tree = node;
+      continue;
+    }
+
+    const operator = condition.operator || 'AND';
+    if (NEGATED_OPERATORS.has(operator)) {
+      node = { type: 'not', child: node };
+    }
+
+    const type = operator.startsWith('OR') ? 'or' : 'and';
+    if (tree.type === type) {
+      tree.children.push(node);
+    } else {
+      tree = { type, children: [tree, node] };
+    }
+  }
+
+  return tree;
+}
 
 // Search result structure
 export class SearchResult {
-  constructor(item, matchedFields = [], matchDetails = []) {
+  constructor(item, matchedFields = [], matchDetails = [], timedOutFields = []) {
     this.item = item;           // Zotero.Item
     this.itemID = item.id;
     this.itemKey = item.key;
     this.libraryID = item.libraryID;
     this.matchedFields = matchedFields;  // ['title', 'lastName']
-    this.matchDetails = matchDetails;    // [{field, value, matchIndex, matchLength}]
+    this.matchDetails = matchDetails;    // [{field, value, matchIndex, matchLength}], plus creatorIndex and creatorType for creators
+    this.timedOutFields = timedOutFields; // fields whose regex test ran out of time, e.g. ['abstractNote']
+    this.parentItemID = item.parentItemID || null; // the item a child note or attachment belongs to, or an annotation's attachment
+    this.annotationPageLabel = isAnnotation(item) ? item.annotationPageLabel || '' : null;
   }
 }
 
@@ -181,13 +299,26 @@ export class SearchError extends Error {
   constructor(message, code) {
     super(message);
     this.name = 'SearchError';
-    this.code = code; // 'INVALID_REGEX', 'FIELD_NOT_FOUND', etc.
+    this.code = code; // 'INVALID_REGEX', 'UNSAFE_REGEX', 'INVALID_DATE', 'INVALID_FIELD_COMPARISON', 'INVALID_FUZZY_PATTERN', etc.
   }
 }
 
 class SearchEngine {
   constructor() {
     this.patternType = PATTERN_TYPES.REGEX;
+    // Time-budgeted regex tests on long values during search (see regex-guard.js)
+    this.regexGuard = null;
+    this.guardedMatches = new Map();
+    this.pendingRegexTests = [];
+    this.regexTimedOut = false;
+    this.leafTimedOut = false;
+    this.timedOutFields = new Set();
+    // Indexed full text of the attachment being evaluated (see loadFullText)
+    this.fullTexts = new Map();
+    // Collection ID -> IDs of the collection and its subcollections, for recursive scopes
+    this.collectionScopes = new Map();
+    // Saved search ID -> Set of the IDs of the items it finds (see loadSavedSearches)
+    this.savedSearchItems = new Map();
   }
 
   // Validate regex pattern before search
@@ -198,6 +329,34 @@ class SearchEngine {
       } catch (e) {
         throw new SearchError(`Invalid regex: ${e.message}`, 'INVALID_REGEX');
       }
+
+      // Shapes with catastrophic backtracking can hang Zotero on long fields
+      const [issue] = analyzeRegex(pattern);
+      if (issue) {
+        throw new SearchError(`Regex may take too long to run: ${issue.message}`, 'UNSAFE_REGEX');
+      }
+    }
+
+    if (isDatePatternType(patternType) && !parseDateCondition(patternType, pattern)) {
+      throw new SearchError(`Invalid date condition: "${pattern}"`, 'INVALID_DATE');
+    }
+
+    if (isApproximatePatternType(patternType)) {
+      const problem = validateApproximatePattern(patternType, pattern);
+      if (problem) {
+        throw new SearchError(`Invalid approximate pattern: ${problem}`, 'INVALID_FUZZY_PATTERN');
+      }
+    }
+
+    if (isFieldComparisonType(patternType)) {
+      const problem = validateFieldComparison(patternType, pattern);
+      if (problem) {
+        throw new SearchError(`Invalid field comparison: ${problem}`, 'INVALID_FIELD_COMPARISON');
+      }
+      const [issue] = patternType === FIELD_COMPARISON_TYPES.REGEX ? analyzeRegex(getTemplateRegexSource(pattern)) : [];
+      if (issue) {
+        throw new SearchError(`Regex may take too long to run: ${issue.message}`, 'UNSAFE_REGEX');
+      }
     }
   }
 
@@ -278,6 +437,9 @@ class SearchEngine {
     if (patternType === PATTERN_TYPES.EXACT || patternType === PATTERN_TYPES.CONTAINS) {
       return String(match).length;
     }
+    if (isApproximatePatternType(patternType)) {
+      return match.length;
+    }
     return match?.[0] ? match[0].length : 0;
   }
 
@@ -286,7 +448,8 @@ class SearchEngine {
       return 0;
     }
 
-    if (patternType === PATTERN_TYPES.REGEX || patternType === PATTERN_TYPES.SQL_LIKE || patternType === PATTERN_TYPES.SQL_GLOB) {
+    if (patternType === PATTERN_TYPES.REGEX || patternType === PATTERN_TYPES.SQL_LIKE || patternType === PATTERN_TYPES.SQL_GLOB
+      || isApproximatePatternType(patternType)) {
       return typeof match.index === 'number' ? match.index : 0;
     }
 
@@ -315,47 +478,145 @@ class SearchEngine {
     return this.buildSearchTerm(pattern, patternType);
   }
 
-  getPhase1Candidate(conditions) {
-    const candidates = conditions
-      .filter((condition) => condition.operator !== 'AND_NOT' && condition.operator !== 'OR_NOT')
-      .filter((condition) => condition.pattern)
-      .filter((condition) => !(condition.patternType === PATTERN_TYPES.REGEX && condition.pattern.includes('|')))
-      .map((condition) => ({
-        condition,
-        term: this.getPhase1Term(condition.pattern, condition.patternType || PATTERN_TYPES.REGEX)
-      }))
-      .filter(({ condition, term }) => term !== null && this._canAddCondition(condition.field, condition.pattern, condition.patternType));
+  // Zotero.Search condition for one leaf, or null when the leaf cannot narrow the
+  // candidates without dropping matches. Negated leaves are only pushed down when
+  // Zotero's case-insensitive doesNotContain is exactly the negation of the leaf.
+  getPhase1Condition(condition, negated = false) {
+    const { field, pattern } = condition;
+    const patternType = condition.patternType || PATTERN_TYPES.REGEX;
+    if (!field || typeof pattern !== 'string' || !pattern) {
+      return null;
+    }
 
-    if (candidates.length === 0) {
+    // The other field's value is only known per item, and Zotero's search neither
+    // ignores diacritics nor allows edits
+    if (isFieldComparisonType(patternType) || isApproximatePatternType(patternType)) {
       return null;
     }
 
-    return candidates.reduce((best, candidate) => {
-      if (!best || candidate.term.length > best.term.length) {
-        return candidate;
+    if (isDatePatternType(patternType)) {
+      const dateCondition = negated || !DATE_FIELDS.has(field) ? null : parseDateCondition(patternType, pattern);
+      const search = dateCondition && getDateSearchCondition(field, patternType, dateCondition);
+      return search ? { field, ...search, condition } : null;
+    }
+
+    if (negated) {
+      const searchField = field === 'tags' ? 'tag' : field;
+      // Zotero passes the value to SQL LIKE, where % and _ are wildcards: doesNotContain
+      // "50%" would also drop items that only contain "50"
+      if (patternType !== PATTERN_TYPES.CONTAINS || condition.caseSensitive || /[%_]/.test(pattern)
+        || !PHASE1_NEGATABLE_FIELDS.has(searchField) || this.getPhase1Term(pattern, patternType) === null) {
+        return null;
       }
-      return best;
-    }, null);
-  }
+      return { field: searchField, operator: 'doesNotContain', value: pattern, condition };
+    }
 
-  // Add search condition for a field
-  addSearchCondition(search, field, pattern, patternType = PATTERN_TYPES.REGEX) {
-    if (pattern === null || ANY_FIELD_ALIASES.has(field) || DATE_FIELDS.has(field) || ITEM_TYPE_SPECIFIC_FIELDS.has(field)) {
-      return;
+    if (patternType === PATTERN_TYPES.REGEX && pattern.includes('|')) {
+      return null;
     }
 
-    const containsField = this.getPhase1ContainsField(field);
-    if (containsField) {
-      this.addPhase1ContainsCondition(search, containsField, pattern, patternType);
-      return;
+    if (!this._canAddCondition(field, pattern, patternType) || ITEM_TYPE_SPECIFIC_FIELDS.has(field)) {
+      return null;
     }
 
     if (PHASE1_IS_FIELDS.has(field)) {
-      search.addCondition(field, 'is', pattern);
-      return;
+      // 'is' compares whole values, so only exact patterns can be pushed down
+      if (patternType !== PATTERN_TYPES.EXACT) {
+        return null;
+      }
+      const value = field === 'collection' || field === 'savedSearch' ? this.getScopeKey(field, pattern) : pattern;
+      return value ? { field, operator: 'is', value, condition } : null;
+    }
+
+    const containsField = this.getPhase1ContainsField(field);
+    let term = this.getPhase1Term(pattern, patternType);
+    if (term !== null && NOTE_FIELDS.has(field)) {
+      // Zotero searches the stored note HTML, where markup and entities can split
+      // the visible text; a single word is the longest term that is safe to pass on
+      term = this.buildSearchTerm(term, PATTERN_TYPES.REGEX);
+    }
+    if (!containsField || term === null) {
+      return null;
     }
 
-    console.log('SearchReplace: Skipping unknown field:', field);
+    return { field: containsField, operator: 'contains', value: term, condition };
+  }
+
+  // Collection and saved search conditions hold the ID; Zotero.Search expects the key
+  getScopeKey(field, objectID) {
+    const id = Number.parseInt(objectID, 10);
+    const objects = field === 'collection' ? Zotero.Collections : Zotero.Searches;
+    if (isNaN(id) || !objects || typeof objects.get !== 'function') {
+      return null;
+    }
+    return objects.get(id)?.key || null;
+  }
+
+  // Build the Zotero.Search prefilter for a list of condition rows:
+  //   { joinMode: 'all' | 'any', conditions: [{ field, operator, value, condition }] }
+  // Every item matching the rows also matches the plan, so Phase 2 only has to
+  // refine the plan's results. Returns null when no such prefilter exists and
+  // every item has to be refined.
+  getPhase1Plan(conditions) {
+    const plan = this.reducePhase1Node(buildConditionTree(conditions));
+    return plan && plan.conditions.length > 0 ? plan : null;
+  }
+
+  reducePhase1Node(node) {
+    if (!node) {
+      return null;
+    }
+
+    if (node.type === 'leaf' || node.type === 'not') {
+      const condition = node.type === 'leaf'
+        ? this.getPhase1Condition(node.condition)
+        : node.child.type === 'leaf' && this.getPhase1Condition(node.child.condition, true);
+      return condition ? { joinMode: 'all', conditions: [condition] } : null;
+    }
+
+    const plans = node.children.map((child) => this.reducePhase1Node(child));
+
+    if (node.type === 'and') {
+      // Any subset of the AND'ed children is a valid prefilter; 'any' plans of
+      // OR'ed children cannot be joined with the rest, so keep one only as a fallback
+      const reduced = plans.filter(Boolean);
+      const allPlans = reduced.filter((plan) => plan.joinMode === 'all' || plan.conditions.length === 1);
+      if (allPlans.length > 0) {
+        return { joinMode: 'all', conditions: allPlans.flatMap((plan) => plan.conditions) };
+      }
+      return reduced.reduce((best, plan) => (!best || plan.conditions.length < best.conditions.length ? plan : best), null);
+    }
+
+    // OR: an item may match through any branch, so every branch needs a prefilter
+    if (plans.some((plan) => !plan)) {
+      return null;
+    }
+
+    return {
+      joinMode: 'any',
+      conditions: plans.flatMap((plan) => (
+        plan.joinMode === 'any' ? plan.conditions : [this.getNarrowestPhase1Condition(plan.conditions)]
+      ))
+    };
+  }
+
+  // Within an 'all' plan, the positive condition with the longest term filters best
+  getNarrowestPhase1Condition(conditions) {
+    return conditions.reduce((best, condition) => {
+      const score = condition.operator === 'doesNotContain' ? 0 : condition.value.length;
+      const bestScore = best.operator === 'doesNotContain' ? 0 : best.value.length;
+      return score > bestScore ? condition : best;
+    });
+  }
+
+  // Human-readable summary of a Phase 1 plan, for debug output
+  describePhase1Plan(plan) {
+    if (!plan) {
+      return 'Phase 1: no prefilter, every item in the library is refined';
+    }
+
+    const conditions = plan.conditions.map(({ field, operator, value }) => `${field} ${operator} "${value}"`);
+    return `Phase 1 (${plan.joinMode === 'any' ? 'match any' : 'match all'}): ${conditions.join('; ')}`;
   }
 
   getPhase1ContainsField(field) {
@@ -378,17 +639,12 @@ class SearchEngine {
     return null;
   }
 
-  addPhase1ContainsCondition(search, field, pattern, patternType) {
-    const term = this.getPhase1Term(pattern, patternType);
-    if (term === null) {
-      return;
-    }
-
-    search.addCondition(field, 'contains', term);
-  }
-
   // Main search method - TWO PHASE
-  // Supports either single pattern (backward compatible) or array of conditions
+  // Supports either single pattern (backward compatible) or array of conditions.
+  // Options for Phase 2: batchSize, onResults(batchResults), an AbortSignal
+  // (see buildSearchResults) and regexTimeout, the time budget in ms for a
+  // regex test on a long field value (see regex-guard.js)
+  // libraryIDs searches several libraries at once; libraryID (default: My Library) one.
   async search(patternOrConditions, options = {}) {
     const conditions = this.normalizeSearchConditions(patternOrConditions, options);
 
@@ -398,31 +654,51 @@ class SearchEngine {
 
     const {
       libraryID = Zotero.Libraries.userLibraryID,
-      progressCallback = () => { }
+      progressCallback = () => { },
+      debug = false
     } = options;
+    const libraryIDs = options.libraryIDs?.length > 0 ? options.libraryIDs : [libraryID];
 
     this.validateConditions(conditions);
 
-    const fields = this.getConditionFields(conditions);
-    let skipPhase1 = this.shouldSkipPhase1(fields, conditions);
-    let phase1Candidate = null;
-
-    if (!skipPhase1) {
-      phase1Candidate = this.getPhase1Candidate(conditions);
-      if (!phase1Candidate) {
-        skipPhase1 = true;
-      }
+    const plan = this.getPhase1Plan(conditions);
+    if (debug) {
+      const description = this.describePhase1Plan(plan);
+      Zotero.debug('SearchReplace: ' + description);
+      progressCallback({ phase: 'plan', plan, description });
     }
 
-    const itemIDs = skipPhase1
-      ? await this.fetchAllItemIDs(libraryID, progressCallback)
-      : await this.runPhase1Search(libraryID, phase1Candidate, progressCallback);
+    this.collectionScopes.clear();
+    const itemIDs = [];
+    for (const id of libraryIDs) {
+      itemIDs.push(...(plan
+        ? await this.runPhase1Search(id, plan, progressCallback)
+        : await this.fetchAllItemIDs(id, progressCallback)));
+    }
 
     if (itemIDs.length === 0) {
       return [];
     }
 
-    return this.buildSearchResults(itemIDs, conditions, progressCallback);
+    const ownGuard = options.regexGuard === undefined && RegexGuard.isAvailable()
+      ? new RegexGuard({ timeout: options.regexTimeout })
+      : null;
+    this.regexGuard = options.regexGuard || ownGuard;
+    try {
+      return await this.buildSearchResults(itemIDs, conditions, progressCallback, options);
+    } finally {
+      ownGuard?.dispose();
+      this.regexGuard = null;
+    }
+  }
+
+  // Clusters of creator names that likely belong to the same person (see creator-variants.js),
+  // among the creators of every item in scope. scopeConditions narrow the items down, e.g.
+  // to a collection; options are those of search.
+  async findCreatorVariants(scopeConditions = [], options = {}) {
+    const anyCreator = { field: 'creator.lastName', pattern: String.raw`\S`, patternType: PATTERN_TYPES.REGEX, operator: 'AND' };
+    const results = await this.search([anyCreator, ...scopeConditions], options);
+    return clusterCreatorVariants(collectCreatorVariants(results.map((result) => result.item)));
   }
 
   normalizeSearchConditions(patternOrConditions, options = {}) {
@@ -456,35 +732,25 @@ class SearchEngine {
   }
 
   validateConditions(conditions) {
-    for (const condition of conditions) {
+    for (const condition of getConditionLeaves(conditions)) {
       this.validatePattern(condition.pattern, condition.patternType || PATTERN_TYPES.REGEX);
     }
   }
 
-  getConditionFields(conditions) {
-    const allFields = [...new Set(conditions.map((condition) => condition.field).filter(Boolean))];
-    return allFields.length > 0 ? allFields : ['title'];
-  }
-
-  shouldSkipPhase1(fields, conditions) {
-    const PHASE1_FIELD_THRESHOLD = 5;
-    if (fields.length > PHASE1_FIELD_THRESHOLD) {
-      return true;
-    }
-
-    return conditions.some((condition) => condition.operator === 'AND_NOT' || condition.operator === 'OR_NOT');
-  }
-
-  async runPhase1Search(libraryID, phase1Candidate, progressCallback) {
+  async runPhase1Search(libraryID, plan, progressCallback) {
     const search = new Zotero.Search();
     search.libraryID = libraryID;
 
-    this.addSearchCondition(
-      search,
-      phase1Candidate.condition.field,
-      phase1Candidate.condition.pattern,
-      phase1Candidate.condition.patternType
-    );
+    if (plan.joinMode === 'any') {
+      search.addCondition('joinMode', 'any');
+    }
+    for (const { field, operator, value } of plan.conditions) {
+      search.addCondition(field, operator, value);
+    }
+    // Zotero applies 'recursive' to every collection condition of the search
+    if (plan.conditions.some(({ field, condition }) => field === 'collection' && condition.recursive)) {
+      search.addCondition('recursive', 'true');
+    }
 
     const itemIDs = await search.search();
     progressCallback({ phase: 'filter', count: itemIDs.length });
@@ -510,81 +776,173 @@ class SearchEngine {
     return itemIDs;
   }
 
-  async buildSearchResults(itemIDs, conditions, progressCallback) {
-    const items = await Zotero.Items.getAsync(itemIDs);
+  // Load and evaluate candidates in batches, yielding to the event loop between
+  // batches so the dialog stays responsive. Each batch's matches are passed to
+  // onResults as soon as they are known; an aborted signal stops the search
+  // with a SEARCH_CANCELLED error.
+  async buildSearchResults(itemIDs, conditions, progressCallback, options = {}) {
+    const { batchSize = SEARCH_BATCH_SIZE, signal = null, onResults = () => { } } = options;
     const results = [];
+    const annotationSearch = getConditionLeaves(conditions).some((condition) => ANNOTATION_FIELDS.has(condition.field));
+    const fullTextSearch = getConditionLeaves(conditions).some((condition) => condition.field === 'attachmentContent');
+    const seenItemIDs = new Set();
+    await this.loadSavedSearches(conditions);
+
+    for (let start = 0; start < itemIDs.length; start += batchSize) {
+      if (start > 0) {
+        await yieldToEventLoop();
+      }
+      this.throwIfCancelled(signal);
 
-    for (let index = 0; index < items.length; index++) {
-      const item = items[index];
-      progressCallback({ phase: 'refine', current: index + 1, total: items.length });
+      let items = await Zotero.Items.getAsync(itemIDs.slice(start, start + batchSize));
+      this.throwIfCancelled(signal);
+      if (annotationSearch) {
+        items = this.addAnnotations(items, seenItemIDs);
+      }
 
-      const { matched, matchedFields, matchDetails } = this.evaluateConditions(item, conditions);
-      if (matched) {
-        results.push(new SearchResult(item, matchedFields, matchDetails));
+      const batchResults = [];
+      for (let index = 0; index < items.length; index++) {
+        const item = items[index];
+        progressCallback({ phase: 'refine', current: Math.min(start + index + 1, itemIDs.length), total: itemIDs.length });
+
+        if (fullTextSearch) {
+          this.fullTexts.set(item.id, await this.loadFullText(item));
+        }
+
+        let evaluation = this.evaluateConditions(item, conditions);
+        if (this.pendingRegexTests.length > 0) {
+          await this.runPendingRegexTests();
+          evaluation = this.evaluateConditions(item, conditions);
+        }
+        this.guardedMatches.clear();
+        this.fullTexts.clear();
+
+        // Fields that timed out are listed so that they can be checked by hand
+        const { matched, matchedFields, matchDetails, timedOutFields } = evaluation;
+        if (matched || timedOutFields.length > 0) {
+          batchResults.push(new SearchResult(item, matchedFields, matchDetails, timedOutFields));
+        }
+      }
+
+      if (batchResults.length > 0) {
+        results.push(...batchResults);
+        this.throwIfCancelled(signal);
+        onResults(batchResults);
       }
     }
 
+    this.throwIfCancelled(signal);
     return results;
   }
 
-  // Evaluate multiple conditions with AND/OR/NOT logic
-  evaluateConditions(item, conditions) {
-    if (conditions.length === 0) {
-      return { matched: false, matchedFields: [], matchDetails: [] };
+  // Annotation conditions are evaluated on annotation items. Zotero's search and the
+  // item list can return their attachments instead, so each attachment brings its
+  // annotations along; items already evaluated are skipped.
+  addAnnotations(items, seenItemIDs) {
+    const expanded = [];
+    for (const item of items) {
+      const annotations = typeof item.isFileAttachment === 'function' && item.isFileAttachment()
+        && typeof item.getAnnotations === 'function'
+        ? item.getAnnotations()
+        : [];
+      for (const candidate of [item, ...annotations]) {
+        if (!seenItemIDs.has(candidate.id)) {
+          seenItemIDs.add(candidate.id);
+          expanded.push(candidate);
+        }
+      }
     }
+    return expanded;
+  }
 
-    // For single condition, just use matchItem
-    if (conditions.length === 1) {
-      const c = conditions[0];
-      const { matchedFields, matchDetails } = this.matchItem(item, c.pattern, {
-        fields: [c.field],
-        patternType: c.patternType || PATTERN_TYPES.REGEX,
-        caseSensitive: c.caseSensitive || false
-      });
-      return { matched: matchedFields.length > 0, matchedFields, matchDetails };
+  // Saved searches are run once per search; their item sets are matched in Phase 2
+  async loadSavedSearches(conditions) {
+    this.savedSearchItems.clear();
+    for (const condition of getConditionLeaves(conditions)) {
+      const id = Number.parseInt(condition.pattern, 10);
+      if (condition.field !== 'savedSearch' || isNaN(id) || this.savedSearchItems.has(id)) {
+        continue;
+      }
+
+      const savedSearch = Zotero.Searches?.get(id);
+      this.savedSearchItems.set(id, new Set(savedSearch ? await savedSearch.search() : []));
     }
+  }
 
-    // Multiple conditions - evaluate with AND/OR/NOT
-    const results = [];
-    let matchedFields = [];
-    let matchDetails = [];
+  // Text of an attachment from Zotero's full-text index cache, or null when the
+  // item is not an attachment or its content has not been indexed
+  async loadFullText(item) {
+    if (typeof item.isAttachment !== 'function' || !item.isAttachment() || !Zotero.FullText) {
+      return null;
+    }
 
-    for (let i = 0; i < conditions.length; i++) {
-      const c = conditions[i];
+    try {
+      const cacheFile = Zotero.FullText.getItemCacheFile(item);
+      const path = cacheFile?.path ?? cacheFile;
+      return path ? await Zotero.File.getContentsAsync(path) : null;
+    } catch {
+      // No cache file: the attachment has not been indexed
+      return null;
+    }
+  }
+
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw new SearchError('Search stopped', 'SEARCH_CANCELLED');
+    }
+  }
+
+  // Evaluate condition rows (see buildConditionTree) against an item.
+  // Every leaf is evaluated, and the match details of all matching leaves are returned.
+  // Regex tests that time out are listed in timedOutFields. A leaf that found no match
+  // because of them is unknown (null), and so is a NOT of it or an AND/OR that it decides;
+  // only a row tree that is known to match counts as matched.
+  evaluateConditions(item, conditions) {
+    const tree = buildConditionTree(conditions);
+    const matchedFields = [];
+    const matchDetails = [];
+    this.pendingRegexTests = [];
+    this.timedOutFields = new Set();
+
+    if (!tree) {
+      return { matched: false, matchedFields, matchDetails, timedOutFields: [] };
+    }
+
+    const matched = this.evaluateConditionNode(item, tree, matchedFields, matchDetails) === true;
+    return { matched, matchedFields, matchDetails, timedOutFields: [...this.timedOutFields] };
+  }
+
+  evaluateConditionNode(item, node, matchedFields, matchDetails) {
+    if (node.type === 'leaf') {
+      const c = node.condition;
+      this.leafTimedOut = false;
       const { matchedFields: mf, matchDetails: md } = this.matchItem(item, c.pattern, {
         fields: [c.field],
         patternType: c.patternType || PATTERN_TYPES.REGEX,
-        caseSensitive: c.caseSensitive || false
+        caseSensitive: c.caseSensitive || false,
+        recursive: c.recursive || false
       });
-
-      const conditionMatched = mf.length > 0;
-      results.push(conditionMatched);
-
-      if (conditionMatched) {
-        matchedFields = matchedFields.concat(mf);
-        matchDetails = matchDetails.concat(md);
+      matchedFields.push(...mf);
+      matchDetails.push(...md);
+      if (mf.length > 0) {
+        return true;
       }
+      return this.leafTimedOut ? null : false;
     }
 
-    // Respect the operator attached to each subsequent condition.
-    // The first condition establishes the initial truth value; later rows combine with it.
-    let matched = results[0];
-    for (let i = 1; i < conditions.length; i++) {
-      const operator = conditions[i].operator || 'AND';
-      const conditionMatched = results[i];
-
-      if (operator === 'AND') {
-        matched = matched && conditionMatched;
-      } else if (operator === 'OR') {
-        matched = matched || conditionMatched;
-      } else if (operator === 'AND_NOT') {
-        matched = matched && !conditionMatched;
-      } else if (operator === 'OR_NOT') {
-        matched = matched || !conditionMatched;
-      }
+    if (node.type === 'not') {
+      const result = this.evaluateConditionNode(item, node.child, matchedFields, matchDetails);
+      return result === null ? null : !result;
     }
 
-    return { matched, matchedFields, matchDetails };
+    // No short-circuit, so that match details are collected for every leaf
+    const results = node.children.map((child) => this.evaluateConditionNode(item, child, matchedFields, matchDetails));
+    // false decides an AND and true an OR; otherwise an unknown child leaves the node unknown
+    const decisive = node.type !== 'and';
+    if (results.includes(decisive)) {
+      return decisive;
+    }
+    return results.includes(null) ? null : !decisive;
   }
 
   // Check if a field can have a condition added (for Phase 1 filtering)
@@ -601,7 +959,7 @@ class SearchEngine {
     if (field.startsWith('creator.')) return this.getPhase1Term(pattern, patternType) !== null;
 
     // Date fields - cannot do substring search
-    if (field === 'date' || field === 'dateAdded' || field === 'dateModified') return false;
+    if (DATE_FIELDS.has(field)) return false;
 
     // Fields that support 'contains'
     if (FIELDS_WITH_CONTAINS.includes(field)) return this.getPhase1Term(pattern, patternType) !== null;
@@ -609,8 +967,8 @@ class SearchEngine {
     // Item type
     if (field === 'itemType') return true;
 
-    // Collection
-    if (field === 'collection') return true;
+    // Collection and saved search
+    if (field === 'collection' || field === 'savedSearch') return true;
 
     // Note fields
     if (field === 'note' || field === 'childNote') return this.getPhase1Term(pattern, patternType) !== null;
@@ -629,7 +987,13 @@ class SearchEngine {
     const emptyFieldPattern = this.isEmptyFieldPattern(pattern, patternType);
 
     for (const field of fields) {
+      this.regexTimedOut = false;
       const fieldResult = this.matchField(item, field, pattern, patternType, caseSensitive, emptyFieldPattern, options);
+      // "All Fields" records its timeouts per field in the nested matchItem call
+      if (this.regexTimedOut && !ANY_FIELD_ALIASES.has(field)) {
+        this.timedOutFields.add(field);
+        this.leafTimedOut = true;
+      }
       matchedFields.push(...fieldResult.matchedFields);
       matchDetails.push(...fieldResult.matchDetails);
     }
@@ -645,6 +1009,14 @@ class SearchEngine {
       });
     }
 
+    if (isDatePatternType(patternType)) {
+      return this.matchDateField(item, field, pattern, patternType);
+    }
+
+    if (isFieldComparisonType(patternType)) {
+      return this.matchFieldComparison(item, field, pattern, patternType, caseSensitive);
+    }
+
     if (field.startsWith('creator.')) {
       return this.matchCreatorField(item, field, pattern, patternType, caseSensitive, emptyFieldPattern);
     }
@@ -658,7 +1030,23 @@ class SearchEngine {
     }
 
     if (field === 'collection') {
-      return this.matchCollectionField(item, field, pattern);
+      return this.matchCollectionField(item, field, pattern, options.recursive);
+    }
+
+    if (field === 'savedSearch') {
+      return this.matchSavedSearchField(item, field, pattern);
+    }
+
+    if (NOTE_FIELDS.has(field)) {
+      return this.matchNoteField(item, field, pattern, patternType, caseSensitive, emptyFieldPattern);
+    }
+
+    if (ANNOTATION_FIELDS.has(field)) {
+      return this.matchAnnotationField(item, field, pattern, patternType, caseSensitive, emptyFieldPattern);
+    }
+
+    if (field === 'attachmentContent') {
+      return this.matchAttachmentContentField(item, field, pattern, patternType, caseSensitive);
     }
 
     return this.matchStandardField(item, field, pattern, patternType, caseSensitive, emptyFieldPattern);
@@ -703,6 +1091,8 @@ class SearchEngine {
     );
   }
 
+  // Every matching creator is reported, with its position in the creator list (from 0)
+  // and its creator type
   matchCreatorField(item, field, pattern, patternType, caseSensitive, emptyFieldPattern) {
     const creators = item.getCreators();
     if (!creators || creators.length === 0) {
@@ -710,25 +1100,26 @@ class SearchEngine {
     }
 
     const creatorField = field.split('.')[1];
-    for (const creator of creators) {
+    const matchDetails = [];
+    creators.forEach((creator, creatorIndex) => {
       const value = creatorField === 'fullName'
         ? this.getCreatorFullName(creator)
         : creator[creatorField];
       const detail = this.getFieldMatchDetail(field, value, pattern, patternType, caseSensitive, emptyFieldPattern);
       if (detail) {
-        return this.createFieldMatch(field, detail);
+        matchDetails.push({ ...detail, creatorIndex, creatorType: getCreatorTypeName(creator) });
       }
-    }
+    });
 
-    return { matchedFields: [], matchDetails: [] };
+    return { matchedFields: matchDetails.length > 0 ? [field] : [], matchDetails };
   }
 
   matchTagsField(item, field, pattern, patternType, caseSensitive) {
     const tags = item.getTags();
     for (const tag of tags) {
-      const { match } = this.testValue(tag.name, pattern, patternType, caseSensitive);
+      const { match } = this.testValue(tag.tag, pattern, patternType, caseSensitive);
       if (match !== null) {
-        return this.createFieldMatch(field, this.buildMatchDetail(field, tag.name, -1, -1));
+        return this.createFieldMatch(field, this.buildMatchDetail(field, tag.tag, -1, -1));
       }
     }
 
@@ -760,7 +1151,66 @@ class SearchEngine {
     );
   }
 
-  matchCollectionField(item, field, pattern) {
+  // Date operators compare the date of date fields; other fields never match them
+  matchDateField(item, field, pattern, patternType) {
+    const condition = DATE_FIELDS.has(field) ? parseDateCondition(patternType, pattern) : null;
+    if (!condition) {
+      return { matchedFields: [], matchDetails: [] };
+    }
+
+    try {
+      const value = item.getField(field);
+      if (!testDate(getItemDate(field, value), patternType, condition)) {
+        return { matchedFields: [], matchDetails: [] };
+      }
+      return this.createFieldMatch(field, this.buildMatchDetail(field, String(value), 0, String(value).length));
+    } catch {
+      return { matchedFields: [], matchDetails: [] };
+    }
+  }
+
+  // Comparisons read both fields with getField; fields the item does not have are empty
+  matchFieldComparison(item, field, pattern, patternType, caseSensitive) {
+    const getValue = (name) => {
+      try {
+        return item.getField(name) || '';
+      } catch {
+        return '';
+      }
+    };
+
+    const value = getValue(field);
+    const match = patternType === FIELD_COMPARISON_TYPES.REGEX && this.regexGuard && String(value).length >= GUARDED_VALUE_LENGTH
+      ? this.getGuardedComparison(String(value), pattern, getValue, caseSensitive)
+      : compareFields(value, patternType, pattern, getValue, caseSensitive);
+    if (!match) {
+      return { matchedFields: [], matchDetails: [] };
+    }
+    return this.createFieldMatch(field, this.buildMatchDetail(field, String(value), match.index, match.length));
+  }
+
+  // REGEX comparison of a long value, run like testRegexValue through getGuardedMatch
+  getGuardedComparison(value, pattern, getValue, caseSensitive) {
+    const regex = buildComparisonRegex(pattern, getValue, caseSensitive);
+    const match = regex && this.getGuardedMatch(regex, value);
+    return match ? { index: match.index, length: match[0].length } : null;
+  }
+
+  // IDs of a collection and, for recursive scopes, of all its subcollections
+  getScopeCollectionIDs(collectionID, recursive) {
+    if (!recursive) {
+      return [collectionID];
+    }
+
+    if (!this.collectionScopes.has(collectionID)) {
+      const collection = Zotero.Collections?.get(collectionID);
+      const descendants = collection ? collection.getDescendents(false, 'collection') : [];
+      this.collectionScopes.set(collectionID, [collectionID, ...descendants.map((descendant) => descendant.id)]);
+    }
+    return this.collectionScopes.get(collectionID);
+  }
+
+  matchCollectionField(item, field, pattern, recursive = false) {
     const collectionID = Number.parseInt(pattern, 10);
     if (isNaN(collectionID)) {
       return { matchedFields: [], matchDetails: [] };
@@ -768,7 +1218,8 @@ class SearchEngine {
 
     try {
       const collections = item.getCollections();
-      if (!collections?.includes(collectionID)) {
+      const scopeIDs = this.getScopeCollectionIDs(collectionID, recursive);
+      if (!collections?.some((id) => scopeIDs.includes(id))) {
         return { matchedFields: [], matchDetails: [] };
       }
 
@@ -781,6 +1232,64 @@ class SearchEngine {
     }
   }
 
+  // Saved searches are only known to buildSearchResults, which runs them first
+  matchSavedSearchField(item, field, pattern) {
+    const savedSearchID = Number.parseInt(pattern, 10);
+    if (!this.savedSearchItems.get(savedSearchID)?.has(item.id)) {
+      return { matchedFields: [], matchDetails: [] };
+    }
+
+    return this.createFieldMatch(
+      field,
+      this.buildMatchDetail(field, 'savedSearch:' + savedSearchID, 0, String(savedSearchID).length)
+    );
+  }
+
+  // Notes are matched on their visible text, not on the HTML markup
+  matchNoteField(item, field, pattern, patternType, caseSensitive, emptyFieldPattern) {
+    if (!isNoteFieldItem(item, field)) {
+      return { matchedFields: [], matchDetails: [] };
+    }
+
+    return this.createFieldMatch(
+      field,
+      this.getFieldMatchDetail(field, getNoteText(item.getNote()), pattern, patternType, caseSensitive, emptyFieldPattern)
+    );
+  }
+
+  // Annotation text and comments are properties of annotation items, not item fields
+  matchAnnotationField(item, field, pattern, patternType, caseSensitive, emptyFieldPattern) {
+    if (!isAnnotation(item)) {
+      return { matchedFields: [], matchDetails: [] };
+    }
+
+    return this.createFieldMatch(
+      field,
+      this.getFieldMatchDetail(field, item[field] || '', pattern, patternType, caseSensitive, emptyFieldPattern)
+    );
+  }
+
+  // Full text is only available for attachments loaded by buildSearchResults. The match
+  // detail keeps a snippet around the match instead of the whole text.
+  matchAttachmentContentField(item, field, pattern, patternType, caseSensitive) {
+    const text = this.fullTexts.get(item.id);
+    if (!text) {
+      return { matchedFields: [], matchDetails: [] };
+    }
+
+    const detail = this.getFieldMatchDetail(field, text, pattern, patternType, caseSensitive, false);
+    if (!detail) {
+      return { matchedFields: [], matchDetails: [] };
+    }
+
+    const start = Math.max(0, detail.matchIndex - FULL_TEXT_CONTEXT);
+    const end = Math.min(text.length, detail.matchIndex + detail.matchLength + FULL_TEXT_CONTEXT);
+    return this.createFieldMatch(
+      field,
+      this.buildMatchDetail(field, text.slice(start, end), detail.matchIndex - start, detail.matchLength)
+    );
+  }
+
   matchStandardField(item, field, pattern, patternType, caseSensitive, emptyFieldPattern) {
     try {
       const value = item.getField(field);
@@ -796,12 +1305,49 @@ class SearchEngine {
   testRegexValue(str, pattern, caseSensitive) {
     try {
       const regex = new RegExp(pattern, caseSensitive ? '' : 'i');
+      if (this.regexGuard && str.length >= GUARDED_VALUE_LENGTH) {
+        return { match: this.getGuardedMatch(regex, str), regex };
+      }
       return { match: regex.exec(str), regex };
     } catch {
       return { match: null, regex: null };
     }
   }
 
+  // Result of a time-budgeted test of a long value. Values not tested yet are
+  // queued for runPendingRegexTests and count as no match until the item is
+  // evaluated again.
+  getGuardedMatch(regex, value) {
+    const key = `${regex.flags}/${regex.source}`;
+    const result = this.guardedMatches.get(key)?.get(value);
+
+    if (!result) {
+      this.pendingRegexTests.push({ key, regex, value });
+      return null;
+    }
+
+    if (result.timedOut) {
+      this.regexTimedOut = true;
+      return null;
+    }
+    return result.match;
+  }
+
+  async runPendingRegexTests() {
+    const pending = this.pendingRegexTests;
+    this.pendingRegexTests = [];
+
+    for (const { key, regex, value } of pending) {
+      if (!this.guardedMatches.has(key)) {
+        this.guardedMatches.set(key, new Map());
+      }
+      const results = this.guardedMatches.get(key);
+      if (!results.has(value)) {
+        results.set(value, await this.regexGuard.exec(regex, value));
+      }
+    }
+  }
+
   testLikeValue(str, pattern, caseSensitive) {
     const likePattern = this.regexToSqlLike(pattern);
     const regex = new RegExp(
@@ -864,6 +1410,12 @@ class SearchEngine {
       return this.testContainsValue(str, pattern, caseSensitive);
     }
 
+    if (isApproximatePatternType(patternType)) {
+      // match is the { index, length } of the first match in the original text
+      const [match] = findApproximateMatches(str, patternType, pattern, caseSensitive, 1);
+      return { match: match || null, regex: null };
+    }
+
     return { match: null, regex: null };
   }
 
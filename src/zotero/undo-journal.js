@@ -0,0 +1,264 @@
+/**
+ * Undo Journal for Zotero Search & Replace Plugin
+ * Records each batch replacement as a named operation (item key, version and
+ * before/after field values) so that it can be rolled back later
+ */
+
+import { JsonFileStore } from './json-store.js';
+import { normalizeTags } from './replace-engine.js';
+
+export const JOURNAL_FILE_NAME = 'zotero-search-replace-journal.json';
+export const JOURNAL_VERSION = 1;
+
+// Oldest operations are dropped once the journal grows past this many runs
+const MAX_JOURNAL_OPERATIONS = 50;
+
+export class JournalError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'JournalError';
+    this.code = code; // 'OPERATION_NOT_FOUND', 'ALREADY_ROLLED_BACK', etc.
+  }
+}
+
+// Reduce creators to the properties Zotero round-trips, so key order and
+// optional defaults do not count as edits. Zotero stores a single-field { name }
+// as lastName with fieldMode 1.
+function normalizeCreators(creators) {
+  return (creators || []).map((creator) => ({
+    firstName: creator.name ? '' : creator.firstName || '',
+    lastName: creator.name || creator.lastName || '',
+    fieldMode: creator.name ? 1 : creator.fieldMode || 0,
+    creatorType: creator.creatorTypeID ?? creator.creatorType ?? null
+  }));
+}
+
+class UndoJournal {
+  constructor(options = {}) {
+    this.store = options.store || new JsonFileStore(JOURNAL_FILE_NAME);
+    this.maxOperations = options.maxOperations || MAX_JOURNAL_OPERATIONS;
+    this.operations = null;
+  }
+
+  async load() {
+    if (this.operations === null) {
+      const data = await this.store.read({ version: JOURNAL_VERSION, operations: [] });
+      this.operations = Array.isArray(data?.operations) ? data.operations : [];
+    }
+    return this.operations;
+  }
+
+  async save() {
+    await this.store.write({ version: JOURNAL_VERSION, operations: this.operations || [] });
+  }
+
+  createOperationID() {
+    return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+  }
+
+  // Start a new (not yet persisted) operation
+  beginOperation(name, details = {}) {
+    return {
+      id: this.createOperationID(),
+      name: name || 'Replace',
+      createdAt: new Date().toISOString(),
+      ...details,
+      items: [],
+      rolledBackAt: null
+    };
+  }
+
+  // Record the saved changes of one item; call after the item has been saved
+  recordItem(operation, item, changes) {
+    operation.items.push({
+      itemID: item.id,
+      key: item.key,
+      libraryID: item.libraryID,
+      version: item.version ?? null,
+      dateModified: item.dateModified ?? null,
+      changes: changes.map((change) => ({
+        field: change.field,
+        before: change.original,
+        after: change.replaced
+      }))
+    });
+  }
+
+  // Persist an operation; operations that changed nothing are not kept
+  async commitOperation(operation) {
+    if (!operation || operation.items.length === 0) {
+      return null;
+    }
+
+    await this.load();
+    this.operations.push(operation);
+    if (this.operations.length > this.maxOperations) {
+      this.operations.splice(0, this.operations.length - this.maxOperations);
+    }
+    await this.save();
+    return operation;
+  }
+
+  // Newest first
+  async getOperations() {
+    const operations = await this.load();
+    return [...operations].reverse();
+  }
+
+  async getOperation(operationID) {
+    const operations = await this.load();
+    return operations.find((operation) => operation.id === operationID) || null;
+  }
+
+  async getLastOperation() {
+    const operations = await this.getOperations();
+    return operations.find((operation) => !operation.rolledBackAt) || null;
+  }
+
+  async getItem(entry) {
+    return Zotero.Items.getByLibraryAndKeyAsync(entry.libraryID, entry.key);
+  }
+
+  getCurrentValue(item, field) {
+    if (field.startsWith('creator.')) {
+      return JSON.stringify(normalizeCreators(item.getCreators()));
+    }
+    if (field === 'tags') {
+      return JSON.stringify(this.sortTags(normalizeTags(item.getTags())));
+    }
+    if (field === 'note' || field === 'childNote') {
+      return item.getNote() || '';
+    }
+    if (field === 'annotationComment') {
+      return item.annotationComment || '';
+    }
+
+    const value = item.getField(field);
+    return value == null ? '' : String(value);
+  }
+
+  valueMatches(item, change) {
+    let expected = change.after;
+    if (change.field.startsWith('creator.')) {
+      expected = JSON.stringify(normalizeCreators(JSON.parse(change.after)));
+    } else if (change.field === 'tags') {
+      expected = JSON.stringify(this.sortTags(normalizeTags(JSON.parse(change.after))));
+    }
+    return this.getCurrentValue(item, change.field) === expected;
+  }
+
+  // Zotero does not keep the order of tags, so compare them by name
+  sortTags(tags) {
+    return [...tags].sort((a, b) => a.tag.localeCompare(b.tag));
+  }
+
+  // Returns why an item can no longer be rolled back safely, or null
+  getConflictReason(item, entry) {
+    if (!item) {
+      return 'Item no longer exists';
+    }
+
+    // item.version also changes when a sync uploads the item unchanged, so it is not compared
+    if (entry.dateModified && item.dateModified && item.dateModified !== entry.dateModified) {
+      return 'Item was edited since the operation';
+    }
+
+    const changedField = entry.changes.find((change) => !this.valueMatches(item, change));
+    if (changedField) {
+      return `Field "${changedField.field}" was changed since the operation`;
+    }
+
+    return null;
+  }
+
+  async findConflicts(operation) {
+    const conflicts = [];
+
+    for (const entry of operation.items) {
+      const item = await this.getItem(entry);
+      const reason = this.getConflictReason(item, entry);
+      if (reason) {
+        conflicts.push({ itemID: entry.itemID, key: entry.key, libraryID: entry.libraryID, reason });
+      }
+    }
+
+    return conflicts;
+  }
+
+  restoreItem(item, entry) {
+    // Restore in reverse order so the earliest "before" value wins for repeated fields
+    for (const change of [...entry.changes].reverse()) {
+      if (change.field.startsWith('creator.')) {
+        item.setCreators(JSON.parse(change.before));
+      } else if (change.field === 'tags') {
+        item.setTags(JSON.parse(change.before));
+      } else if (change.field === 'note' || change.field === 'childNote') {
+        item.setNote(change.before);
+      } else if (change.field === 'annotationComment') {
+        item.annotationComment = change.before;
+      } else {
+        item.setField(change.field, change.before);
+      }
+    }
+  }
+
+  // Roll back an operation. Items edited since the run are left untouched and
+  // reported as conflicts unless `force` is set. Restored items are removed from
+  // the operation, so a partial rollback can be retried later.
+  async rollback(operationID, options = {}) {
+    const { force = false, progressCallback = () => { } } = options;
+    const operation = await this.getOperation(operationID);
+
+    if (!operation) {
+      throw new JournalError(`Unknown operation: ${operationID}`, 'OPERATION_NOT_FOUND');
+    }
+
+    if (operation.rolledBackAt) {
+      throw new JournalError(`Operation "${operation.name}" was already rolled back`, 'ALREADY_ROLLED_BACK');
+    }
+
+    const results = { restored: 0, conflicts: [], errors: [] };
+    const remaining = [];
+
+    for (let i = 0; i < operation.items.length; i++) {
+      const entry = operation.items[i];
+      progressCallback({ current: i + 1, total: operation.items.length, itemID: entry.itemID });
+
+      try {
+        const item = await this.getItem(entry);
+        const reason = this.getConflictReason(item, entry);
+        if (reason && (!force || !item)) {
+          results.conflicts.push({ itemID: entry.itemID, key: entry.key, libraryID: entry.libraryID, reason });
+          remaining.push(entry);
+          continue;
+        }
+
+        this.restoreItem(item, entry);
+        await item.saveTx();
+        results.restored++;
+      } catch (e) {
+        results.errors.push({ itemID: entry.itemID, error: e.message });
+        remaining.push(entry);
+      }
+    }
+
+    operation.items = remaining;
+    if (remaining.length === 0) {
+      operation.rolledBackAt = new Date().toISOString();
+    }
+    await this.save();
+
+    return results;
+  }
+
+  async rollbackLast(options = {}) {
+    const operation = await this.getLastOperation();
+    if (!operation) {
+      throw new JournalError('There is no operation to undo', 'OPERATION_NOT_FOUND');
+    }
+
+    return this.rollback(operation.id, options);
+  }
+}
+
+export default UndoJournal;
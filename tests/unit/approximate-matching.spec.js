@@ -0,0 +1,56 @@
+/**
+ * Unit tests for approximate matching
+ */
+
+const {
+  APPROXIMATE_PATTERN_TYPES,
+  findApproximateMatches,
+  foldText,
+  parseFuzzyPattern,
+  validateApproximatePattern
+} = require('../../src/zotero/approximate-matching.js');
+
+const { DIACRITIC_INSENSITIVE, FUZZY } = APPROXIMATE_PATTERN_TYPES;
+
+describe('approximate matching', () => {
+  it('strips diacritics, including letters that do not decompose', () => {
+    expect(foldText('Müller, Miłkowski, Søren, Straße').text).toBe('muller, milkowski, soren, strasse');
+    expect(foldText('Müller', true).text).toBe('Muller');
+  });
+
+  it('reports diacritic-insensitive matches at their position in the original text', () => {
+    expect(findApproximateMatches('Anna Miłkowski', DIACRITIC_INSENSITIVE, 'Milkowski')).toEqual([{ index: 5, length: 9 }]);
+    expect(findApproximateMatches('Müller and MULLER', DIACRITIC_INSENSITIVE, 'muller')).toEqual([
+      { index: 0, length: 6 },
+      { index: 11, length: 6 }
+    ]);
+    expect(findApproximateMatches('MULLER', DIACRITIC_INSENSITIVE, 'muller', true)).toEqual([]);
+  });
+
+  it('maps matches in decomposed text over the combining marks', () => {
+    // "Müller": u followed by a combining diaeresis
+    expect(findApproximateMatches('Herr Mu\u0308ller', DIACRITIC_INSENSITIVE, 'Muller')).toEqual([{ index: 5, length: 7 }]);
+    expect(findApproximateMatches('Strauße', DIACRITIC_INSENSITIVE, 'ss')).toEqual([{ index: 5, length: 1 }]);
+  });
+
+  it('finds the closest fuzzy match within the allowed edits', () => {
+    expect(findApproximateMatches('Smith, J.', FUZZY, 'Smyth~1')).toEqual([{ index: 0, length: 5 }]);
+    expect(findApproximateMatches('by Mueller', FUZZY, 'Müller~1')).toEqual([{ index: 3, length: 7 }]);
+    expect(findApproximateMatches('Smithe', FUZZY, 'Smith~1')).toEqual([{ index: 0, length: 5 }]);
+    expect(findApproximateMatches('Smoth and Smath', FUZZY, 'Smith~1')).toHaveLength(2);
+    expect(findApproximateMatches('Jones', FUZZY, 'Smith~1')).toEqual([]);
+  });
+
+  it('allows one edit by default and two for long patterns', () => {
+    expect(parseFuzzyPattern('Smith')).toEqual({ text: 'Smith', maxDistance: 1 });
+    expect(parseFuzzyPattern('Milkowskiego')).toEqual({ text: 'Milkowskiego', maxDistance: 2 });
+    expect(parseFuzzyPattern('Smith~0')).toEqual({ text: 'Smith', maxDistance: 0 });
+    expect(parseFuzzyPattern('a~b')).toEqual({ text: 'a~b', maxDistance: 1 });
+  });
+
+  it('rejects patterns that would match any text', () => {
+    expect(validateApproximatePattern(FUZZY, 'Smith~2')).toBeNull();
+    expect(validateApproximatePattern(FUZZY, 'ab~2')).toBe('"ab" needs more characters than the 2 edits it allows');
+    expect(validateApproximatePattern(DIACRITIC_INSENSITIVE, '\u0301')).toBe('the pattern has no text to match');
+  });
+});
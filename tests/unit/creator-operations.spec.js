@@ -0,0 +1,94 @@
+/**
+ * Unit tests for creator operations
+ */
+
+const {
+  CREATOR_OPERATIONS,
+  applyCreatorOperation,
+  getCreatorOperationError,
+  mergeCreators,
+  splitCreatorFullName,
+  splitCreatorName
+} = require('../../src/zotero/creator-operations.js');
+
+const person = (lastName, firstName = '', creatorTypeID = 1) => ({ firstName, lastName, fieldMode: 0, creatorTypeID });
+const institution = (name, creatorTypeID = 1) => ({ name, fieldMode: 1, creatorTypeID });
+
+describe('creator operations', () => {
+  it('splits full names into last and first name', () => {
+    expect(splitCreatorFullName('Hornsby, Joan Rigny')).toEqual({ lastName: 'Hornsby', firstName: 'Joan Rigny' });
+    expect(splitCreatorFullName('Joan Rigny Hornsby')).toEqual({ lastName: 'Hornsby', firstName: 'Joan Rigny' });
+    expect(splitCreatorFullName('Latour')).toEqual({ lastName: 'Latour', firstName: '' });
+    expect(splitCreatorFullName('Vincent van Gogh', { firstName: 'V.', lastName: 'van Gogh' })).toEqual({ lastName: 'van Gogh', firstName: 'Vincent' });
+  });
+
+  it('splits comma lists into "Last, First" pairs', () => {
+    expect(splitCreatorName(person('Greenfield', 'Patricia Marks, Hornsby, Joan Rigny'), ',')).toEqual([
+      { lastName: 'Greenfield', firstName: 'Patricia Marks' },
+      { lastName: 'Hornsby', firstName: 'Joan Rigny' }
+    ]);
+    expect(splitCreatorName(person('Latour', 'Bruno, Woolgar, Steve'), ',')).toEqual([
+      { lastName: 'Latour', firstName: 'Bruno' },
+      { lastName: 'Woolgar', firstName: 'Steve' }
+    ]);
+  });
+
+  it('splits at other separators and keeps single-field names single-field', () => {
+    expect(splitCreatorName(person('Smith', 'John; Jane Doe'), ';')).toEqual([
+      { lastName: 'Smith', firstName: 'John' },
+      { lastName: 'Doe', firstName: 'Jane' }
+    ]);
+    expect(applyCreatorOperation([institution('WHO; UNICEF', 2)], [true], { type: CREATOR_OPERATIONS.SPLIT, separator: ';' }))
+      .toEqual([institution('WHO', 2), institution('UNICEF', 2)]);
+  });
+
+  it('merges a creator with the next one', () => {
+    expect(mergeCreators(person('Smith'), person('J.'))).toEqual(person('Smith', 'J.'));
+    expect(mergeCreators(person('', 'John'), person('Smith'))).toEqual(person('Smith', 'John'));
+    expect(mergeCreators(institution('World Health'), institution('Organization'))).toEqual(institution('World Health Organization'));
+
+    const creators = [person('Smith'), person('J.'), person('Doe', 'Jane')];
+    expect(applyCreatorOperation(creators, [true, false, true], { type: CREATOR_OPERATIONS.MERGE }))
+      .toEqual([person('Smith', 'J.'), person('Doe', 'Jane')]);
+  });
+
+  it('moves matched creators and keeps their order', () => {
+    const [a, b, c, d] = ['A', 'B', 'C', 'D'].map((name) => person(name));
+    const move = (matched, position) => applyCreatorOperation([a, b, c, d], matched, { type: CREATOR_OPERATIONS.MOVE, position });
+
+    expect(move([false, false, true, true], 'first')).toEqual([c, d, a, b]);
+    expect(move([true, false, true, false], 'last')).toEqual([b, d, a, c]);
+    expect(move([false, true, true, false], 'up')).toEqual([b, c, a, d]);
+    expect(move([true, false, false, true], 'down')).toEqual([b, a, c, d]);
+  });
+
+  it('changes the type of matched creators', () => {
+    const creators = [person('Doe', 'Jane'), { firstName: 'John', lastName: 'Roe', creatorType: 'author' }];
+
+    expect(applyCreatorOperation(creators, [false, true], { type: CREATOR_OPERATIONS.SET_TYPE, creatorType: 'editor', creatorTypeID: 3 }))
+      .toEqual([person('Doe', 'Jane'), { firstName: 'John', lastName: 'Roe', creatorTypeID: 3 }]);
+  });
+
+  it('joins first and last name into a single-field name', () => {
+    expect(applyCreatorOperation([person('Group', 'Research'), person('Doe', 'Jane')], [true, false], { type: CREATOR_OPERATIONS.SINGLE_FIELD }))
+      .toEqual([institution('Research Group'), person('Doe', 'Jane')]);
+  });
+
+  it('splits single-field names into last and first name', () => {
+    const stored = { firstName: '', lastName: 'Jane Doe', fieldMode: 1, creatorTypeID: 1 };
+
+    expect(applyCreatorOperation([stored], [true], { type: CREATOR_OPERATIONS.TWO_FIELDS })).toEqual([person('Doe', 'Jane')]);
+    expect(applyCreatorOperation([institution('Doe, Jane')], [true], { type: CREATOR_OPERATIONS.TWO_FIELDS }))
+      .toEqual([person('Doe', 'Jane')]);
+    expect(applyCreatorOperation([{ name: 'Jane Doe', creatorType: 'author' }], [true], { type: CREATOR_OPERATIONS.TWO_FIELDS }))
+      .toEqual([{ firstName: 'Jane', lastName: 'Doe', fieldMode: 0, creatorType: 'author' }]);
+  });
+
+  it('reports invalid operations', () => {
+    expect(getCreatorOperationError({ type: CREATOR_OPERATIONS.MERGE })).toBeNull();
+    expect(getCreatorOperationError({ type: 'sort' })).toMatch(/unknown creator operation/);
+    expect(getCreatorOperationError({ type: CREATOR_OPERATIONS.SPLIT })).toMatch(/separator/);
+    expect(getCreatorOperationError({ type: CREATOR_OPERATIONS.MOVE, position: 'middle' })).toMatch(/position/);
+    expect(getCreatorOperationError({ type: CREATOR_OPERATIONS.SET_TYPE })).toMatch(/creator type/);
+  });
+});
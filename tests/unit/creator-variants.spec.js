@@ -0,0 +1,78 @@
+/**
+ * Unit tests for creator variants
+ */
+
+global.Zotero = { debug: jest.fn() };
+
+const {
+  areGivenNamesCompatible,
+  buildVariantReplace,
+  clusterCreatorVariants,
+  collectCreatorVariants,
+  getGivenNames
+} = require('../../src/zotero/creator-variants.js');
+const replaceEngineModule = require('../../src/zotero/replace-engine.js');
+const ReplaceEngine = replaceEngineModule.default || replaceEngineModule;
+
+const createItem = (id, creators) => ({ id, getCreators: () => creators.map((creator) => ({ ...creator })) });
+
+describe('creator variants', () => {
+  it('reads given names and initials', () => {
+    expect(getGivenNames('Jerome S.')).toEqual(['jerome', 's']);
+    expect(getGivenNames('J.-P.')).toEqual(['j', 'p']);
+    expect(getGivenNames('JS')).toEqual(['j', 's']);
+    expect(getGivenNames('Søren')).toEqual(['soren']);
+  });
+
+  it('treats initials and shorter lists of given names as compatible', () => {
+    expect(areGivenNamesCompatible(['jerome', 's'], ['j'])).toBe(true);
+    expect(areGivenNamesCompatible(['jerome', 's'], ['jerome', 'seymour'])).toBe(true);
+    expect(areGivenNamesCompatible(['jerome'], [])).toBe(true);
+    expect(areGivenNamesCompatible(['jerome'], ['john'])).toBe(false);
+    expect(areGivenNamesCompatible(['jerome', 's'], ['jerome', 'r'])).toBe(false);
+  });
+
+  it('clusters variants by last name and compatible given names', () => {
+    const variants = collectCreatorVariants([
+      createItem(1, [{ firstName: 'J.', lastName: 'Bruner' }, { firstName: 'John', lastName: 'Bruner' }]),
+      createItem(2, [{ firstName: 'Jerome S.', lastName: 'Bruner' }]),
+      createItem(3, [{ firstName: 'Jerome', lastName: 'Bruner' }, { firstName: 'Jerome', lastName: 'Bruner' }]),
+      createItem(4, [{ firstName: 'Jerome', lastName: 'Bruner' }, { firstName: 'Anna', lastName: 'Müller' }]),
+      createItem(5, [{ firstName: 'A.', lastName: 'Muller' }, { lastName: 'Bruner Institute', fieldMode: 1 }])
+    ]);
+
+    const clusters = clusterCreatorVariants(variants);
+
+    expect(clusters.map((cluster) => cluster.lastName)).toEqual(['Bruner', 'Müller']);
+    expect(clusters[0].itemCount).toBe(4);
+    expect(clusters[0].variants.map(({ firstName, itemCount, ambiguous }) => ({ firstName, itemCount, ambiguous }))).toEqual([
+      { firstName: 'Jerome S.', itemCount: 1, ambiguous: false },
+      { firstName: 'Jerome', itemCount: 2, ambiguous: false },
+      { firstName: 'J.', itemCount: 1, ambiguous: true }
+    ]);
+    expect(clusters[1].variants.map((variant) => variant.fullName)).toEqual(['Anna Müller', 'A. Muller']);
+  });
+
+  it('renames the other variants to the canonical form through a normal replace', () => {
+    const [cluster] = clusterCreatorVariants(collectCreatorVariants([
+      createItem(1, [{ firstName: 'J.', lastName: 'van Bruner' }]),
+      createItem(2, [{ firstName: 'Jerome S.', lastName: 'van Bruner' }]),
+      createItem(3, [{ firstName: 'Jerome', lastName: 'van Bruner' }])
+    ]));
+    const { conditions, replace, replaceField } = buildVariantReplace(cluster, cluster.variants[0]);
+
+    expect(replaceField).toBe('creator.fullName');
+    expect(conditions.map((condition) => condition.pattern)).toEqual(['Jerome van Bruner', 'J. van Bruner']);
+    expect(replace).toBe('van Bruner, Jerome S.');
+
+    const item = {
+      ...createItem(1, [{ firstName: 'J.', lastName: 'van Bruner' }, { firstName: 'Jo', lastName: 'Roe' }]),
+      getField: () => ''
+    };
+    const [change] = new ReplaceEngine().previewReplace(item, conditions, replace);
+    expect(JSON.parse(change.replaced)).toEqual([
+      { firstName: 'Jerome S.', lastName: 'van Bruner' },
+      { firstName: 'Jo', lastName: 'Roe' }
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for date conditions
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Enough of Zotero.Date for ISO dates and "Month YYYY"
+global.Zotero = {
+  Date: {
+    strToDate: jest.fn((text) => {
+      const iso = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/.exec(text);
+      if (iso) {
+        return {
+          year: iso[1],
+          month: iso[2] ? Number(iso[2]) - 1 : undefined,
+          day: iso[3] ? Number(iso[3]) : undefined
+        };
+      }
+      const named = /^([a-z]+) (\d{4})$/i.exec(text);
+      return named ? { year: named[2], month: MONTHS.indexOf(named[1].toLowerCase()) } : {};
+    }),
+    sqlToDate: jest.fn((sql) => new Date(sql.replace(' ', 'T') + 'Z'))
+  }
+};
+
+const {
+  DATE_PATTERN_TYPES,
+  getDateSearchCondition,
+  getItemDate,
+  parseDateCondition,
+  parseDateRange,
+  testDate
+} = require('../../src/zotero/date-conditions.js');
+
+const matches = (value, patternType, pattern, field = 'date', now) => testDate(
+  getItemDate(field, value),
+  patternType,
+  parseDateCondition(patternType, pattern),
+  now
+);
+
+describe('date conditions', () => {
+  it('parses dates into the day range they cover', () => {
+    expect(parseDateRange('2020')).toEqual({ start: '2020-01-01', end: '2020-12-31', year: 2020 });
+    expect(parseDateRange('February 2024')).toEqual({ start: '2024-02-01', end: '2024-02-29', year: 2024 });
+    expect(parseDateRange('2024-01-15')).toEqual({ start: '2024-01-15', end: '2024-01-15', year: 2024 });
+    expect(parseDateRange('n.d.')).toBeNull();
+  });
+
+  it('rejects patterns that do not fit the operator', () => {
+    expect(parseDateCondition(DATE_PATTERN_TYPES.BEFORE, 'soon')).toBeNull();
+    expect(parseDateCondition(DATE_PATTERN_TYPES.BETWEEN, '2020')).toBeNull();
+    expect(parseDateCondition(DATE_PATTERN_TYPES.IN_LAST, 'a month')).toBeNull();
+    expect(parseDateCondition(DATE_PATTERN_TYPES.BETWEEN, '2020..2022-06')).toEqual({ start: '2020-01-01', end: '2022-06-30' });
+  });
+
+  it('compares whole day ranges for before, after and between', () => {
+    expect(matches('2019-12-31', DATE_PATTERN_TYPES.BEFORE, '2020')).toBe(true);
+    expect(matches('March 2020', DATE_PATTERN_TYPES.BEFORE, '2020')).toBe(false);
+    expect(matches('March 2020', DATE_PATTERN_TYPES.AFTER, '2020')).toBe(false);
+    expect(matches('March 2020', DATE_PATTERN_TYPES.AFTER, '2020-02-15')).toBe(true);
+    expect(matches('March 2020', DATE_PATTERN_TYPES.BETWEEN, '2019..2021')).toBe(true);
+    expect(matches('2022-07-01', DATE_PATTERN_TYPES.BETWEEN, '2020..2022-06')).toBe(false);
+    expect(matches('', DATE_PATTERN_TYPES.BEFORE, '2020')).toBe(false);
+  });
+
+  it('matches years and recent timestamps', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    expect(matches('May 2019', DATE_PATTERN_TYPES.YEAR, '2019')).toBe(true);
+    expect(matches('2018-05-01', DATE_PATTERN_TYPES.YEAR, '2019')).toBe(false);
+    expect(matches('2026-10-01 08:00:00', DATE_PATTERN_TYPES.IN_LAST, '30', 'dateAdded', now)).toBe(true);
+    expect(matches('2026-09-01 08:00:00', DATE_PATTERN_TYPES.IN_LAST, '30', 'dateAdded', now)).toBe(false);
+  });
+
+  it('pushes down only Zotero conditions that find every matching item', () => {
+    const condition = (patternType, pattern, field = 'date') => getDateSearchCondition(
+      field,
+      patternType,
+      parseDateCondition(patternType, pattern)
+    );
+
+    expect(condition(DATE_PATTERN_TYPES.BEFORE, '2020')).toEqual({ operator: 'isBefore', value: '2020-01-01' });
+    expect(condition(DATE_PATTERN_TYPES.AFTER, '2020-02')).toEqual({ operator: 'isAfter', value: '2020-02-29' });
+    expect(condition(DATE_PATTERN_TYPES.YEAR, '2019')).toEqual({ operator: 'isBefore', value: '2020-01-01' });
+    expect(condition(DATE_PATTERN_TYPES.IN_LAST, '30', 'dateAdded')).toEqual({ operator: 'isInTheLast', value: '30 days' });
+    expect(condition(DATE_PATTERN_TYPES.IN_LAST, '30')).toBeNull();
+    expect(condition(DATE_PATTERN_TYPES.BETWEEN, '2019..2021')).toBeNull();
+  });
+});
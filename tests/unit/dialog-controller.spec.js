@@ -9,12 +9,18 @@ describe('dialog-controller helpers', () => {
     globalThis.document = {
       addEventListener: jest.fn()
     };
+    // Pattern type lists come from the bundled modules
+    globalThis.ZoteroSearchReplace = {
+      DATE_PATTERN_TYPE_OPTIONS: require('../../src/zotero/date-conditions.js').DATE_PATTERN_TYPE_OPTIONS,
+      FIELD_COMPARISON_TYPE_OPTIONS: require('../../src/zotero/field-comparisons.js').FIELD_COMPARISON_TYPE_OPTIONS
+    };
 
     helpers = require('../../content/scripts/dialog-controller.js');
   });
 
   afterAll(() => {
     delete globalThis.document;
+    delete globalThis.ZoteroSearchReplace;
   });
 
   it('builds replacement conditions only from positive matching fields', () => {
@@ -32,6 +38,66 @@ describe('dialog-controller helpers', () => {
     ]);
   });
 
+  it('leaves date operators and field comparisons out of replacement conditions', () => {
+    const conditions = [
+      { field: 'date', pattern: '2020', patternType: 'date_before', caseSensitive: false, operator: 'AND' },
+      { field: 'date', pattern: '^(\\d{4})$', patternType: 'regex', caseSensitive: false, operator: 'AND' }
+    ];
+
+    expect(helpers.buildReplaceConditions(conditions, ['date'])).toEqual([
+      { field: 'date', pattern: '^(\\d{4})$', patternType: 'regex', caseSensitive: false }
+    ]);
+    expect(helpers.buildReplaceConditions([
+      { field: 'title', pattern: 'publicationTitle', patternType: 'field_equals', caseSensitive: false, operator: 'AND' }
+    ], ['title'])).toEqual([]);
+    expect(helpers.isFieldComparisonType('field_regex')).toBe(true);
+    expect(helpers.isDatePatternType('date_in_last')).toBe(true);
+    expect(helpers.isDatePatternType('contains')).toBe(false);
+  });
+
+  it('collects only positive leaves from condition groups', () => {
+    const conditions = [
+      {
+        type: 'group',
+        operator: 'AND',
+        conditions: [
+          { field: 'title', pattern: 'alpha', operator: 'AND' },
+          { field: 'url', pattern: 'beta', operator: 'OR' }
+        ]
+      },
+      {
+        type: 'group',
+        operator: 'AND_NOT',
+        conditions: [
+          { field: 'extra', pattern: 'skip', operator: 'AND' },
+          // NOT inside a negated group is positive again
+          { field: 'title', pattern: 'keep', operator: 'AND_NOT' }
+        ]
+      }
+    ];
+
+    const replaceConditions = helpers.buildReplaceConditions(conditions, ['title', 'url', 'extra']);
+
+    expect(replaceConditions.map((condition) => condition.pattern)).toEqual(['alpha', 'beta', 'keep']);
+  });
+
+  it('drops empty rows and groups but keeps the group structure', () => {
+    const conditions = [
+      { field: 'title', pattern: 'alpha', operator: 'AND' },
+      { type: 'group', operator: 'OR', conditions: [{ field: 'url', pattern: ' ', operator: 'AND' }] },
+      {
+        type: 'group',
+        operator: 'AND_NOT',
+        conditions: [{ field: 'extra', pattern: 'skip', operator: 'AND' }, { field: 'url', pattern: '' }]
+      }
+    ];
+
+    expect(helpers.getValidConditions(conditions)).toEqual([
+      { field: 'title', pattern: 'alpha', operator: 'AND' },
+      { type: 'group', operator: 'AND_NOT', conditions: [{ field: 'extra', pattern: 'skip', operator: 'AND' }] }
+    ]);
+  });
+
   it('expands all-field conditions to the actual target fields', () => {
     const conditions = [
       { field: 'all', pattern: String.raw`\s+:`, patternType: 'regex', caseSensitive: false, operator: 'AND' }
@@ -54,6 +120,189 @@ describe('dialog-controller helpers', () => {
     expect(replacePattern).toBe('Chyjewicz');
   });
 
+  it('names replace operations after their fields, pattern and replacement', () => {
+    const name = helpers.buildOperationName([
+      { field: 'creator.lastName', pattern: ',$' },
+      { field: 'creator.firstName', pattern: ',$' }
+    ], '');
+
+    expect(name).toBe('creator.lastName, creator.firstName: ",$" \u2192 ""');
+    expect(helpers.buildOperationName([{ field: 'title', pattern: 'a' }], () => 'b')).toBe('title: "a" \u2192 (preset function)');
+  });
+
+  it('formats creator changes as readable names instead of raw JSON', () => {
+    const value = JSON.stringify([
+      { firstName: 'John', lastName: 'Doe', creatorTypeID: 1 },
+      { name: 'World Health Organization', fieldMode: 1, creatorTypeID: 1 }
+    ]);
+
+    expect(helpers.formatChangeValue('creator.lastName', value)).toBe('Doe, John; World Health Organization');
+    expect(helpers.formatChangeValue('title', 'Plain title')).toBe('Plain title');
+    expect(helpers.formatChangeValue('tags', '[{"tag":"ML","type":1},{"tag":"Statistics","type":0}]')).toBe('ML; Statistics');
+  });
+
+  it('shows creator types other than author when they can be named', () => {
+    const value = JSON.stringify([
+      { firstName: 'John', lastName: 'Doe', creatorTypeID: 1 },
+      { firstName: 'Jane', lastName: 'Roe', creatorTypeID: 3 }
+    ]);
+    const getCreatorTypeName = (id) => ({ 1: 'author', 3: 'editor' }[id]);
+
+    expect(helpers.formatChangeValue('creator.lastName', value, getCreatorTypeName)).toBe('Doe, John; Roe, Jane (editor)');
+  });
+
+  it('builds creator operations from the Creator Action controls', () => {
+    expect(helpers.getCreatorOperation('', ';', 'editor')).toBeNull();
+    expect(helpers.getCreatorOperation('split', ',', 'editor')).toEqual({ type: 'split', separator: ',' });
+    expect(helpers.getCreatorOperation('move:last', ';', 'editor')).toEqual({ type: 'move', position: 'last' });
+    expect(helpers.getCreatorOperation('setType', ';', 'editor')).toEqual({ type: 'setType', creatorType: 'editor' });
+    expect(helpers.getCreatorOperation('singleField', ';', 'editor')).toEqual({ type: 'singleField' });
+    expect(helpers.buildOperationName([{ field: 'creator.firstName', pattern: ',' }], '', { type: 'split', separator: ',' }))
+      .toBe('creator.firstName: "," \u2192 (split ,)');
+  });
+
+  it('collects only accepted review changes for the selected items', () => {
+    const review = {
+      entries: [
+        {
+          itemID: 1,
+          item: { id: 1 },
+          changes: [
+            { field: 'title', original: 'a', replaced: 'b', accepted: true },
+            { field: 'url', original: 'c', replaced: 'd', accepted: false }
+          ]
+        },
+        { itemID: 2, item: { id: 2 }, changes: [{ field: 'title', original: 'e', replaced: 'f', accepted: false }] },
+        { itemID: 3, item: { id: 3 }, changes: [{ field: 'title', original: 'g', replaced: 'h', accepted: true }] }
+      ]
+    };
+
+    const entries = helpers.getAcceptedReviewEntries(review, new Set([1, 2]));
+
+    expect(entries).toEqual([
+      { itemID: 1, item: { id: 1 }, changes: [{ field: 'title', original: 'a', replaced: 'b' }] }
+    ]);
+  });
+
+  it('parses creator positions into a creator filter', () => {
+    expect(helpers.parseCreatorPositions('3, 1, 4-5')).toEqual([0, 2, 3, 4]);
+    expect(helpers.parseCreatorPositions('')).toEqual([]);
+    expect(() => helpers.parseCreatorPositions('0')).toThrow('"0" is not a creator position');
+    expect(() => helpers.parseCreatorPositions('5-2')).toThrow('"5-2" is not a creator position');
+
+    expect(helpers.getCreatorFilter('2', 'editor')).toEqual({ indexes: [1], types: ['editor'] });
+    expect(helpers.getCreatorFilter(' ', 'editor')).toEqual({ types: ['editor'] });
+    expect(helpers.getCreatorFilter('', '')).toBeNull();
+  });
+
+  it('keeps only the accepted creators of a creator change', () => {
+    const change = {
+      field: 'creator.lastName',
+      original: JSON.stringify([{ lastName: 'smith' }, { lastName: 'jones' }]),
+      replaced: JSON.stringify([{ lastName: 'Smith' }, { lastName: 'Jones' }]),
+      creatorIndexes: [0, 1]
+    };
+    const review = { entries: [{ itemID: 1, item: { id: 1 }, changes: [{ ...change, accepted: true, acceptedCreators: [1] }] }] };
+
+    const [entry] = helpers.getAcceptedReviewEntries(review, new Set([1]));
+
+    expect(entry.changes).toEqual([{
+      ...change,
+      replaced: JSON.stringify([{ lastName: 'smith' }, { lastName: 'Jones' }]),
+      creatorIndexes: [1]
+    }]);
+    review.entries[0].changes[0].acceptedCreators = [];
+    expect(helpers.getAcceptedReviewEntries(review, new Set([1]))).toEqual([]);
+  });
+
+  it('formats creator name variants as last name, first name', () => {
+    expect(helpers.formatCreatorVariant({ firstName: 'Jerome S.', lastName: 'Bruner' })).toBe('Bruner, Jerome S.');
+    expect(helpers.formatCreatorVariant({ firstName: '', lastName: 'Bruner' })).toBe('Bruner');
+  });
+
+  it('flags results whose search timed out on a field to replace', () => {
+    const result = { itemID: 1, timedOutFields: ['abstractNote'] };
+
+    expect(helpers.hasTimedOutField(result, ['title', 'abstractNote'])).toBe(true);
+    expect(helpers.hasTimedOutField(result, ['title'])).toBe(false);
+    expect(helpers.hasTimedOutField({ itemID: 2 }, ['title'])).toBe(false);
+  });
+
+  it('summarizes committed and rolled back chunks of an atomic replace', () => {
+    const chunks = [
+      { index: 0, itemIDs: [1, 2], committed: true, error: null, failedItemID: null },
+      { index: 1, itemIDs: [3, 4], committed: false, error: 'disk full', failedItemID: 4 }
+    ];
+
+    expect(helpers.describeChunks(chunks)).toBe(
+      'Committed chunks: 1 of 2\nRolled back chunk 2 (2 items): item 4 failed: disk full\n'
+    );
+    expect(helpers.describeChunks(undefined)).toBe('');
+  });
+
+  it('titles annotation and note results by page label and note title', () => {
+    const annotation = { isAnnotation: () => true, isNote: () => false };
+    const note = { isAnnotation: () => false, isNote: () => true, getNoteTitle: () => 'Reading notes' };
+    const regular = { getField: () => '' };
+
+    expect(helpers.getResultTitle(annotation, '12')).toBe('Annotation, p. 12');
+    expect(helpers.getResultTitle(annotation, '')).toBe('Annotation');
+    expect(helpers.getResultTitle(note)).toBe('Reading notes');
+    expect(helpers.getResultTitle(regular)).toBe('(Untitled)');
+  });
+
+  it('splits match previews around the match for highlighting', () => {
+    expect(helpers.getMatchPreviewParts('so the enzyme kinetics were measured', 7, 6, 4)).toEqual({
+      before: '...the ',
+      match: 'enzyme',
+      after: ' kin...'
+    });
+    expect(helpers.getMatchPreviewParts('tag', -1, -1)).toEqual({ before: 'tag', match: '', after: '' });
+  });
+
+  it('turns a collection scope into a collection condition', () => {
+    expect(helpers.getScopeSearch({ libraryIDs: [1, 5], collectionID: null, recursive: false })).toEqual({
+      libraryIDs: [1, 5],
+      condition: null
+    });
+    expect(helpers.getScopeSearch({ libraryIDs: [5], collectionID: 42, recursive: true }).condition).toEqual({
+      field: 'collection',
+      pattern: '42',
+      patternType: 'exact',
+      operator: 'AND',
+      recursive: true
+    });
+  });
+
+  it('turns a saved search scope into a saved search condition', () => {
+    expect(helpers.parseScopeValue('savedSearch:9')).toEqual({ collectionID: null, savedSearchID: 9 });
+    expect(helpers.parseScopeValue('collection:42')).toEqual({ collectionID: 42, savedSearchID: null });
+    expect(helpers.parseScopeValue('')).toEqual({ collectionID: null, savedSearchID: null });
+
+    expect(helpers.getScopeSearch({ libraryIDs: [1], collectionID: null, savedSearchID: 9, recursive: false }).condition).toEqual({
+      field: 'savedSearch',
+      pattern: '9',
+      patternType: 'exact',
+      operator: 'AND'
+    });
+  });
+
+  it('flattens collections into tree order with their depth', () => {
+    const collection = (name, children = []) => ({ name, getChildCollections: () => children });
+    const methods = collection('Methods');
+    const reading = collection('Reading', [collection('Theory'), methods]);
+    const archive = collection('Archive');
+
+    expect(helpers.flattenCollectionTree([reading, archive]).map(({ collection: c, depth }) => `${depth}:${c.name}`))
+      .toEqual(['0:Archive', '0:Reading', '1:Methods', '1:Theory']);
+  });
+
+  it('derives pattern pack file names from category names', () => {
+    expect(helpers.getPatternPackFileName('My Patterns')).toBe('my-patterns.json');
+    expect(helpers.getPatternPackFileName('  Lab / Rules! ')).toBe('lab-rules.json');
+    expect(helpers.getPatternPackFileName('')).toBe('patterns.json');
+  });
+
   it('preserves function-based preset replacements', () => {
     const replaceFn = () => 'computed';
     const replacePattern = helpers.getDialogReplacePattern(
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for field comparisons
+ */
+
+const {
+  FIELD_COMPARISON_TYPES,
+  buildComparisonRegex,
+  compareFields,
+  getComparedFields,
+  validateFieldComparison
+} = require('../../src/zotero/field-comparisons.js');
+
+const fields = {
+  title: 'Enzyme kinetics: a review',
+  shortTitle: 'Enzyme kinetics',
+  publicationTitle: 'enzyme kinetics: A review',
+  DOI: '10.1000/xyz.1',
+  url: 'https://doi.org/10.1000/xyz.1',
+  extra: ''
+};
+const getValue = (field) => fields[field] || '';
+
+describe('field comparisons', () => {
+  it('compares with equals, contains and starts-with', () => {
+    expect(compareFields(fields.title, FIELD_COMPARISON_TYPES.EQUALS, 'publicationTitle', getValue)).toEqual({ index: 0, length: 25 });
+    expect(compareFields(fields.title, FIELD_COMPARISON_TYPES.EQUALS, 'publicationTitle', getValue, true)).toBeNull();
+    expect(compareFields(fields.title, FIELD_COMPARISON_TYPES.STARTS_WITH, 'shortTitle', getValue)).toEqual({ index: 0, length: 15 });
+    expect(compareFields(fields.url, FIELD_COMPARISON_TYPES.CONTAINS, 'DOI', getValue)).toEqual({ index: 16, length: 13 });
+  });
+
+  it('never matches when either field is empty', () => {
+    expect(compareFields(fields.title, FIELD_COMPARISON_TYPES.CONTAINS, 'extra', getValue)).toBeNull();
+    expect(compareFields('', FIELD_COMPARISON_TYPES.EQUALS, 'extra', getValue)).toBeNull();
+  });
+
+  it('fills escaped field values into comparison regexes', () => {
+    const pattern = String.raw`doi\.org/{field:DOI}$`;
+
+    expect(getComparedFields(FIELD_COMPARISON_TYPES.REGEX, pattern)).toEqual(['DOI']);
+    expect(buildComparisonRegex(pattern, getValue).test('doi.org/10.1000/xyz.1')).toBe(true);
+    expect(compareFields(fields.url, FIELD_COMPARISON_TYPES.REGEX, pattern, getValue)).toEqual({ index: 8, length: 21 });
+    expect(compareFields('https://doi.org/10.1000/xyzZ1', FIELD_COMPARISON_TYPES.REGEX, pattern, getValue)).toBeNull();
+    expect(buildComparisonRegex('{field:extra}', getValue)).toBeNull();
+  });
+
+  it('validates field names and comparison regexes', () => {
+    expect(validateFieldComparison(FIELD_COMPARISON_TYPES.EQUALS, 'publicationTitle')).toBeNull();
+    expect(validateFieldComparison(FIELD_COMPARISON_TYPES.EQUALS, 'publication title')).toMatch(/not a field name/);
+    expect(validateFieldComparison(FIELD_COMPARISON_TYPES.REGEX, '^abc')).toMatch(/does not refer to another field/);
+    expect(validateFieldComparison(FIELD_COMPARISON_TYPES.REGEX, '({field:DOI}')).toMatch(/invalid regex/);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * Unit tests for note HTML handling
+ */
+
+const { NoteDocument, getNoteText, isNoteFieldItem } = require('../../src/zotero/note-html.js');
+
+const NOTE_HTML = '<div data-schema-version="9"><h1>Reading notes</h1>\n'
+  + '<p>Mc<strong>Donald</strong> &amp; Smith&nbsp;(2020)<br>see <a href="https://example.com/doi">doi</a></p>\n'
+  + '</div>';
+
+describe('NoteDocument', () => {
+  it('returns the visible text with decoded entities and one line per block', () => {
+    expect(getNoteText(NOTE_HTML)).toBe('Reading notes\nMcDonald & Smith (2020)\nsee doi');
+  });
+
+  it('skips markup, attributes and hidden elements', () => {
+    expect(getNoteText('<p data-citation="%7B%22Needle%22%7D">a &lt;b&gt;</p><style>p { color: red }</style>'))
+      .toBe('a <b>');
+  });
+
+  it('writes replacements into the text between tags and keeps the markup', () => {
+    const note = new NoteDocument(NOTE_HTML);
+    const text = note.getText();
+    const start = text.indexOf('McDonald');
+
+    note.replaceRange(start, start + 'McDonald'.length, 'MacDonald & Co');
+
+    expect(note.toHTML()).toBe('<div data-schema-version="9"><h1>Reading notes</h1>\n'
+      + '<p>MacDonald &amp; Co<strong></strong> &amp; Smith&nbsp;(2020)<br>see <a href="https://example.com/doi">doi</a></p>\n'
+      + '</div>');
+    expect(note.getText()).toContain('MacDonald & Co & Smith');
+  });
+
+  it('keeps line breaks between blocks when a replacement spans them', () => {
+    const note = new NoteDocument('<p>first</p><p>second</p>');
+    note.getText();
+
+    note.replaceRange(3, 9, '');
+
+    expect(note.toHTML()).toBe('<p>fir</p><p>ond</p>');
+  });
+
+  it('leaves unchanged text exactly as it was written', () => {
+    const html = '<p>caf&#233; &nbsp;</p>';
+    const note = new NoteDocument(html);
+    note.getText();
+
+    expect(note.toHTML()).toBe(html);
+  });
+});
+
+describe('isNoteFieldItem', () => {
+  const note = (parentItemID) => ({ isNote: () => true, parentItemID });
+
+  it('targets every note for "note" and only child notes for "childNote"', () => {
+    expect(isNoteFieldItem(note(false), 'note')).toBe(true);
+    expect(isNoteFieldItem(note(false), 'childNote')).toBe(false);
+    expect(isNoteFieldItem(note(12), 'childNote')).toBe(true);
+    expect(isNoteFieldItem({ isNote: () => false }, 'note')).toBe(false);
+  });
+});
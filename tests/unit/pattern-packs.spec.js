@@ -0,0 +1,215 @@
+/**
+ * Unit tests for pattern pack import and export
+ */
+
+global.Zotero = {
+  debug: jest.fn()
+};
+
+const packsModule = require('../../src/patterns/pattern-packs.js');
+const PatternPackStore = packsModule.default || packsModule;
+const {
+  PATTERN_PACK_FORMAT,
+  PatternPackError,
+  exportPatternPack,
+  parsePatternPack,
+  validatePatternPack
+} = packsModule;
+const { DATA_QUALITY_PATTERNS } = require('../../src/patterns/quality-patterns.js');
+const { REPLACE_TRANSFORMS } = require('../../src/patterns/replace-transforms.js');
+const { MemoryStore } = require('../../src/zotero/json-store.js');
+
+const createPack = (patterns, overrides = {}) => ({
+  format: PATTERN_PACK_FORMAT,
+  version: 1,
+  name: 'Lab Rules',
+  patterns,
+  ...overrides
+});
+
+const orcidPattern = {
+  id: 'strip-orcid',
+  name: 'Strip ORCID',
+  description: 'Removes ORCID lines from extra',
+  conditions: [{ field: 'extra', pattern: '^ORCID: .*$', patternType: 'regex' }],
+  replace: '',
+  category: 'Cleanup'
+};
+
+describe('Pattern packs', () => {
+  describe('exportPatternPack', () => {
+    it('exports every preloaded pattern, encoding function replacements by name', () => {
+      const pack = exportPatternPack(DATA_QUALITY_PATTERNS, { name: 'Preloaded' });
+
+      expect(pack.format).toBe(PATTERN_PACK_FORMAT);
+      expect(pack.patterns).toHaveLength(DATA_QUALITY_PATTERNS.length);
+      expect(pack.patterns.find((pattern) => pattern.id === 'normalize-mc').replace).toEqual({ transform: 'mc-prefix' });
+      expect(pack.patterns.find((pattern) => pattern.id === 'normalize-mac').replace).toEqual({ transform: 'mac-prefix' });
+      expect(pack.patterns.find((pattern) => pattern.id === 'lowercase-van-de').replace).toEqual({ transform: 'lowercase' });
+      expect(validatePatternPack(JSON.parse(JSON.stringify(pack)))).toEqual([]);
+    });
+
+    it('round-trips through JSON back to the same transform functions', () => {
+      const json = JSON.stringify(exportPatternPack(DATA_QUALITY_PATTERNS));
+      const pack = parsePatternPack(json);
+
+      const mc = pack.patterns.find((pattern) => pattern.id === 'normalize-mc');
+      expect(mc.replace).toEqual({ transform: 'mc-prefix' });
+      expect(REPLACE_TRANSFORMS[mc.replace.transform]('MCCULLOCH')).toBe('McCulloch');
+    });
+
+    it('refuses to export arbitrary functions', () => {
+      const pattern = { ...orcidPattern, replace: (match) => match.trim() };
+
+      expect(() => exportPatternPack([pattern])).toThrow(PatternPackError);
+      expect(() => exportPatternPack([pattern])).toThrow(/Strip ORCID/);
+    });
+  });
+
+  describe('parsePatternPack', () => {
+    it('rejects invalid JSON', () => {
+      expect(() => parsePatternPack('{ not json')).toThrow(expect.objectContaining({ code: 'INVALID_PACK' }));
+    });
+
+    it('rejects newer pack versions', () => {
+      expect(() => parsePatternPack(createPack([orcidPattern], { version: 2 })))
+        .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_VERSION' }));
+    });
+
+    it('reports every schema error with its path', () => {
+      const pack = createPack([
+        { ...orcidPattern, id: 'bad id', conditions: [{ field: 'title', pattern: '(', patternType: 'regex' }] },
+        { ...orcidPattern, replace: { transform: 'eval' } },
+        { ...orcidPattern, conditions: [{ field: 'title', pattern: 'x', patternType: 'javascript', operator: 'XOR' }] }
+      ]);
+
+      let error;
+      try {
+        parsePatternPack(pack);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.code).toBe('INVALID_PACK');
+      expect(error.errors).toEqual(expect.arrayContaining([
+        expect.stringMatching(/^patterns\[0\]\.id:/),
+        expect.stringMatching(/^patterns\[0\]\.conditions\[0\]\.pattern: invalid regular expression/),
+        expect.stringMatching(/^patterns\[1\]\.replace\.transform: unknown transform "eval"/),
+        expect.stringMatching(/^patterns\[2\]\.id: duplicate id "strip-orcid"/),
+        expect.stringMatching(/^patterns\[2\]\.conditions\[0\]\.patternType:/),
+        expect.stringMatching(/^patterns\[2\]\.conditions\[0\]\.operator:/)
+      ]));
+    });
+
+    it('accepts and validates condition groups', () => {
+      const grouped = {
+        ...orcidPattern,
+        conditions: [
+          { field: 'extra', pattern: 'ORCID' },
+          { type: 'group', operator: 'AND_NOT', conditions: [{ field: 'title', pattern: 'draft' }] }
+        ]
+      };
+
+      expect(parsePatternPack(createPack([grouped])).patterns[0].conditions[1]).toEqual({
+        type: 'group',
+        operator: 'AND_NOT',
+        conditions: [{ field: 'title', pattern: 'draft', patternType: 'regex' }]
+      });
+
+      const invalid = { ...grouped, conditions: [{ type: 'group', conditions: [] }, { type: 'block', field: 'x', pattern: 'y' }] };
+      expect(validatePatternPack(createPack([invalid]))).toEqual([
+        'patterns[0].conditions[0].conditions: must be a non-empty array',
+        'patterns[0].conditions[1].type: must be "group" or omitted'
+      ]);
+    });
+
+    it('accepts and validates field comparisons', () => {
+      const comparison = { ...orcidPattern, conditions: [{ field: 'title', pattern: 'publicationTitle', patternType: 'field_equals' }] };
+      expect(parsePatternPack(createPack([comparison])).patterns[0].conditions[0].patternType).toBe('field_equals');
+
+      const invalid = { ...orcidPattern, conditions: [{ field: 'url', pattern: 'doi.org', patternType: 'field_regex' }] };
+      expect(validatePatternPack(createPack([invalid]))).toEqual([
+        'patterns[0].conditions[0].pattern: the regex does not refer to another field with {field:name}'
+      ]);
+    });
+
+    it('accepts and validates creator actions', () => {
+      const action = { ...orcidPattern, conditions: [{ field: 'creator.lastName', pattern: 'Group$' }], creatorOperation: { type: 'singleField', note: 'x' } };
+      expect(parsePatternPack(createPack([action])).patterns[0].creatorOperation).toEqual({ type: 'singleField' });
+
+      const invalid = { ...action, creatorOperation: { type: 'move', position: 'middle' } };
+      expect(validatePatternPack(createPack([invalid]))).toEqual(['patterns[0].creatorOperation: unknown position "middle"']);
+    });
+
+    it('drops unknown properties', () => {
+      const pack = parsePatternPack(createPack([{ ...orcidPattern, script: 'alert(1)' }], { extra: true }));
+
+      expect(pack.extra).toBeUndefined();
+      expect(pack.patterns[0].script).toBeUndefined();
+    });
+  });
+
+  describe('PatternPackStore', () => {
+    let store;
+    let packs;
+
+    beforeEach(() => {
+      store = new MemoryStore();
+      packs = new PatternPackStore({ store });
+    });
+
+    it('lists imported patterns under the pack name with decoded replacements', async () => {
+      const mc = { ...orcidPattern, id: 'lab-mc', replace: { transform: 'mc-prefix' } };
+      await packs.importPack(JSON.stringify(createPack([orcidPattern, mc])));
+
+      const patterns = await packs.getPatterns();
+      expect(patterns.map((pattern) => pattern.category)).toEqual(['Lab Rules', 'Lab Rules']);
+      expect(patterns[1].replace).toBe(REPLACE_TRANSFORMS['mc-prefix']);
+      expect((await store.read()).packs[0].patterns[1].replace).toEqual({ transform: 'mc-prefix' });
+    });
+
+    it('reports id conflicts and skips or renames the conflicting patterns', async () => {
+      const pack = createPack([orcidPattern, { ...orcidPattern, id: 'fix-url-http' }]);
+      const existingIDs = DATA_QUALITY_PATTERNS.map((pattern) => pattern.id);
+
+      const { conflicts } = await packs.checkPack(pack, existingIDs);
+      expect(conflicts).toEqual([{ id: 'fix-url-http', name: 'Strip ORCID' }]);
+
+      const skipped = await packs.importPack(pack, { existingIDs });
+      expect(skipped.imported).toBe(1);
+
+      const renamed = await packs.importPack(pack, { existingIDs, onConflict: 'rename' });
+      expect(renamed.renamed).toEqual([{ from: 'fix-url-http', to: 'fix-url-http-2' }]);
+      expect((await packs.getPatterns()).map((pattern) => pattern.id)).toEqual(['strip-orcid', 'fix-url-http-2']);
+    });
+
+    it('does not rename a pattern to an id used in another imported pack', async () => {
+      await packs.importPack(createPack([{ ...orcidPattern, id: 'fix-url-http-2' }], { name: 'Other' }));
+      const existingIDs = DATA_QUALITY_PATTERNS.map((pattern) => pattern.id);
+
+      const renamed = await packs.importPack(createPack([{ ...orcidPattern, id: 'fix-url-http' }]), { existingIDs, onConflict: 'rename' });
+
+      expect(renamed.renamed).toEqual([{ from: 'fix-url-http', to: 'fix-url-http-3' }]);
+    });
+
+    it('checks ids against other imported packs but not against the pack being replaced', async () => {
+      await packs.importPack(createPack([orcidPattern]));
+
+      expect((await packs.checkPack(createPack([orcidPattern]))).conflicts).toEqual([]);
+      expect((await packs.checkPack(createPack([orcidPattern], { name: 'Other' }))).conflicts).toHaveLength(1);
+    });
+
+    it('does not allow pack names that shadow built-in categories', async () => {
+      await expect(packs.importPack(createPack([orcidPattern], { name: 'My Patterns' })))
+        .rejects.toMatchObject({ code: 'INVALID_PACK' });
+    });
+
+    it('removes a pack', async () => {
+      await packs.importPack(createPack([orcidPattern]));
+      await packs.removePack('Lab Rules');
+
+      expect(await packs.getPatterns()).toEqual([]);
+      await expect(packs.removePack('Lab Rules')).rejects.toMatchObject({ code: 'PACK_NOT_FOUND' });
+    });
+  });
+});
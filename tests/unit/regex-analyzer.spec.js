@@ -0,0 +1,59 @@
+/**
+ * Unit tests for the static ReDoS analyzer
+ */
+
+const { analyzeRegex } = require('../../src/zotero/regex-analyzer.js');
+const { DATA_QUALITY_PATTERNS } = require('../../src/patterns/quality-patterns.js');
+const { getConditionLeaves } = require('../../src/zotero/search-engine.js');
+
+const codes = (pattern) => analyzeRegex(pattern).map((issue) => issue.code);
+
+describe('analyzeRegex', () => {
+  it('flags repeated groups that can split the same text in several ways', () => {
+    expect(codes('(a+)+$')).toEqual(['NESTED_QUANTIFIER']);
+    expect(codes('(?:\\w+\\s?)*$')).toEqual(['NESTED_QUANTIFIER']);
+    expect(codes('(.*,)+x')).toEqual(['NESTED_QUANTIFIER']);
+    expect(codes('(a{1,5})+$')).toEqual(['NESTED_QUANTIFIER']);
+    expect(codes('(?=(a+)+b)')).toEqual(['NESTED_QUANTIFIER']);
+  });
+
+  it('accepts repeated groups whose repetitions are delimited', () => {
+    expect(codes('(\\w+\\s)+$')).toEqual([]);
+    expect(codes('((ab)*c)+')).toEqual([]);
+    expect(codes('(?:[^,]+,)*')).toEqual([]);
+  });
+
+  it('accepts repeated groups whose parts match different characters', () => {
+    expect(codes('([A-Z][a-z]+\\s?)+')).toEqual([]);
+    expect(codes('([A-Z][a-z]+\\s?)+$')).toEqual([]);
+    expect(codes('(\\d+-?)+$')).toEqual(['NESTED_QUANTIFIER']);
+  });
+
+  it('flags repeated alternatives that can match the same text', () => {
+    expect(codes('(a|ab)*c')).toEqual(['OVERLAPPING_ALTERNATION']);
+    expect(codes('(\\w|\\d)+$')).toEqual(['OVERLAPPING_ALTERNATION']);
+    expect(codes('(ab|ac)+')).toEqual([]);
+  });
+
+  it('flags adjacent quantifiers over overlapping characters', () => {
+    expect(codes('\\d+\\d*x')).toEqual(['ADJACENT_QUANTIFIERS']);
+    expect(codes('.*.*=')).toEqual(['ADJACENT_QUANTIFIERS']);
+    expect(codes('[a-z]+\\s+[a-z]+')).toEqual([]);
+    expect(codes('^.*foo.*$')).toEqual([]);
+  });
+
+  it('describes the risky part of the pattern', () => {
+    expect(analyzeRegex('^(\\d+)+ pages')[0].message).toBe('"(\\d+)+" repeats a group that can match the same text in several ways');
+  });
+
+  it('accepts every preloaded pattern', () => {
+    const regexes = DATA_QUALITY_PATTERNS
+      .flatMap((pattern) => getConditionLeaves(pattern.conditions))
+      .filter((condition) => (condition.patternType || 'regex') === 'regex');
+
+    expect(regexes.length).toBeGreaterThan(0);
+    for (const condition of regexes) {
+      expect(analyzeRegex(condition.pattern)).toEqual([]);
+    }
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for the worker-based regex time budget
+ */
+
+const guardModule = require('../../src/zotero/regex-guard.js');
+const RegexGuard = guardModule.default || guardModule;
+
+// Minimal stand-in for a DOM Worker running the guard's worker script synchronously
+class FakeWorker {
+  constructor() {
+    this.terminate = jest.fn();
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage({ source, flags, value, count }) {
+    if (FakeWorker.hang) {
+      return;
+    }
+    if (count) {
+      const matches = value.match(new RegExp(source, flags.includes('g') ? flags : flags + 'g')) || [];
+      Promise.resolve().then(() => this.onmessage?.({ data: { count: matches.length } }));
+      return;
+    }
+    const match = new RegExp(source, flags).exec(value);
+    Promise.resolve().then(() => this.onmessage?.({
+      data: match && { values: [...match], index: match.index, groups: match.groups ? { ...match.groups } : undefined }
+    }));
+  }
+}
+
+describe('RegexGuard', () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    FakeWorker.hang = false;
+    global.Worker = FakeWorker;
+    global.Blob = class {};
+    global.URL.createObjectURL = jest.fn(() => 'blob:regex-worker');
+    global.URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    delete global.Worker;
+    delete global.Blob;
+  });
+
+  it('returns the match found by the worker', async () => {
+    const guard = new RegexGuard();
+    const { match } = await guard.exec(new RegExp(String.raw`(?<word>n\w+)`, 'i'), 'A Needle');
+
+    expect(match[0]).toBe('Needle');
+    expect(match.index).toBe(2);
+    expect(match.groups.word).toBe('Needle');
+    expect(match.input).toBe('A Needle');
+    guard.dispose();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:regex-worker');
+  });
+
+  it('counts every match found by the worker', async () => {
+    const guard = new RegexGuard();
+
+    await expect(guard.count(/needle/i, 'Needle, needle, hay')).resolves.toEqual({ count: 2 });
+    await expect(guard.count(/pin/g, 'Needle')).resolves.toEqual({ count: 0 });
+  });
+
+  it('times out, terminates the worker and starts a new one for the next test', async () => {
+    jest.useFakeTimers();
+    const guard = new RegexGuard({ timeout: 50 });
+
+    FakeWorker.hang = true;
+    const pending = guard.exec(/(a+)+$/, 'aaaa!');
+    jest.advanceTimersByTime(50);
+    await expect(pending).resolves.toEqual({ timedOut: true });
+    expect(FakeWorker.instances[0].terminate).toHaveBeenCalled();
+
+    FakeWorker.hang = false;
+    const { match } = await guard.exec(/a/, 'a');
+    expect(match[0]).toBe('a');
+    expect(FakeWorker.instances).toHaveLength(2);
+  });
+});
@@ -17,6 +17,38 @@ const mockItem = {
   saveTx: jest.fn().mockResolvedValue(true)
 };
 
+// An item with mocks of its own: standard field values, and creators, tags, a note
+// or annotation fields when given. save is the in-transaction save of atomic mode.
+const createMockItem = ({
+  id = 1, itemTypeID = 1, fields = {}, creators, tags, note, parentItemID, annotation,
+  save = jest.fn().mockResolvedValue(true)
+} = {}) => {
+  const values = { ...fields };
+  const item = {
+    ...mockItem,
+    id,
+    itemTypeID,
+    getField: jest.fn((field) => values[field] ?? ''),
+    setField: jest.fn((field, value) => { values[field] = value; }),
+    save,
+    saveTx: jest.fn().mockResolvedValue(true)
+  };
+  if (creators) {
+    item.getCreators = jest.fn().mockReturnValue(creators);
+  }
+  if (tags) {
+    item.getTags = jest.fn().mockReturnValue(tags);
+    item.setTags = jest.fn();
+  }
+  if (note !== undefined) {
+    Object.assign(item, { parentItemID, isNote: () => true, getNote: jest.fn().mockReturnValue(note), setNote: jest.fn() });
+  }
+  if (annotation) {
+    Object.assign(item, annotation, { isAnnotation: () => true });
+  }
+  return item;
+};
+
 const mockZotero = {
   Items: {
     getAsync: jest.fn().mockResolvedValue([mockItem])
@@ -60,6 +92,64 @@ describe('ReplaceEngine', () => {
       const replacer = engine.compileReplacePattern('Universe');
       expect(replacer('World')).toBe('Universe');
     });
+
+    it('should upper- and lowercase until \\E', () => {
+      const result = engine.applyReplace('smith, JOHN', '(\\w+), (\\w+)', '\\U$1\\E, \\L$2');
+      expect(result.result).toBe('SMITH, john');
+    });
+
+    it('should change the case of the next character only', () => {
+      const result = engine.applyReplace('mcdonald', '^mc(.*)$', 'M\\lC\\u$1');
+      expect(result.result).toBe('McDonald');
+    });
+
+    it('should combine one-character and span operators', () => {
+      const result = engine.applyReplace('MACDONALD', '^(mac)(.*)$', '\\u\\L$1\\E\\u\\L$2');
+      expect(result.result).toBe('MacDonald');
+    });
+
+    it('should title-case words with \\T', () => {
+      const result = engine.applyReplace('THE ORIGIN OF SPECIES', '^.*$', '\\T$&');
+      expect(result.result).toBe('The Origin Of Species');
+    });
+
+    it('should apply case operators to literal text and keep escaped backslashes', () => {
+      expect(engine.applyReplace('x', 'x', '\\Uabc').result).toBe('ABC');
+      expect(engine.applyReplace('x', 'x', 'a\\\\Ub').result).toBe('a\\Ub');
+      expect(engine.applyReplace('x', 'x', 'C:\\temp').result).toBe('C:\\temp');
+    });
+
+    it('should emit text only when a group matched with ${n:+text}', () => {
+      const pattern = '^(\\w+)(?: (\\w+))?$';
+      expect(engine.applyReplace('Smith John', pattern, '$1${2:+, $2}').result).toBe('Smith, John');
+      expect(engine.applyReplace('Smith', pattern, '$1${2:+, $2}').result).toBe('Smith');
+    });
+
+    it('should fall back to a default with ${n:-text}', () => {
+      const pattern = '^(\\d*)-(\\w+)$';
+      expect(engine.applyReplace('-abc', pattern, '${1:-n.d.}').result).toBe('n.d.');
+      expect(engine.applyReplace('2024-abc', pattern, '${1:-n.d.}').result).toBe('2024');
+    });
+
+    it('should apply filters to groups, names and the whole match', () => {
+      expect(engine.applyReplace('a  Value  b', 'a(.*)b', '[${1|trim}]').result).toBe('[Value]');
+      expect(engine.applyReplace('abc', '(?<word>\\w+)', '${word|upper}').result).toBe('ABC');
+      expect(engine.applyReplace('Café au Lait!', '^.*$', '${&|slug}').result).toBe('cafe-au-lait');
+      expect(engine.applyReplace('7', '\\d+', '${&|pad(3, 0)}').result).toBe('007');
+      expect(engine.applyReplace('  mixed CASE ', '^.*$', '${&|trim|title}').result).toBe('Mixed Case');
+    });
+
+    it('should allow nested expressions and escaped braces', () => {
+      const result = engine.applyReplace('a b', '(a) (b)', '${1:+{${2|upper}\\}}');
+      expect(result.result).toBe('{B}');
+    });
+
+    it('should report syntax errors as INVALID_REPLACE_PATTERN', () => {
+      for (const pattern of ['${1', '${}', '${1|eval}', '${1|pad(x)}', '${1|trim(1)}', '${1?x}']) {
+        expect(() => engine.compileReplacePattern(pattern)).toThrow(ReplaceError);
+        expect(() => engine.compileReplacePattern(pattern)).toThrow(expect.objectContaining({ code: 'INVALID_REPLACE_PATTERN' }));
+      }
+    });
   });
 
   describe('applyReplace', () => {
@@ -171,6 +261,13 @@ describe('ReplaceEngine', () => {
   });
 
   describe('previewReplace', () => {
+    it('should leave read-only fields alone', () => {
+      const item = createMockItem({ fields: { dateAdded: '2024-01-01 10:00:00', title: '2024' } });
+
+      expect(engine.previewReplace(item, '2024', '2025', { fields: ['dateAdded', 'title'] }))
+        .toEqual([{ field: 'title', original: '2024', replaced: '2025' }]);
+    });
+
     it('should return changes for matching fields', () => {
       mockItem.getField.mockReturnValue('Hello World');
 
@@ -222,6 +319,22 @@ describe('ReplaceEngine', () => {
       expect(replacedCreators[1].lastName).toBe('Smith');
     });
 
+    it('should replace approximate matches at their position in the original text', () => {
+      mockItem.getField.mockReturnValue('Studies by Miłkowski and Milkowsky');
+
+      const [diacritics] = engine.previewReplace(mockItem, 'milkowski', 'M.', {
+        fields: ['title'],
+        patternType: 'diacritic_insensitive'
+      });
+      const [fuzzy] = engine.previewReplace(mockItem, 'Milkowski~1', '[$&]', {
+        fields: ['title'],
+        patternType: 'fuzzy'
+      });
+
+      expect(diacritics.replaced).toBe('Studies by M. and Milkowsky');
+      expect(fuzzy.replaced).toBe('Studies by [Miłkowski] and [Milkowsky]');
+    });
+
     it('should preview multiple replacement conditions across fields', () => {
       mockItem.getField.mockImplementation((field) => {
         if (field === 'title') return 'Hello World';
@@ -239,6 +352,257 @@ describe('ReplaceEngine', () => {
     });
   });
 
+  describe('tags', () => {
+    it('should merge tags that are renamed to the same name, keeping manual over automatic', () => {
+      const item = createMockItem({ tags: [
+        { tag: 'ML', type: 1 },
+        { tag: 'Statistics' },
+        { tag: 'machine-learning', type: 0 },
+        { tag: 'Machine learning', type: 1 }
+      ] });
+
+      const changes = engine.previewReplace(item, '^(machine[ -]learning|ML)$', 'machine learning', {
+        fields: ['tags'],
+        patternType: 'regex'
+      });
+
+      expect(changes).toHaveLength(1);
+      expect(JSON.parse(changes[0].replaced)).toEqual([
+        { tag: 'machine learning', type: 0 },
+        { tag: 'Statistics', type: 0 }
+      ]);
+    });
+
+    it('should keep the tag type when renaming and delete tags renamed to an empty name', async () => {
+      const item = createMockItem({ tags: [{ tag: 'todo', type: 1 }, { tag: 'Review: done', type: 1 }] });
+
+      const result = await engine.applyReplaceToItem(item, '^todo$|^Review: ', '', { fields: ['tags'] });
+
+      expect(result.success).toBe(true);
+      expect(item.setTags).toHaveBeenCalledWith([{ tag: 'done', type: 1 }]);
+      expect(item.saveTx).toHaveBeenCalled();
+    });
+
+    it('should not change items whose tags do not match', () => {
+      const item = createMockItem({ tags: [{ tag: 'Statistics', type: 0 }] });
+
+      expect(engine.previewReplace(item, 'ML', 'machine learning', { fields: ['tags'] })).toEqual([]);
+    });
+  });
+
+  describe('replacing into another field', () => {
+    beforeEach(() => {
+      // Item type 2 has no DOI field
+      mockZotero.ItemFields = {
+        getID: jest.fn((field) => ({ DOI: 26, extra: 16, callNumber: 18, ISBN: 11 }[field] || false)),
+        isValidForType: jest.fn((fieldID, itemTypeID) => !(fieldID === 26 && itemTypeID === 2))
+      };
+    });
+
+    afterEach(() => {
+      delete mockZotero.ItemFields;
+    });
+
+    it('should move a captured value and remove its line from the source', () => {
+      const item = createMockItem({ fields: { extra: 'PMID: 123\nDOI: 10.1000/XYZ\nOriginal date: 1999' } });
+
+      const changes = engine.previewReplace(item, String.raw`DOI:\s*(\S+)`, '$1', {
+        fields: ['extra'],
+        patternType: 'regex',
+        targetField: 'DOI',
+        sourceMode: 'trim'
+      });
+
+      expect(changes).toEqual([
+        { field: 'DOI', original: '', replaced: '10.1000/XYZ' },
+        { field: 'extra', original: 'PMID: 123\nDOI: 10.1000/XYZ\nOriginal date: 1999', replaced: 'PMID: 123\nOriginal date: 1999' }
+      ]);
+    });
+
+    it('should only tidy the spaces where the match is removed', () => {
+      const item = createMockItem({ fields: { extra: '  PMID: 123 DOI: 10.1000/XYZ Note \n' } });
+
+      const [, source] = engine.previewReplace(item, String.raw`DOI:\s*(\S+)`, '$1', {
+        fields: ['extra'],
+        patternType: 'regex',
+        targetField: 'DOI',
+        sourceMode: 'trim'
+      });
+
+      expect(source.replaced).toBe('  PMID: 123 Note \n');
+    });
+
+    it('should copy or clear the source', () => {
+      const item = createMockItem({ fields: { callNumber: 'ISBN 978-3-16-148410-0' } });
+      const options = { fields: ['callNumber'], patternType: 'regex', targetField: 'ISBN' };
+
+      expect(engine.previewReplace(item, String.raw`ISBN ([\d-]+)`, '$1', { ...options, sourceMode: 'keep' }))
+        .toEqual([{ field: 'ISBN', original: '', replaced: '978-3-16-148410-0' }]);
+      expect(engine.previewReplace(item, String.raw`ISBN ([\d-]+)`, '$1', { ...options, sourceMode: 'clear' })[1])
+        .toEqual({ field: 'callNumber', original: 'ISBN 978-3-16-148410-0', replaced: '' });
+    });
+
+    it('should skip and report items whose type does not have the target field', async () => {
+      const items = [
+        createMockItem({ fields: { extra: 'DOI: 10.1000/a' } }),
+        createMockItem({ id: 2, itemTypeID: 2, fields: { extra: 'DOI: 10.1000/b' } })
+      ];
+
+      const results = await engine.processItems(items, String.raw`DOI: (\S+)`, '$1', {
+        fields: ['extra'],
+        targetField: 'DOI',
+        sourceMode: 'clear'
+      });
+
+      expect(results.modified).toBe(1);
+      expect(results.invalidTarget).toEqual([2]);
+      expect(items[1].setField).not.toHaveBeenCalled();
+    });
+
+    it('should only write standard fields from a single source field', async () => {
+      const item = createMockItem({ fields: { extra: 'x' } });
+
+      await expect(engine.processItems([item], 'x', 'y', { fields: ['extra'], targetField: 'tags' }))
+        .rejects.toMatchObject({ code: 'INVALID_TARGET_FIELD' });
+      await expect(engine.processItems([item], 'x', 'y', { fields: ['extra', 'title'], targetField: 'DOI' }))
+        .rejects.toMatchObject({ code: 'INVALID_TARGET_FIELD' });
+      await expect(engine.processItems([item], 'x', 'y', { fields: ['extra'], targetField: 'DOI', sourceMode: 'drop' }))
+        .rejects.toMatchObject({ code: 'INVALID_SOURCE_MODE' });
+    });
+  });
+
+  describe('creator operations', () => {
+    beforeEach(() => {
+      // Item type 2 has no editors
+      mockZotero.CreatorTypes = {
+        getID: jest.fn((name) => ({ author: 1, editor: 3 }[name] || false)),
+        isValidForItemType: jest.fn((creatorTypeID, itemTypeID) => !(creatorTypeID === 3 && itemTypeID === 2))
+      };
+    });
+
+    afterEach(() => {
+      delete mockZotero.CreatorTypes;
+    });
+
+    it('should split the creators matched by the conditions', () => {
+      const item = createMockItem({ creators: [
+        { firstName: 'Jerome Seymour, Olver, Rose R', lastName: 'Bruner', fieldMode: 0, creatorTypeID: 1 },
+        { firstName: 'Jane', lastName: 'Smith', fieldMode: 0, creatorTypeID: 1 }
+      ] });
+
+      const [change] = engine.previewReplace(item, ',', '', {
+        fields: ['creator.firstName'],
+        patternType: 'contains',
+        creatorOperation: { type: 'split', separator: ',' }
+      });
+
+      expect(change.field).toBe('creator.firstName');
+      expect(JSON.parse(change.replaced)).toEqual([
+        { firstName: 'Jerome Seymour', lastName: 'Bruner', fieldMode: 0, creatorTypeID: 1 },
+        { firstName: 'Rose R', lastName: 'Olver', fieldMode: 0, creatorTypeID: 1 },
+        { firstName: 'Jane', lastName: 'Smith', fieldMode: 0, creatorTypeID: 1 }
+      ]);
+    });
+
+    it('should change the creator type only where the item type allows it', () => {
+      const creators = [{ firstName: 'Jane', lastName: 'Smith', fieldMode: 0, creatorTypeID: 1 }];
+      const options = { fields: ['creator.lastName'], patternType: 'exact', creatorOperation: { type: 'setType', creatorType: 'editor' } };
+
+      const [change] = engine.previewReplace(createMockItem({ creators }), 'Smith', '', options);
+      expect(JSON.parse(change.replaced)[0].creatorTypeID).toBe(3);
+      expect(engine.previewReplace(createMockItem({ creators, itemTypeID: 2 }), 'Smith', '', options)).toEqual([]);
+    });
+
+    it('should leave items without matching creators unchanged', () => {
+      const item = createMockItem({ creators: [{ firstName: 'Jane', lastName: 'Smith', fieldMode: 0 }] });
+
+      expect(engine.previewReplace(item, 'Doe', '', {
+        fields: ['creator.lastName'],
+        creatorOperation: { type: 'move', position: 'first' }
+      })).toEqual([]);
+    });
+
+    it('should only replace and move the creators selected by the creator filter', () => {
+      const item = createMockItem({ creators: [
+        { firstName: 'Jane', lastName: 'Smith,', creatorType: 'author' },
+        { firstName: 'John', lastName: 'Doe,', creatorType: 'editor' },
+        { firstName: 'Ann', lastName: 'Roe,', creatorType: 'editor' }
+      ] });
+      const options = { fields: ['creator.lastName'], patternType: 'regex' };
+
+      const [change] = engine.previewReplace(item, ',$', '', { ...options, creatorFilter: { types: ['editor'] } });
+      expect(change.creatorIndexes).toEqual([1, 2]);
+      expect(JSON.parse(change.replaced).map((creator) => creator.lastName)).toEqual(['Smith,', 'Doe', 'Roe']);
+
+      const [indexed] = engine.previewReplace(item, ',$', '', { ...options, creatorFilter: { indexes: [2], types: ['editor'] } });
+      expect(indexed.creatorIndexes).toEqual([2]);
+
+      const [moved] = engine.previewReplace(item, ',$', '', {
+        ...options,
+        creatorOperation: { type: 'move', position: 'first' },
+        creatorFilter: { indexes: [2] }
+      });
+      expect(JSON.parse(moved.replaced).map((creator) => creator.lastName)).toEqual(['Roe,', 'Smith,', 'Doe,']);
+    });
+
+    it('should reject invalid operations', async () => {
+      const item = createMockItem({ creators: [] });
+
+      await expect(engine.processItems([item], 'x', '', { fields: ['creator.lastName'], creatorOperation: { type: 'sort' } }))
+        .rejects.toMatchObject({ code: 'INVALID_CREATOR_OPERATION' });
+      await expect(engine.processItems([item], 'x', '', { fields: ['title'], creatorOperation: { type: 'merge' } }))
+        .rejects.toMatchObject({ code: 'INVALID_CREATOR_OPERATION' });
+      await expect(engine.processItems([item], 'x', '', { fields: ['creator.lastName'], creatorOperation: { type: 'setType', creatorType: 'cartographer' } }))
+        .rejects.toMatchObject({ code: 'INVALID_CREATOR_OPERATION' });
+      await expect(engine.processItems([item], 'x', '', { fields: ['creator.lastName'], creatorFilter: { indexes: [-1] } }))
+        .rejects.toMatchObject({ code: 'INVALID_CREATOR_FILTER' });
+    });
+  });
+
+  describe('notes', () => {
+    it('should replace the visible text of a note and keep its markup', () => {
+      const note = createMockItem({ note: '<p><a href="https://example.com/mcdonald">Mc<b>donald</b></a> &amp; Co</p>', parentItemID: 3 });
+
+      const [change] = engine.previewReplace(note, String.raw`\bmc(\w+)`, String.raw`Mc\u$1`, { fields: ['childNote'] });
+
+      expect(change.replaced).toBe('<p><a href="https://example.com/mcdonald">McDonald<b></b></a> &amp; Co</p>');
+      expect(change.originalText).toBe('Mcdonald & Co');
+      expect(change.replacedText).toBe('McDonald & Co');
+    });
+
+    it('should save notes through setNote', async () => {
+      const note = createMockItem({ note: '<p>draft</p>', parentItemID: false });
+
+      await engine.applyReplaceToItem(note, 'draft', 'final', { fields: ['note'] });
+
+      expect(note.setNote).toHaveBeenCalledWith('<p>final</p>');
+      expect(note.saveTx).toHaveBeenCalled();
+    });
+
+    it('should leave standalone notes alone for child note replaces', () => {
+      expect(engine.previewReplace(createMockItem({ note: '<p>draft</p>', parentItemID: false }), 'draft', 'final', { fields: ['childNote'] }))
+        .toEqual([]);
+    });
+  });
+
+  describe('annotations', () => {
+    it('should replace annotation comments and leave the annotated text alone', async () => {
+      const annotation = createMockItem({ annotation: { annotationText: 'recieve', annotationComment: 'we recieve the data' } });
+
+      const result = await engine.applyReplaceToItem(annotation, 'recieve', 'receive', {
+        fields: ['annotationComment', 'annotationText'],
+        patternType: 'contains'
+      });
+
+      expect(result.changes).toEqual([
+        { field: 'annotationComment', original: 'we recieve the data', replaced: 'we receive the data' }
+      ]);
+      expect(annotation.annotationComment).toBe('we receive the data');
+      expect(annotation.annotationText).toBe('recieve');
+      expect(annotation.saveTx).toHaveBeenCalled();
+    });
+  });
+
   describe('applyReplaceToItem', () => {
     it('should save changes to item', async () => {
       mockItem.getField.mockReturnValue('Hello World');
@@ -307,6 +671,192 @@ describe('ReplaceEngine', () => {
       expect(results.skipped).toBe(2);
       expect(results.errors).toEqual([]);
     });
+
+    it('should leave items of read-only libraries unchanged', async () => {
+      const items = [
+        { ...mockItem, id: 1, libraryID: 1, saveTx: jest.fn() },
+        { ...mockItem, id: 2, libraryID: 5, saveTx: jest.fn() }
+      ];
+      mockItem.getField.mockImplementation((field) => (field === 'title' ? 'Hello World' : ''));
+      mockZotero.Libraries = { get: jest.fn((libraryID) => ({ editable: libraryID !== 5 })) };
+
+      const results = await engine.processItems(items, 'World', 'Universe', {
+        fields: ['title'],
+        patternType: 'regex'
+      });
+
+      expect(results.modified).toBe(1);
+      expect(results.readOnly).toEqual([2]);
+      expect(items[1].saveTx).not.toHaveBeenCalled();
+      delete mockZotero.Libraries;
+    });
+
+    it('should refuse search patterns with catastrophic backtracking before touching any item', async () => {
+      const item = { ...mockItem, id: 1, saveTx: jest.fn() };
+
+      await expect(engine.processItems([item], '(a+)+$', 'b', { fields: ['title'], patternType: 'regex' }))
+        .rejects.toMatchObject({ name: 'ReplaceError', code: 'UNSAFE_REGEX' });
+      expect(item.saveTx).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('regex time budget', () => {
+    const abstract = 'x'.repeat(2000) + ' Needle';
+
+    it('should count the matches of long values in the guard before replacing them', async () => {
+      const item = createMockItem({ fields: { abstractNote: abstract, title: 'Needle' } });
+      const regexGuard = { count: jest.fn().mockResolvedValue({ count: 1 }) };
+
+      const results = await engine.processItems([item], 'Needle', 'Pin', { fields: ['abstractNote', 'title'], regexGuard });
+
+      expect(regexGuard.count).toHaveBeenCalledTimes(1);
+      expect(item.setField).toHaveBeenCalledWith('abstractNote', 'x'.repeat(2000) + ' Pin');
+      expect(item.setField).toHaveBeenCalledWith('title', 'Pin');
+      expect(results.timedOut).toEqual([]);
+    });
+
+    it('should leave fields whose regex ran out of time unchanged and report them', async () => {
+      const item = createMockItem({ fields: { abstractNote: abstract, title: 'Needle' } });
+      const regexGuard = { count: jest.fn().mockResolvedValue({ timedOut: true }) };
+
+      const [preview] = await engine.previewItems([item], 'Needle', 'Pin', { fields: ['abstractNote', 'title'], regexGuard });
+      expect(preview.changes).toEqual([{ field: 'title', original: 'Needle', replaced: 'Pin' }]);
+      expect(preview.timedOutFields).toEqual(['abstractNote']);
+
+      const results = await engine.processItems([item], 'Needle', 'Pin', { fields: ['abstractNote', 'title'], regexGuard });
+      expect(item.setField).not.toHaveBeenCalledWith('abstractNote', expect.anything());
+      expect(results).toMatchObject({ modified: 1, timedOut: [1] });
+    });
+  });
+
+  describe('atomic save mode', () => {
+    beforeEach(() => {
+      mockZotero.DB = { executeTransaction: jest.fn(async (fn) => fn()) };
+    });
+
+    afterEach(() => {
+      delete mockZotero.DB;
+    });
+
+    it('should save the whole selection in one transaction by default', async () => {
+      const items = [createMockItem({ id: 1, fields: { title: 'Hello World' } }), createMockItem({ id: 2, fields: { title: 'Hello World' } }), createMockItem({ id: 3, fields: { title: 'Other' } })];
+
+      const results = await engine.processItems(items, 'World', 'Universe', {
+        fields: ['title'],
+        saveMode: 'atomic'
+      });
+
+      expect(mockZotero.DB.executeTransaction).toHaveBeenCalledTimes(1);
+      expect(items[0].save).toHaveBeenCalled();
+      expect(items[0].saveTx).not.toHaveBeenCalled();
+      expect(results).toMatchObject({ modified: 2, skipped: 1, errors: [], rolledBack: 0 });
+      expect(results.chunks).toEqual([
+        { index: 0, itemIDs: [1, 2, 3], committed: true, error: null, failedItemID: null }
+      ]);
+    });
+
+    it('should roll back only the chunk with a failing item and journal the committed chunks', async () => {
+      const items = [
+        createMockItem({ id: 1, fields: { title: 'Hello World' } }),
+        createMockItem({ id: 2, fields: { title: 'Hello World' } }),
+        createMockItem({ id: 3, fields: { title: 'Hello World' } }),
+        createMockItem({ id: 4, fields: { title: 'Hello World' }, save: jest.fn().mockRejectedValue(new Error('disk full')) })
+      ];
+      const journal = {
+        beginOperation: jest.fn(() => ({ id: 'op-1' })),
+        recordItem: jest.fn(),
+        commitOperation: jest.fn().mockResolvedValue(true)
+      };
+
+      const results = await engine.processItems(items, 'World', 'Universe', {
+        fields: ['title'],
+        saveMode: 'atomic',
+        chunkSize: 2,
+        journal
+      });
+
+      expect(results.chunks.map((chunk) => chunk.committed)).toEqual([true, false]);
+      expect(results.chunks[1]).toMatchObject({ itemIDs: [3, 4], error: 'disk full', failedItemID: 4 });
+      expect(results).toMatchObject({ modified: 2, rolledBack: 1, errors: [{ itemID: 4, error: 'disk full' }] });
+      expect(items[2].setField).toHaveBeenLastCalledWith('title', 'Hello World');
+      expect(items[3].setField).toHaveBeenLastCalledWith('title', 'Hello World');
+      expect(journal.recordItem.mock.calls.map((call) => call[1].id)).toEqual([1, 2]);
+    });
+
+    it('should reject unknown save modes', async () => {
+      await expect(engine.processItems([], 'World', 'Universe', { fields: ['title'], saveMode: 'bulk' }))
+        .rejects.toMatchObject({ code: 'INVALID_SAVE_MODE' });
+    });
+  });
+
+  describe('applyReviewedChanges', () => {
+    it('should save only the reviewed changes passed in', async () => {
+      const item = createMockItem({ fields: { url: 'http://a' } });
+      const entries = [
+        { item, changes: [{ field: 'url', original: 'http://a', replaced: 'https://a' }] },
+        { item: createMockItem({ id: 2 }), changes: [] }
+      ];
+
+      const results = await engine.applyReviewedChanges(entries);
+
+      expect(item.setField).toHaveBeenCalledTimes(1);
+      expect(item.setField).toHaveBeenCalledWith('url', 'https://a');
+      expect(results.modified).toBe(1);
+      expect(results.skipped).toBe(1);
+    });
+
+    it('should skip items whose fields changed since the preview', async () => {
+      const edited = createMockItem({ fields: { url: 'http://b' } });
+      const unchanged = createMockItem({ id: 2, fields: { title: 'Old Value' } });
+      const entries = [
+        { item: edited, changes: [{ field: 'url', original: 'http://a', replaced: 'https://a' }] },
+        { item: unchanged, changes: [{ field: 'title', original: 'Old Value', replaced: 'New Value' }] }
+      ];
+
+      const results = await engine.applyReviewedChanges(entries);
+
+      expect(edited.setField).not.toHaveBeenCalled();
+      expect(unchanged.setField).toHaveBeenCalledWith('title', 'New Value');
+      expect(results.modified).toBe(1);
+      expect(results.skipped).toBe(1);
+      expect(results.conflicts).toEqual([1]);
+    });
+
+    it('should keep every accepted creator change of an item', async () => {
+      const item = createMockItem({
+        creators: [
+          { firstName: 'J.', lastName: 'smith', creatorTypeID: 1 },
+          { firstName: 'Ann', lastName: 'Roe', creatorTypeID: 1 }
+        ]
+      });
+      const changes = engine.previewReplace(item, [
+        { field: 'creator.lastName', pattern: '^smith$', patternType: 'regex' },
+        { field: 'creator.firstName', pattern: '^J\\.$', patternType: 'regex' }
+      ], (match) => (match === 'J.' ? 'John' : 'Smith'));
+      expect(changes.map((change) => change.field)).toEqual(['creator.lastName', 'creator.firstName']);
+
+      const results = await engine.applyReviewedChanges([{ item, changes }]);
+
+      expect(item.setCreators).toHaveBeenCalledTimes(1);
+      expect(item.setCreators).toHaveBeenCalledWith([
+        { firstName: 'John', lastName: 'Smith', creatorTypeID: 1 },
+        { firstName: 'Ann', lastName: 'Roe', creatorTypeID: 1 }
+      ]);
+      expect(results.modified).toBe(1);
+    });
+
+    it('should report changed items in atomic mode too', async () => {
+      const item = createMockItem({ fields: { url: 'http://b' } });
+      const entries = [{ item, changes: [{ field: 'url', original: 'http://a', replaced: 'https://a' }] }];
+
+      mockZotero.DB = { executeTransaction: jest.fn(async (fn) => fn()) };
+      const results = await engine.applyReviewedChanges(entries, { saveMode: 'atomic' });
+      delete mockZotero.DB;
+
+      expect(item.setField).not.toHaveBeenCalled();
+      expect(results.modified).toBe(0);
+      expect(results.conflicts).toEqual([1]);
+    });
   });
 });
 
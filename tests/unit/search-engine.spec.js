@@ -26,6 +26,7 @@ global.Zotero = mockZotero;
 const searchEngineModule = require('../../src/zotero/search-engine.js');
 const SearchEngine = searchEngineModule.default || searchEngineModule;
 const PATTERN_TYPES = searchEngineModule.PATTERN_TYPES;
+const SearchResult = searchEngineModule.SearchResult;
 const SearchError = searchEngineModule.SearchError;
 
 describe('SearchEngine', () => {
@@ -49,6 +50,12 @@ describe('SearchEngine', () => {
       expect(() => engine.validatePattern('test', 'exact')).not.toThrow();
       expect(() => engine.validatePattern('test', 'sql_like')).not.toThrow();
     });
+
+    it('should reject regex patterns with catastrophic backtracking', () => {
+      expect(() => engine.validatePattern('(a+)+$', 'regex')).toThrow(expect.objectContaining({ code: 'UNSAFE_REGEX' }));
+      expect(() => engine.validatePattern('(a+)+$', 'regex')).toThrow('"(a+)+" repeats a group');
+      expect(() => engine.validatePattern('(a+)+$', 'contains')).not.toThrow();
+    });
   });
 
   describe('regexToSqlLike', () => {
@@ -343,7 +350,7 @@ describe('SearchEngine', () => {
         libraryID: 1,
         getField: jest.fn().mockReturnValue(''),
         getCreators: jest.fn().mockReturnValue([]),
-        getTags: jest.fn().mockReturnValue([{ name: 'Needle tag' }])
+        getTags: jest.fn().mockReturnValue([{ tag: 'Needle tag', type: 0 }])
       };
 
       const conditions = [
@@ -421,6 +428,24 @@ describe('SearchEngine', () => {
       expect(result.matchedFields).toContain('language');
     });
 
+    it('should match notes on their visible text and link child notes to their parent', () => {
+      const note = {
+        id: 7,
+        key: 'NOTE1',
+        libraryID: 1,
+        parentItemID: 3,
+        isNote: () => true,
+        getNote: () => '<p data-citation="Needle">Mc<b>Donald</b> &amp; co</p>',
+        getField: jest.fn().mockReturnValue('')
+      };
+
+      expect(engine.evaluateConditions(note, [{ pattern: 'McDonald & co', field: 'childNote', patternType: 'exact' }]))
+        .toMatchObject({ matched: true, matchDetails: [{ field: 'childNote', value: 'McDonald & co' }] });
+      expect(engine.evaluateConditions(note, [{ pattern: 'Needle', field: 'note', patternType: 'contains' }]).matched)
+        .toBe(false);
+      expect(new SearchResult(note).parentItemID).toBe(3);
+    });
+
     it('should match truly empty titles with the whitespace-empty regex preset', () => {
       const item = createMockItem('', 'https://example.com');
       const conditions = [
@@ -431,6 +456,207 @@ describe('SearchEngine', () => {
       expect(result.matched).toBe(true);
       expect(result.matchedFields).toContain('title');
     });
+
+    describe('condition groups', () => {
+      // (title ~ Hello OR title ~ Bonjour) AND NOT url ~ spam
+      const groupedConditions = [
+        {
+          type: 'group',
+          operator: 'AND',
+          conditions: [
+            { pattern: 'Hello', field: 'title', patternType: 'regex', operator: 'AND' },
+            { pattern: 'Bonjour', field: 'title', patternType: 'regex', operator: 'OR' }
+          ]
+        },
+        { pattern: 'spam', field: 'url', patternType: 'regex', operator: 'AND_NOT' }
+      ];
+
+      it('should evaluate (A OR B) AND NOT C', () => {
+        expect(engine.evaluateConditions(createMockItem('Bonjour', 'https://example.com'), groupedConditions).matched).toBe(true);
+        expect(engine.evaluateConditions(createMockItem('Bonjour', 'https://spam.com'), groupedConditions).matched).toBe(false);
+        expect(engine.evaluateConditions(createMockItem('Goodbye', 'https://example.com'), groupedConditions).matched).toBe(false);
+      });
+
+      it('should differ from the flat left-to-right fold', () => {
+        // A AND (B OR C) vs. (A AND B) OR C with A false and C true
+        const item = createMockItem('Hello World', 'https://example.com');
+        const a = { pattern: 'missing', field: 'title', patternType: 'regex' };
+        const b = { pattern: 'World', field: 'title', patternType: 'regex' };
+        const c = { pattern: 'example', field: 'url', patternType: 'regex' };
+
+        const grouped = [a, { type: 'group', operator: 'AND', conditions: [b, { ...c, operator: 'OR' }] }];
+        const flat = [a, { ...b, operator: 'AND' }, { ...c, operator: 'OR' }];
+
+        expect(engine.evaluateConditions(item, grouped).matched).toBe(false);
+        expect(engine.evaluateConditions(item, flat).matched).toBe(true);
+      });
+
+      it('should negate whole groups', () => {
+        const conditions = [
+          { pattern: 'Hello', field: 'title', patternType: 'regex' },
+          {
+            type: 'group',
+            operator: 'AND_NOT',
+            conditions: [
+              { pattern: 'spam', field: 'url', patternType: 'regex' },
+              { pattern: 'junk', field: 'url', patternType: 'regex', operator: 'OR' }
+            ]
+          }
+        ];
+
+        expect(engine.evaluateConditions(createMockItem('Hello', 'https://example.com'), conditions).matched).toBe(true);
+        expect(engine.evaluateConditions(createMockItem('Hello', 'https://junk.com'), conditions).matched).toBe(false);
+      });
+
+      it('should ignore empty groups', () => {
+        const conditions = [
+          { type: 'group', operator: 'AND', conditions: [] },
+          { pattern: 'Hello', field: 'title', patternType: 'regex', operator: 'OR' }
+        ];
+
+        expect(engine.evaluateConditions(createMockItem('Hello', ''), conditions).matched).toBe(true);
+      });
+
+      it('should prefilter groups on conditions that every branch can be reduced to', () => {
+        const conditions = [
+          { pattern: 'Needle', field: 'title', patternType: 'regex' },
+          {
+            type: 'group',
+            operator: 'AND',
+            conditions: [
+              { pattern: 'LongerLiteral', field: 'abstractNote', patternType: 'regex' },
+              { pattern: 'EvenLongerLiteral', field: 'title', patternType: 'regex', operator: 'OR' }
+            ]
+          }
+        ];
+
+        expect(engine.getPhase1Plan(conditions)).toEqual({
+          joinMode: 'all',
+          conditions: [expect.objectContaining({ field: 'title', operator: 'contains', value: 'Needle' })]
+        });
+      });
+    });
+  });
+
+  describe('getPhase1Plan', () => {
+    const plannedConditions = (conditions) => engine.getPhase1Plan(conditions)?.conditions
+      .map(({ field, operator, value }) => [field, operator, value]);
+
+    it('should push down every reducible AND condition', () => {
+      const conditions = [
+        { pattern: 'Needle.*hay', field: 'title', patternType: 'regex' },
+        { pattern: 'Smith', field: 'creator.lastName', patternType: 'contains', operator: 'AND' },
+        { pattern: '^\\d+$', field: 'volume', patternType: 'regex', operator: 'AND' },
+        { pattern: 'draft', field: 'tags', patternType: 'contains', operator: 'AND_NOT' }
+      ];
+
+      expect(engine.getPhase1Plan(conditions).joinMode).toBe('all');
+      expect(plannedConditions(conditions)).toEqual([
+        ['title', 'contains', 'Needle'],
+        ['creator', 'contains', 'Smith'],
+        ['tag', 'doesNotContain', 'draft']
+      ]);
+    });
+
+    it('should not push down negated conditions with LIKE wildcards', () => {
+      const conditions = [
+        { pattern: 'Needle', field: 'title', patternType: 'regex' },
+        { pattern: '50%', field: 'extra', patternType: 'contains', operator: 'AND_NOT' },
+        { pattern: 'to_do', field: 'tags', patternType: 'contains', operator: 'AND_NOT' }
+      ];
+
+      expect(plannedConditions(conditions)).toEqual([['title', 'contains', 'Needle']]);
+    });
+
+    it('should push down only one word of note conditions', () => {
+      expect(plannedConditions([{ pattern: 'AT&T merger', field: 'note', patternType: 'contains' }]))
+        .toEqual([['note', 'contains', 'merger']]);
+    });
+
+    it('should use joinMode any for OR rows when every branch is reducible', () => {
+      const conditions = [
+        { pattern: 'Needle', field: 'title', patternType: 'regex' },
+        { pattern: 'Needle', field: 'abstractNote', patternType: 'regex', operator: 'OR' },
+        { pattern: 'retracted', field: 'extra', patternType: 'contains', operator: 'OR_NOT' }
+      ];
+
+      expect(engine.getPhase1Plan(conditions).joinMode).toBe('any');
+      expect(plannedConditions(conditions)).toEqual([
+        ['title', 'contains', 'Needle'],
+        ['abstractNote', 'contains', 'Needle'],
+        ['extra', 'doesNotContain', 'retracted']
+      ]);
+    });
+
+    it('should reduce AND groups inside OR to their narrowest condition', () => {
+      const conditions = [
+        { pattern: 'Needle', field: 'title', patternType: 'regex' },
+        {
+          type: 'group',
+          operator: 'OR',
+          conditions: [
+            { pattern: 'ab', field: 'publisher', patternType: 'contains' },
+            { pattern: 'Haystack', field: 'abstractNote', patternType: 'contains', operator: 'AND' }
+          ]
+        }
+      ];
+
+      expect(plannedConditions(conditions)).toEqual([
+        ['title', 'contains', 'Needle'],
+        ['abstractNote', 'contains', 'Haystack']
+      ]);
+    });
+
+    it('should not prefilter OR rows when one branch cannot be reduced', () => {
+      const conditions = [
+        { pattern: 'Needle', field: 'title', patternType: 'regex' },
+        { pattern: '\\s+:', field: 'abstractNote', patternType: 'regex', operator: 'OR' }
+      ];
+
+      expect(engine.getPhase1Plan(conditions)).toBeNull();
+    });
+
+    it('should only push down negations that are exact opposites of a Zotero condition', () => {
+      const negated = (condition) => [
+        { pattern: 'Needle', field: 'title', patternType: 'regex' },
+        { operator: 'AND_NOT', ...condition }
+      ];
+
+      expect(plannedConditions(negated({ pattern: 'draft', field: 'title', patternType: 'regex' })))
+        .toEqual([['title', 'contains', 'Needle']]);
+      expect(plannedConditions(negated({ pattern: 'Draft', field: 'title', patternType: 'contains', caseSensitive: true })))
+        .toEqual([['title', 'contains', 'Needle']]);
+      expect(plannedConditions(negated({ pattern: 'Smith', field: 'creator.lastName', patternType: 'contains' })))
+        .toEqual([['title', 'contains', 'Needle']]);
+      expect(engine.getPhase1Plan([
+        { pattern: 'a', field: 'title', patternType: 'regex' },
+        { pattern: 'draft', field: 'title', patternType: 'regex', operator: 'AND_NOT' }
+      ])).toBeNull();
+    });
+
+    it('should push down exact item types and the collection key', () => {
+      mockZotero.Collections = { get: jest.fn((id) => (id === 42 ? { key: 'COLLKEY1' } : false)) };
+
+      expect(plannedConditions([
+        { pattern: 'book', field: 'itemType', patternType: 'exact' },
+        { pattern: 'boo', field: 'itemType', patternType: 'regex', operator: 'AND' },
+        { pattern: '42', field: 'collection', patternType: 'exact', operator: 'AND' },
+        { pattern: '7', field: 'collection', patternType: 'exact', operator: 'AND' }
+      ])).toEqual([
+        ['itemType', 'is', 'book'],
+        ['collection', 'is', 'COLLKEY1']
+      ]);
+
+      delete mockZotero.Collections;
+    });
+
+    it('should describe the plan for debugging', () => {
+      expect(engine.describePhase1Plan(null)).toMatch(/no prefilter/);
+      expect(engine.describePhase1Plan(engine.getPhase1Plan([
+        { pattern: 'Needle', field: 'title', patternType: 'regex' },
+        { pattern: 'draft', field: 'tags', patternType: 'contains', operator: 'OR_NOT' }
+      ]))).toBe('Phase 1 (match any): title contains "Needle"; tag doesNotContain "draft"');
+    });
   });
 
   describe('search method with exact match', () => {
@@ -480,12 +706,17 @@ describe('SearchEngine', () => {
         getTags: jest.fn().mockReturnValue([])
       };
 
+      const searches = [];
       mockZotero.Items.getAsync = jest.fn().mockResolvedValue([mockItem]);
-      mockZotero.Search = jest.fn().mockImplementation(() => ({
-        libraryID: 1,
-        addCondition: jest.fn(),
-        search: jest.fn().mockResolvedValue([1])
-      }));
+      mockZotero.Search = jest.fn().mockImplementation(() => {
+        const search = {
+          libraryID: 1,
+          addCondition: jest.fn(),
+          search: jest.fn().mockResolvedValue([1])
+        };
+        searches.push(search);
+        return search;
+      });
 
       const engine = new SearchEngine();
       const results = await engine.search('Test : Value', {
@@ -496,6 +727,13 @@ describe('SearchEngine', () => {
 
       expect(results.length).toBe(1);
       expect(results[0].matchedFields).toContain('title');
+      // OR across fields becomes one Zotero.Search in joinMode 'any'
+      expect(searches[0].addCondition.mock.calls).toEqual([
+        ['joinMode', 'any'],
+        ['title', 'contains', 'Test : Value'],
+        ['abstractNote', 'contains', 'Test : Value'],
+        ['publicationTitle', 'contains', 'Test : Value']
+      ]);
     });
 
     it('should match contains pattern with space and special character', async () => {
@@ -543,6 +781,7 @@ describe('SearchEngine', () => {
       };
 
       mockZotero.Items.getAsync = jest.fn().mockResolvedValue([mockItem]);
+      mockZotero.Items.getAll = jest.fn().mockResolvedValue([mockItem]);
       mockZotero.Search = jest.fn().mockImplementation(() => ({
         libraryID: 1,
         addCondition: jest.fn(),
@@ -754,6 +993,420 @@ describe('SearchEngine', () => {
       expect(results.length).toBe(0);
     });
   });
+
+  describe('regex time budget', () => {
+    const abstract = 'x'.repeat(2000) + ' Needle';
+    const item = {
+      id: 7,
+      key: 'KEY7',
+      libraryID: 1,
+      getField: jest.fn((field) => (field === 'abstractNote' ? abstract : 'Short Needle title')),
+      getCreators: jest.fn().mockReturnValue([]),
+      getTags: jest.fn().mockReturnValue([])
+    };
+
+    beforeEach(() => {
+      mockZotero.Items.getAsync = jest.fn().mockResolvedValue([item]);
+    });
+
+    it('should run regexes on long values through the guard and keep their matches', async () => {
+      const regexGuard = { exec: jest.fn(async (regex, value) => ({ match: regex.exec(value) })) };
+
+      const results = await engine.buildSearchResults([7], [{ pattern: 'Needle$', field: 'abstractNote', patternType: 'regex' }], () => { });
+      expect(results).toHaveLength(1);
+
+      engine.regexGuard = regexGuard;
+      const guarded = await engine.buildSearchResults([7], [{ pattern: 'Needle$', field: 'abstractNote', patternType: 'regex' }], () => { });
+
+      expect(regexGuard.exec).toHaveBeenCalledTimes(1);
+      expect(guarded[0].matchDetails[0]).toMatchObject({ field: 'abstractNote', matchIndex: 2001, matchLength: 6 });
+      expect(guarded[0].timedOutFields).toEqual([]);
+    });
+
+    it('should report fields that time out instead of matching them', async () => {
+      engine.regexGuard = { exec: jest.fn().mockResolvedValue({ timedOut: true }) };
+
+      const results = await engine.buildSearchResults([7], [
+        { pattern: 'Needle', field: 'title', patternType: 'regex' },
+        { pattern: 'Needle', field: 'abstractNote', patternType: 'regex', operator: 'OR' }
+      ], () => { });
+
+      expect(results).toHaveLength(1);
+      expect(results[0].matchedFields).toEqual(['title']);
+      expect(results[0].timedOutFields).toEqual(['abstractNote']);
+    });
+
+    it('should list items whose only candidate field timed out', async () => {
+      engine.regexGuard = { exec: jest.fn().mockResolvedValue({ timedOut: true }) };
+
+      const results = await engine.buildSearchResults([7], [{ pattern: 'Needle', field: 'all', patternType: 'regex' }], () => { });
+
+      expect(results[0].timedOutFields).toEqual(['abstractNote']);
+      expect(results[0].matchedFields).toContain('title');
+    });
+
+    it('should not count a timed out field as a match under NOT', async () => {
+      engine.regexGuard = { exec: jest.fn().mockResolvedValue({ timedOut: true }) };
+      const evaluate = jest.spyOn(engine, 'evaluateConditions');
+
+      const results = await engine.buildSearchResults([7], [
+        { pattern: 'Needle', field: 'title', patternType: 'regex' },
+        { pattern: 'Needle', field: 'abstractNote', patternType: 'regex', operator: 'AND_NOT' }
+      ], () => { });
+
+      expect(evaluate.mock.results.at(-1).value.matched).toBe(false);
+      expect(results).toHaveLength(1);
+      expect(results[0].timedOutFields).toEqual(['abstractNote']);
+    });
+
+    it('should run field regex comparisons on long values through the guard', async () => {
+      engine.regexGuard = { exec: jest.fn().mockResolvedValue({ timedOut: true }) };
+
+      const results = await engine.buildSearchResults([7], [
+        { pattern: '{field:title}$', field: 'abstractNote', patternType: 'field_regex' }
+      ], () => { });
+
+      expect(engine.regexGuard.exec).toHaveBeenCalledTimes(1);
+      expect(results[0].timedOutFields).toEqual(['abstractNote']);
+      expect(results[0].matchedFields).toEqual([]);
+    });
+  });
+
+  describe('date conditions', () => {
+    const datedItem = (id, dateAdded, doi) => ({
+      id,
+      key: 'KEY' + id,
+      libraryID: 1,
+      getField: jest.fn((field) => ({ dateAdded, DOI: doi }[field] ?? '')),
+      getCreators: jest.fn().mockReturnValue([]),
+      getTags: jest.fn().mockReturnValue([])
+    });
+
+    beforeEach(() => {
+      mockZotero.Date = { sqlToDate: jest.fn((sql) => new Date(sql.replace(' ', 'T') + 'Z')) };
+    });
+
+    afterEach(() => {
+      delete mockZotero.Date;
+    });
+
+    it('should find items added in the last N days whose DOI is empty', async () => {
+      const recent = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' ');
+      const items = {
+        1: datedItem(1, recent, ''),
+        2: datedItem(2, recent, '10.1000/xyz'),
+        3: datedItem(3, '2001-01-01 00:00:00', '')
+      };
+      const searches = [];
+      mockZotero.Items.getAsync = jest.fn((ids) => Promise.resolve(ids.map((id) => items[id])));
+      mockZotero.Search = jest.fn().mockImplementation(() => {
+        const search = { addCondition: jest.fn(), search: jest.fn().mockResolvedValue([1, 2, 3]) };
+        searches.push(search);
+        return search;
+      });
+
+      const results = await engine.search([
+        { pattern: '30', field: 'dateAdded', patternType: 'date_in_last' },
+        { pattern: '^$', field: 'DOI', patternType: 'regex', operator: 'AND' }
+      ]);
+
+      expect(searches[0].addCondition).toHaveBeenCalledWith('dateAdded', 'isInTheLast', '30 days');
+      expect(results.map((result) => result.itemID)).toEqual([1]);
+    });
+
+    it('should reject date patterns that do not fit the operator', () => {
+      expect(() => engine.validatePattern('last month', 'date_in_last')).toThrow(expect.objectContaining({ code: 'INVALID_DATE' }));
+    });
+  });
+
+  describe('field comparisons', () => {
+    const comparedItem = (id, title, publicationTitle) => ({
+      id,
+      key: 'KEY' + id,
+      libraryID: 1,
+      getField: jest.fn((field) => ({ title, publicationTitle }[field] ?? '')),
+      getCreators: jest.fn().mockReturnValue([]),
+      getTags: jest.fn().mockReturnValue([])
+    });
+
+    it('should match items whose title equals their publication title without a prefilter', async () => {
+      const items = [comparedItem(1, 'Nature', 'Nature'), comparedItem(2, 'Cells', 'Nature')];
+      mockZotero.Items.getAll = jest.fn().mockResolvedValue(items);
+      mockZotero.Items.getAsync = jest.fn((ids) => Promise.resolve(ids.map((id) => items[id - 1])));
+      mockZotero.Search = jest.fn();
+
+      const conditions = [{ pattern: 'publicationTitle', field: 'title', patternType: 'field_equals' }];
+      const results = await engine.search(conditions);
+
+      expect(engine.getPhase1Plan(conditions)).toBeNull();
+      expect(mockZotero.Search).not.toHaveBeenCalled();
+      expect(results.map((result) => result.itemID)).toEqual([1]);
+    });
+
+    it('should reject comparisons that do not name a field', () => {
+      expect(() => engine.validatePattern('^abc', 'field_regex')).toThrow(expect.objectContaining({ code: 'INVALID_FIELD_COMPARISON' }));
+    });
+
+    it('should reject fuzzy patterns with as many edits as characters', () => {
+      expect(() => engine.validatePattern('ab~2', 'fuzzy')).toThrow(expect.objectContaining({ code: 'INVALID_FUZZY_PATTERN' }));
+      expect(() => engine.validatePattern('Smith~1', 'fuzzy')).not.toThrow();
+    });
+  });
+
+  describe('search scope', () => {
+    const scopedItem = (id, libraryID, collections) => ({
+      id,
+      key: 'KEY' + id,
+      libraryID,
+      getField: jest.fn((field) => (field === 'title' ? 'Needle' : '')),
+      getCollections: jest.fn().mockReturnValue(collections),
+      getCreators: jest.fn().mockReturnValue([]),
+      getTags: jest.fn().mockReturnValue([])
+    });
+
+    afterEach(() => {
+      delete mockZotero.Collections;
+    });
+
+    it('should search every library in libraryIDs', async () => {
+      const items = { 1: scopedItem(1, 1, []), 2: scopedItem(2, 5, []) };
+      const searches = [];
+      mockZotero.Items.getAsync = jest.fn((ids) => Promise.resolve(ids.map((id) => items[id])));
+      mockZotero.Search = jest.fn().mockImplementation(() => {
+        const search = {
+          addCondition: jest.fn(),
+          search: jest.fn(() => Promise.resolve(search.libraryID === 1 ? [1] : [2]))
+        };
+        searches.push(search);
+        return search;
+      });
+
+      const results = await engine.search('Needle', { fields: ['title'], patternType: 'contains', libraryIDs: [1, 5] });
+
+      expect(searches.map((search) => search.libraryID)).toEqual([1, 5]);
+      expect(results.map((result) => [result.itemID, result.item.libraryID])).toEqual([[1, 1], [2, 5]]);
+    });
+
+    it('should include subcollections of recursive collection conditions', async () => {
+      const items = { 1: scopedItem(1, 1, [42]), 2: scopedItem(2, 1, [43]), 3: scopedItem(3, 1, [7]) };
+      const searches = [];
+      mockZotero.Collections = {
+        get: jest.fn((id) => (id === 42 ? { key: 'COLLKEY1', getDescendents: () => [{ id: 43 }] } : false))
+      };
+      mockZotero.Items.getAsync = jest.fn((ids) => Promise.resolve(ids.map((id) => items[id])));
+      mockZotero.Search = jest.fn().mockImplementation(() => {
+        const search = { addCondition: jest.fn(), search: jest.fn().mockResolvedValue([1, 2, 3]) };
+        searches.push(search);
+        return search;
+      });
+
+      const results = await engine.search([
+        { pattern: 'Needle', field: 'title', patternType: 'contains' },
+        { pattern: '42', field: 'collection', patternType: 'exact', operator: 'AND', recursive: true }
+      ]);
+
+      expect(searches[0].addCondition).toHaveBeenCalledWith('collection', 'is', 'COLLKEY1');
+      expect(searches[0].addCondition).toHaveBeenCalledWith('recursive', 'true');
+      expect(results.map((result) => result.itemID)).toEqual([1, 2]);
+    });
+
+    it('should limit saved search conditions to the items the saved search finds', async () => {
+      const items = { 1: scopedItem(1, 1, []), 2: scopedItem(2, 1, []) };
+      const searches = [];
+      const savedSearch = { key: 'SEARCH01', search: jest.fn().mockResolvedValue([2, 8]) };
+      mockZotero.Searches = { get: jest.fn((id) => (id === 9 ? savedSearch : false)) };
+      mockZotero.Items.getAsync = jest.fn((ids) => Promise.resolve(ids.map((id) => items[id])));
+      mockZotero.Search = jest.fn().mockImplementation(() => {
+        const search = { addCondition: jest.fn(), search: jest.fn().mockResolvedValue([1, 2]) };
+        searches.push(search);
+        return search;
+      });
+
+      const results = await engine.search([
+        { pattern: 'Needle', field: 'title', patternType: 'contains' },
+        { pattern: '9', field: 'savedSearch', patternType: 'exact', operator: 'AND' }
+      ]);
+
+      expect(searches[0].addCondition).toHaveBeenCalledWith('savedSearch', 'is', 'SEARCH01');
+      expect(savedSearch.search).toHaveBeenCalledTimes(1);
+      expect(results.map((result) => result.itemID)).toEqual([2]);
+      expect(results[0].matchedFields).toContain('savedSearch');
+      delete mockZotero.Searches;
+    });
+  });
+
+  describe('batched refinement', () => {
+    const titledItem = (id) => ({
+      id,
+      key: 'KEY' + id,
+      libraryID: 1,
+      getField: jest.fn((field) => (field === 'title' ? (id % 2 ? 'Needle' : 'Hay') : '')),
+      getCreators: jest.fn().mockReturnValue([]),
+      getTags: jest.fn().mockReturnValue([])
+    });
+    const conditions = [{ pattern: 'Needle', field: 'title', patternType: 'regex' }];
+
+    beforeEach(() => {
+      mockZotero.Items.getAsync = jest.fn((ids) => Promise.resolve(ids.map(titledItem)));
+    });
+
+    it('should load items in batches and stream each batch of matches', async () => {
+      const batches = [];
+      const progress = [];
+
+      const results = await engine.buildSearchResults([1, 2, 3, 4, 5], conditions, (update) => progress.push(update), {
+        batchSize: 2,
+        onResults: (batch) => batches.push(batch.map((result) => result.itemID))
+      });
+
+      expect(mockZotero.Items.getAsync.mock.calls).toEqual([[[1, 2]], [[3, 4]], [[5]]]);
+      expect(batches).toEqual([[1], [3], [5]]);
+      expect(results.map((result) => result.itemID)).toEqual([1, 3, 5]);
+      expect(progress.at(-1)).toEqual({ phase: 'refine', current: 5, total: 5 });
+    });
+
+    it('should stop with SEARCH_CANCELLED once the signal is aborted', async () => {
+      const controller = new AbortController();
+      const batches = [];
+
+      const search = engine.buildSearchResults([1, 2, 3, 4, 5], conditions, () => { }, {
+        batchSize: 2,
+        signal: controller.signal,
+        onResults: (batch) => {
+          batches.push(batch);
+          controller.abort();
+        }
+      });
+
+      await expect(search).rejects.toMatchObject({ name: 'SearchError', code: 'SEARCH_CANCELLED' });
+      expect(batches).toHaveLength(1);
+      expect(mockZotero.Items.getAsync).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not report matches of the last batch once the signal is aborted', async () => {
+      const controller = new AbortController();
+      const onResults = jest.fn();
+
+      const search = engine.buildSearchResults([1, 2], conditions, () => controller.abort(), {
+        signal: controller.signal,
+        onResults
+      });
+
+      await expect(search).rejects.toMatchObject({ code: 'SEARCH_CANCELLED' });
+      expect(onResults).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('creator variants', () => {
+    it('should cluster the creators of every item in scope', async () => {
+      const creatorItem = (id, creators) => ({
+        id,
+        key: 'KEY' + id,
+        libraryID: 1,
+        getField: jest.fn().mockReturnValue(''),
+        getCreators: jest.fn().mockReturnValue(creators),
+        getTags: jest.fn().mockReturnValue([])
+      });
+      const items = {
+        1: creatorItem(1, [{ firstName: 'J.', lastName: 'Bruner' }, { firstName: 'Ann', lastName: 'Roe' }]),
+        2: creatorItem(2, [{ firstName: 'Jerome S.', lastName: 'Bruner' }]),
+        3: creatorItem(3, [{ firstName: 'Jerome', lastName: 'Bruner' }, { firstName: '', lastName: 'WHO', fieldMode: 1 }]),
+        4: creatorItem(4, [])
+      };
+      mockZotero.Items.getAll = jest.fn().mockResolvedValue([1, 2, 3, 4]);
+      mockZotero.Items.getAsync = jest.fn((ids) => Promise.resolve(ids.map((id) => items[id])));
+
+      const clusters = await engine.findCreatorVariants([], { libraryIDs: [1] });
+
+      expect(mockZotero.Items.getAll).toHaveBeenCalledWith(1);
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0].itemCount).toBe(3);
+      expect(clusters[0].variants.map((variant) => variant.firstName)).toEqual(['Jerome S.', 'Jerome', 'J.']);
+    });
+  });
+
+  describe('annotations', () => {
+    const createAnnotation = (id, comment) => ({
+      id,
+      key: 'ANNO' + id,
+      libraryID: 1,
+      parentItemID: 20,
+      annotationText: 'Highlighted passage',
+      annotationComment: comment,
+      annotationPageLabel: '12',
+      isAnnotation: () => true,
+      getField: jest.fn().mockReturnValue('')
+    });
+    const attachment = {
+      id: 20,
+      key: 'PDF20',
+      libraryID: 1,
+      parentItemID: 10,
+      isAnnotation: () => false,
+      isFileAttachment: () => true,
+      getAnnotations: () => [createAnnotation(21, 'recieve the data'), createAnnotation(22, 'fine')],
+      getField: jest.fn().mockReturnValue('')
+    };
+
+    it('should evaluate the annotations of attachments returned by the prefilter', async () => {
+      mockZotero.Items.getAsync = jest.fn().mockResolvedValue([attachment]);
+
+      const results = await engine.buildSearchResults([20], [{ pattern: 'recieve', field: 'annotationComment', patternType: 'contains' }], () => { });
+
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({
+        itemID: 21,
+        parentItemID: 20,
+        annotationPageLabel: '12',
+        matchDetails: [{ field: 'annotationComment', value: 'recieve the data' }]
+      });
+    });
+
+    it('should match annotation text only on annotation items', () => {
+      const conditions = [{ pattern: 'passage', field: 'annotationText', patternType: 'contains' }];
+
+      expect(engine.evaluateConditions(createAnnotation(21, ''), conditions).matched).toBe(true);
+      expect(engine.evaluateConditions(attachment, conditions).matched).toBe(false);
+    });
+  });
+
+  describe('attachment full text', () => {
+    const fullText = 'x'.repeat(300) + ' the enzyme kinetics were measured ' + 'y'.repeat(300);
+    const createAttachment = (id) => ({
+      id,
+      key: 'PDF' + id,
+      libraryID: 1,
+      isAttachment: () => true,
+      getField: jest.fn().mockReturnValue('')
+    });
+
+    beforeEach(() => {
+      mockZotero.Items.getAsync = jest.fn((ids) => Promise.resolve(ids.map(createAttachment)));
+      mockZotero.FullText = { getItemCacheFile: jest.fn((item) => ({ path: '/cache/' + item.id })) };
+      mockZotero.File = {
+        getContentsAsync: jest.fn((path) => (path === '/cache/1'
+          ? Promise.resolve(fullText)
+          : Promise.reject(new Error('File not found'))))
+      };
+    });
+
+    afterEach(() => {
+      delete mockZotero.FullText;
+      delete mockZotero.File;
+    });
+
+    it('should refine on the indexed text and keep a snippet around the match', async () => {
+      const conditions = [{ pattern: String.raw`enzyme\s+kinetics`, field: 'attachmentContent', patternType: 'regex' }];
+
+      const results = await engine.buildSearchResults([1, 2], conditions, () => { });
+
+      expect(results).toHaveLength(1);
+      const [detail] = results[0].matchDetails;
+      expect(detail.value.slice(detail.matchIndex, detail.matchIndex + detail.matchLength)).toBe('enzyme kinetics');
+      expect(detail.value.length).toBeLessThan(fullText.length);
+      expect(engine.fullTexts.size).toBe(0);
+    });
+  });
 });
 
 describe('PATTERN_TYPES', () => {
@@ -856,6 +1509,57 @@ describe('SearchEngine field matching', () => {
       expect(result.matchDetails[0].value).toBe('John Doe');
     });
 
+    it('should report every matching creator with its position and type', () => {
+      const item = {
+        id: 1,
+        key: 'ABC123',
+        libraryID: 1,
+        getField: jest.fn().mockReturnValue(null),
+        getCreators: jest.fn().mockReturnValue([
+          { firstName: 'Jane', lastName: 'Smith,', creatorType: 'author' },
+          { firstName: 'John', lastName: 'Doe', creatorType: 'author' },
+          { firstName: 'Ann', lastName: 'Roe,', creatorType: 'editor' }
+        ]),
+        getTags: jest.fn().mockReturnValue([])
+      };
+
+      const result = engine.matchItem(item, ',$', {
+        fields: ['creator.lastName'],
+        patternType: 'regex',
+        caseSensitive: false
+      });
+
+      expect(result.matchedFields).toEqual(['creator.lastName']);
+      expect(result.matchDetails.map(({ value, creatorIndex, creatorType }) => ({ value, creatorIndex, creatorType }))).toEqual([
+        { value: 'Smith,', creatorIndex: 0, creatorType: 'author' },
+        { value: 'Roe,', creatorIndex: 2, creatorType: 'editor' }
+      ]);
+    });
+
+    it('should match creators ignoring diacritics or within a few edits', () => {
+      const item = {
+        id: 1,
+        key: 'ABC123',
+        libraryID: 1,
+        getField: jest.fn().mockReturnValue(null),
+        getCreators: jest.fn().mockReturnValue([
+          { firstName: 'Anna', lastName: 'Miłkowski', creatorType: 'author' },
+          { firstName: 'Hans', lastName: 'Mueller', creatorType: 'author' }
+        ]),
+        getTags: jest.fn().mockReturnValue([])
+      };
+
+      const diacritics = engine.matchItem(item, 'milkowski', { fields: ['creator.fullName'], patternType: 'diacritic_insensitive' });
+      const fuzzy = engine.matchItem(item, 'Müller~1', { fields: ['creator.lastName'], patternType: 'fuzzy' });
+
+      expect(diacritics.matchDetails).toEqual([
+        expect.objectContaining({ value: 'Anna Miłkowski', matchIndex: 5, matchLength: 9, creatorIndex: 0 })
+      ]);
+      expect(fuzzy.matchDetails).toEqual([
+        expect.objectContaining({ value: 'Mueller', matchIndex: 0, matchLength: 7, creatorIndex: 1 })
+      ]);
+    });
+
     it('should handle empty/null fields gracefully', () => {
       expect(engine.matches('', 'test', 'contains', false)).toBe(false);
       expect(engine.matches(null, 'test', 'contains', false)).toBe(false);
@@ -930,7 +1634,8 @@ describe('SearchEngine field matching', () => {
       expect(results.length).toBe(1);
       expect(results[0].matchedFields).toContain('DOI');
 
-      // Search in itemType
+      // Search in itemType ('contains' on item types cannot be prefiltered, so every item is refined)
+      mockZotero.Items.getAll = jest.fn().mockResolvedValue([mockItem]);
       results = await engine.search('journal', {
         fields: ['itemType'],
         patternType: 'contains',
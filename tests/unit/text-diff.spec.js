@@ -0,0 +1,43 @@
+/**
+ * Unit tests for the character-level text diff
+ */
+
+const { diffText } = require('../../src/ui/text-diff.js');
+
+describe('diffText', () => {
+  it('returns a single equal segment for identical text', () => {
+    expect(diffText('Same', 'Same')).toEqual([{ type: 'equal', text: 'Same' }]);
+  });
+
+  it('marks inserted characters', () => {
+    expect(diffText('http://example.com', 'https://example.com')).toEqual([
+      { type: 'equal', text: 'http' },
+      { type: 'insert', text: 's' },
+      { type: 'equal', text: '://example.com' }
+    ]);
+  });
+
+  it('marks deleted characters', () => {
+    expect(diffText('Smith ,John', 'Smith,John')).toEqual([
+      { type: 'equal', text: 'Smith' },
+      { type: 'delete', text: ' ' },
+      { type: 'equal', text: ',John' }
+    ]);
+  });
+
+  it('marks replaced characters as a deletion and an insertion', () => {
+    const segments = diffText('Hello World', 'Hello Universe');
+    const before = segments.filter((segment) => segment.type !== 'insert').map((segment) => segment.text).join('');
+    const after = segments.filter((segment) => segment.type !== 'delete').map((segment) => segment.text).join('');
+
+    expect(before).toBe('Hello World');
+    expect(after).toBe('Hello Universe');
+    expect(segments[0]).toEqual({ type: 'equal', text: 'Hello ' });
+  });
+
+  it('handles empty and missing values', () => {
+    expect(diffText('', 'new')).toEqual([{ type: 'insert', text: 'new' }]);
+    expect(diffText('old', null)).toEqual([{ type: 'delete', text: 'old' }]);
+    expect(diffText(undefined, '')).toEqual([]);
+  });
+});
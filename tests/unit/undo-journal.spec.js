@@ -0,0 +1,219 @@
+/**
+ * Unit tests for Undo Journal
+ */
+
+const createMockItem = (key, fields = {}, creators = []) => {
+  const item = {
+    id: key.charCodeAt(0),
+    key,
+    libraryID: 1,
+    version: 5,
+    dateModified: '2026-01-01 10:00:00',
+    fields: { ...fields },
+    creators: creators.map((creator) => ({ ...creator })),
+    getField: jest.fn((field) => item.fields[field] ?? ''),
+    setField: jest.fn((field, value) => { item.fields[field] = value; }),
+    getCreators: jest.fn(() => item.creators.map((creator) => ({ ...creator }))),
+    setCreators: jest.fn((newCreators) => { item.creators = newCreators; }),
+    tags: [],
+    getTags: jest.fn(() => item.tags.map((tag) => ({ ...tag }))),
+    setTags: jest.fn((newTags) => { item.tags = newTags; }),
+    saveTx: jest.fn().mockResolvedValue(true)
+  };
+  return item;
+};
+
+const itemsByKey = new Map();
+
+global.Zotero = {
+  Items: {
+    getByLibraryAndKeyAsync: jest.fn(async (libraryID, key) => itemsByKey.get(key) || false)
+  },
+  debug: jest.fn()
+};
+
+const journalModule = require('../../src/zotero/undo-journal.js');
+const UndoJournal = journalModule.default || journalModule;
+const JournalError = journalModule.JournalError;
+const { MemoryStore } = require('../../src/zotero/json-store.js');
+const ReplaceEngine = require('../../src/zotero/replace-engine.js').default;
+
+describe('UndoJournal', () => {
+  let journal;
+  let store;
+
+  beforeEach(() => {
+    itemsByKey.clear();
+    store = new MemoryStore();
+    journal = new UndoJournal({ store });
+  });
+
+  async function runReplace(items, pattern, replacement, fields = ['title']) {
+    const engine = new ReplaceEngine();
+    return engine.processItems(items, pattern, replacement, {
+      fields,
+      patternType: 'regex',
+      journal,
+      operationName: 'Test run'
+    });
+  }
+
+  it('records each processItems run with item key, version and before/after values', async () => {
+    const item = createMockItem('AAAA', { title: 'Hello World' });
+    itemsByKey.set(item.key, item);
+
+    const result = await runReplace([item], 'World', 'Universe');
+
+    expect(result.operationID).toBeTruthy();
+    const [operation] = await journal.getOperations();
+    expect(operation.name).toBe('Test run');
+    expect(operation.items).toEqual([
+      expect.objectContaining({
+        key: 'AAAA',
+        libraryID: 1,
+        version: 5,
+        changes: [{ field: 'title', before: 'Hello World', after: 'Hello Universe' }]
+      })
+    ]);
+
+    const persisted = await store.read();
+    expect(persisted.operations).toHaveLength(1);
+  });
+
+  it('does not journal runs that changed nothing', async () => {
+    const item = createMockItem('AAAA', { title: 'Hello World' });
+
+    const result = await runReplace([item], 'NoMatch', 'Universe');
+
+    expect(result.operationID).toBeNull();
+    expect(await journal.getOperations()).toEqual([]);
+  });
+
+  it('rolls back the last operation', async () => {
+    const item = createMockItem('AAAA', { title: 'Hello World' });
+    itemsByKey.set(item.key, item);
+    await runReplace([item], 'World', 'Universe');
+
+    const result = await journal.rollbackLast();
+
+    expect(result).toEqual({ restored: 1, conflicts: [], errors: [] });
+    expect(item.fields.title).toBe('Hello World');
+    expect(await journal.getLastOperation()).toBeNull();
+  });
+
+  it('rolls back creator changes', async () => {
+    const item = createMockItem('AAAA', {}, [{ firstName: 'John', lastName: 'Doe', creatorTypeID: 1 }]);
+    itemsByKey.set(item.key, item);
+    await runReplace([item], 'John', 'Johnny', ['creator.firstName']);
+    expect(item.creators[0].firstName).toBe('Johnny');
+
+    await journal.rollbackLast();
+
+    expect(item.creators[0].firstName).toBe('John');
+  });
+
+  it('rolls back a creator switched to a single-field name', async () => {
+    const item = createMockItem('AAAA', {}, [{ firstName: 'Research', lastName: 'Group', fieldMode: 0, creatorTypeID: 1 }]);
+    // Zotero stores a single-field { name } as lastName with fieldMode 1
+    item.setCreators.mockImplementation((newCreators) => {
+      item.creators = newCreators.map(({ name, ...creator }) => (name ? { ...creator, firstName: '', lastName: name, fieldMode: 1 } : creator));
+    });
+    itemsByKey.set(item.key, item);
+    await new ReplaceEngine().processItems([item], 'Group$', '', {
+      fields: ['creator.lastName'],
+      creatorOperation: { type: 'singleField' },
+      journal
+    });
+    expect(item.creators[0]).toEqual({ firstName: '', lastName: 'Research Group', fieldMode: 1, creatorTypeID: 1 });
+
+    const result = await journal.rollbackLast();
+
+    expect(result).toEqual({ restored: 1, conflicts: [], errors: [] });
+    expect(item.creators[0]).toEqual({ firstName: 'Research', lastName: 'Group', fieldMode: 0, creatorTypeID: 1 });
+  });
+
+  it('rolls back merged and deleted tags', async () => {
+    const item = createMockItem('AAAA');
+    item.tags = [{ tag: 'ML', type: 1 }, { tag: 'machine-learning', type: 0 }, { tag: 'todo', type: 0 }];
+    itemsByKey.set(item.key, item);
+    await runReplace([item], '^(ML|machine-learning)$|^todo$', '${1:+machine learning}', ['tags']);
+    expect(item.tags).toEqual([{ tag: 'machine learning', type: 0 }]);
+
+    const result = await journal.rollbackLast();
+
+    expect(result.restored).toBe(1);
+    expect(item.tags).toEqual([{ tag: 'ML', type: 1 }, { tag: 'machine-learning', type: 0 }, { tag: 'todo', type: 0 }]);
+  });
+
+  it('rolls back items that were synced but not changed since the run', async () => {
+    const item = createMockItem('AAAA', { title: 'Hello World' });
+    itemsByKey.set(item.key, item);
+    await runReplace([item], 'World', 'Universe');
+
+    item.version = 6;
+
+    const result = await journal.rollbackLast();
+
+    expect(result).toEqual({ restored: 1, conflicts: [], errors: [] });
+    expect(item.fields.title).toBe('Hello World');
+  });
+
+  it('refuses to roll back items edited since the run and keeps them for a retry', async () => {
+    const edited = createMockItem('AAAA', { title: 'Hello World' });
+    const untouched = createMockItem('BBBB', { title: 'Hello World' });
+    itemsByKey.set(edited.key, edited);
+    itemsByKey.set(untouched.key, untouched);
+    const { operationID } = await runReplace([edited, untouched], 'World', 'Universe');
+
+    edited.fields.title = 'Edited by hand';
+    edited.dateModified = '2026-01-02 10:00:00';
+
+    const conflicts = await journal.findConflicts(await journal.getOperation(operationID));
+    expect(conflicts).toEqual([expect.objectContaining({ key: 'AAAA', reason: 'Item was edited since the operation' })]);
+
+    const result = await journal.rollback(operationID);
+
+    expect(result.restored).toBe(1);
+    expect(result.conflicts).toHaveLength(1);
+    expect(edited.fields.title).toBe('Edited by hand');
+    expect(untouched.fields.title).toBe('Hello World');
+
+    const operation = await journal.getOperation(operationID);
+    expect(operation.rolledBackAt).toBeNull();
+    expect(operation.items.map((entry) => entry.key)).toEqual(['AAAA']);
+  });
+
+  it('reports deleted items as conflicts even when forced', async () => {
+    const item = createMockItem('AAAA', { title: 'Hello World' });
+    itemsByKey.set(item.key, item);
+    const { operationID } = await runReplace([item], 'World', 'Universe');
+    itemsByKey.delete(item.key);
+
+    const result = await journal.rollback(operationID, { force: true });
+
+    expect(result.restored).toBe(0);
+    expect(result.conflicts[0].reason).toBe('Item no longer exists');
+  });
+
+  it('throws when rolling back an unknown or already rolled back operation', async () => {
+    const item = createMockItem('AAAA', { title: 'Hello World' });
+    itemsByKey.set(item.key, item);
+    const { operationID } = await runReplace([item], 'World', 'Universe');
+    await journal.rollback(operationID);
+
+    await expect(journal.rollback(operationID)).rejects.toMatchObject({ code: 'ALREADY_ROLLED_BACK' });
+    await expect(journal.rollback('missing')).rejects.toThrow(JournalError);
+  });
+
+  it('keeps only the most recent operations', async () => {
+    journal = new UndoJournal({ store, maxOperations: 2 });
+    for (const name of ['one', 'two', 'three']) {
+      const operation = journal.beginOperation(name);
+      journal.recordItem(operation, createMockItem('AAAA'), [{ field: 'title', original: 'a', replaced: 'b' }]);
+      await journal.commitOperation(operation);
+    }
+
+    const operations = await journal.getOperations();
+    expect(operations.map((operation) => operation.name)).toEqual(['three', 'two']);
+  });
+});
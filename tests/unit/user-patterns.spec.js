@@ -0,0 +1,117 @@
+/**
+ * Unit tests for the user-defined pattern library
+ */
+
+global.Zotero = {
+  debug: jest.fn()
+};
+
+const userPatternsModule = require('../../src/patterns/user-patterns.js');
+const UserPatternStore = userPatternsModule.default || userPatternsModule;
+const { USER_PATTERN_CATEGORY, UserPatternError } = userPatternsModule;
+const { MemoryStore } = require('../../src/zotero/json-store.js');
+
+describe('UserPatternStore', () => {
+  let store;
+  let patterns;
+
+  const definition = {
+    name: 'Strip ORCID from extra',
+    description: 'Removes ORCID lines',
+    conditions: [
+      { operator: 'AND', field: 'extra', pattern: '^ORCID: .*$', patternType: 'regex', caseSensitive: true },
+      { operator: 'AND', field: 'title', pattern: '', patternType: 'regex' }
+    ],
+    replace: '',
+    replaceField: 'extra'
+  };
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    patterns = new UserPatternStore({ store });
+  });
+
+  it('saves condition rows, replacement and Replace In field under My Patterns', async () => {
+    const created = await patterns.create(definition);
+
+    expect(created.id).toMatch(/^user-/);
+    expect(created.category).toBe(USER_PATTERN_CATEGORY);
+    expect(created.replaceField).toBe('extra');
+    // Rows without a search pattern are not saved
+    expect(created.conditions).toEqual([
+      { operator: 'AND', field: 'extra', pattern: '^ORCID: .*$', patternType: 'regex', caseSensitive: true }
+    ]);
+
+    const persisted = await store.read();
+    expect(persisted.patterns).toHaveLength(1);
+
+    const reloaded = new UserPatternStore({ store });
+    const listed = await reloaded.list();
+    expect(listed.map((pattern) => pattern.name)).toEqual(['Strip ORCID from extra']);
+  });
+
+  it('saves condition groups and drops groups without patterns', async () => {
+    const created = await patterns.create({
+      name: 'Grouped',
+      conditions: [
+        {
+          type: 'group',
+          operator: 'AND',
+          conditions: [
+            { field: 'title', pattern: 'alpha' },
+            { operator: 'OR', field: 'url', pattern: 'beta' }
+          ]
+        },
+        { type: 'group', operator: 'AND_NOT', conditions: [{ field: 'extra', pattern: '' }] }
+      ]
+    });
+
+    expect(created.replaceField).toBe('title');
+    expect(created.conditions).toEqual([
+      {
+        type: 'group',
+        operator: 'AND',
+        conditions: [
+          { operator: 'AND', field: 'title', pattern: 'alpha', patternType: 'regex', caseSensitive: false },
+          { operator: 'OR', field: 'url', pattern: 'beta', patternType: 'regex', caseSensitive: false }
+        ]
+      }
+    ]);
+  });
+
+  it('rejects patterns without a name, conditions or with function replacements', async () => {
+    await expect(patterns.create({ ...definition, name: '  ' })).rejects.toThrow(UserPatternError);
+    await expect(patterns.create({ ...definition, conditions: [] })).rejects.toMatchObject({ code: 'INVALID_PATTERN' });
+    await expect(patterns.create({ ...definition, replace: (m) => m })).rejects.toMatchObject({ code: 'INVALID_PATTERN' });
+  });
+
+  it('saves the creator action and rejects invalid ones', async () => {
+    const creatorDefinition = { name: 'Institutions', conditions: [{ field: 'creator.lastName', pattern: 'Group$' }] };
+
+    const created = await patterns.create({ ...creatorDefinition, creatorOperation: { type: 'singleField' } });
+    expect(created.creatorOperation).toEqual({ type: 'singleField' });
+    await expect(patterns.create({ ...creatorDefinition, creatorOperation: { type: 'split' } }))
+      .rejects.toMatchObject({ code: 'INVALID_PATTERN' });
+  });
+
+  it('renames, edits, duplicates and deletes patterns', async () => {
+    const created = await patterns.create(definition);
+
+    await patterns.rename(created.id, 'ORCID cleanup');
+    await patterns.update(created.id, { replace: 'removed' });
+    const copy = await patterns.duplicate(created.id);
+
+    let listed = await patterns.list();
+    expect(listed.map((pattern) => pattern.name)).toEqual(['ORCID cleanup', 'ORCID cleanup (copy)']);
+    expect(listed[0].replace).toBe('removed');
+    expect(copy.id).not.toBe(created.id);
+
+    await patterns.remove(created.id);
+    listed = await patterns.list();
+    expect(listed.map((pattern) => pattern.id)).toEqual([copy.id]);
+  });
+
+  it('reports unknown pattern ids', async () => {
+    await expect(patterns.remove('user-missing')).rejects.toMatchObject({ code: 'PATTERN_NOT_FOUND' });
+  });
+});